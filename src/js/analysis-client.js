@@ -0,0 +1,121 @@
+// ============================================================================
+// Analysis Client - Promise Interface to the Analysis Worker
+// Sends parsing and analysis requests to the worker and supports cancellation
+// ============================================================================
+
+export class AnalysisCancelledError extends Error {
+    constructor(message = 'Analysis cancelled') {
+        super(message);
+        this.name = 'AnalysisCancelledError';
+    }
+}
+
+export class AnalysisClient {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    get isBusy() {
+        return this.pending.size > 0;
+    }
+
+    /**
+     * Start the worker on first use (and again after a cancel terminated it)
+     * @returns {Worker} Analysis worker
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+            this.worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                this.terminate(new Error(`Analysis worker failed: ${event.message || 'unknown error'}`));
+            });
+        }
+        return this.worker;
+    }
+
+    /**
+     * Send a request to the worker
+     * @param {string} type - Request type handled by the worker
+     * @param {Object} payload - Structured-cloneable request data
+     * @param {Function} onProgress - Called with { percent, phase, label }
+     * @returns {Promise<any>} Worker result
+     */
+    request(type, payload, onProgress = null) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject, onProgress });
+            this.getWorker().postMessage({ id, type, payload });
+        });
+    }
+
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        if (message.type === 'progress') {
+            request.onProgress?.({ percent: message.percent, phase: message.phase, label: message.label });
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.type === 'result') {
+            request.resolve(message.result);
+        } else {
+            const error = new Error(message.error?.message || 'Analysis worker request failed');
+            error.name = message.error?.name || 'Error';
+            request.reject(error);
+        }
+    }
+
+    /**
+     * Parse a data file in the worker
+     * @param {File} file - Excel or delimited file
+     * @param {Function} onProgress - Progress listener
+     * @returns {Promise<Object>} Workbook as returned by HealthcareAnalyzer.readFile
+     */
+    readFile(file, onProgress = null) {
+        return this.request('readFile', { file }, onProgress);
+    }
+
+    /**
+     * Run the complete analysis in the worker
+     * @param {Array<Object>} records - Cleaned records
+     * @param {Object} options - HealthcareAnalyzer options
+     * @param {Function} onProgress - Progress listener, called once per pipeline phase
+     * @returns {Promise<Object>} Analysis results
+     */
+    runAnalysis(records, options, onProgress = null) {
+        return this.request('runAnalysis', { records, options }, onProgress);
+    }
+
+    /**
+     * Stop whatever the worker is doing; pending requests reject with AnalysisCancelledError
+     */
+    cancel() {
+        if (this.isBusy) {
+            console.log('🛑 Cancelling analysis worker...');
+        }
+        this.terminate(new AnalysisCancelledError());
+    }
+
+    /**
+     * Terminate the worker and reject every pending request
+     * @param {Error} reason - Rejection passed to pending requests
+     */
+    terminate(reason) {
+        this.worker?.terminate();
+        this.worker = null;
+
+        const pending = Array.from(this.pending.values());
+        this.pending.clear();
+        pending.forEach(request => request.reject(reason));
+    }
+}
@@ -0,0 +1,41 @@
+// ============================================================================
+// Analysis Worker - Off-Main-Thread Parsing and Analysis
+// Reads data files and runs the statistical pipeline without blocking the page
+// ============================================================================
+
+import { ANALYSIS_PHASES, HealthcareAnalyzer } from './analyzer.js';
+
+// Requests the worker understands; each receives the payload and a progress reporter
+const handlers = {
+    async readFile({ file }, reportProgress) {
+        reportProgress(10, 'read', `Reading ${file.name}`);
+        return new HealthcareAnalyzer().readFile(file);
+    },
+
+    async runAnalysis({ records, options }, reportProgress) {
+        const analyzer = new HealthcareAnalyzer(options);
+        return analyzer.runCompleteAnalysis(records, (percent, phase) => {
+            reportProgress(percent, phase, ANALYSIS_PHASES[phase]);
+        });
+    }
+};
+
+self.addEventListener('message', async (event) => {
+    const { id, type, payload } = event.data;
+    const reportProgress = (percent, phase, label) => {
+        self.postMessage({ id, type: 'progress', percent, phase, label });
+    };
+
+    try {
+        const handler = handlers[type];
+        if (!handler) {
+            throw new Error(`Unknown analysis worker request: ${type}`);
+        }
+
+        const result = await handler(payload, reportProgress);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        // Error objects lose their message in some browsers' structured clone
+        self.postMessage({ id, type: 'error', error: { name: error.name, message: error.message } });
+    }
+});
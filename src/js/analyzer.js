@@ -1,115 +1,276 @@
 // ============================================================================
 // Healthcare Revenue Statistical Analyzer
-// Advanced Statistical Methodology with Proper Train/Test Split
+// Advanced Statistical Methodology with Rolling-Origin Backtesting
 // ============================================================================
 
+import { ColumnMapper } from './column-mapper.js';
+import { DataLoader } from './data-loader.js';
+import { DatasetMerger } from './dataset-merger.js';
+import { DataQualityChecker } from './data-quality.js';
+import { PayerAliasRegistry } from './payer-aliases.js';
+import { GRANULARITIES, getPeriod, resolveWeek, shiftPeriodStart } from './periods.js';
+import { PENALTIES } from './regression.js';
+import { BACKTEST_WINDOWS, createBacktestFolds, createValidationSplit, summarizeBacktest } from './backtest.js';
+import { TIME_SERIES_MODELS } from './time-series.js';
+import { modelRegistry } from './model-registry.js';
+import { ENSEMBLE_MODEL, addValidationBlock, blendPredictions, createEnsembleModel, createValidationSet, learnBlendWeights } from './ensemble.js';
+import { VOLUME_DRIVERS, projectVolumes, recentMean, withIntervals } from './forecast.js';
+import { classifyResidual, createClassifier, describeClassifier } from './performance.js';
+import { diagnoseResiduals } from './diagnostics.js';
+import { contributionBreakdown, describeContributions, getInputFeatures, permutationImportance } from './importance.js';
+import { VARIANCE_BASELINES, buildVarianceBridge } from './variance-bridge.js';
+import { analyzeEM } from './em-analysis.js';
+import { analyzeLabs } from './lab-analysis.js';
+import { BASELINE_WINDOWS, PERIOD_METRICS, baselineWindowLabel, computeBaselines, computeWindowBaselines, describeBaselineBand, periodsInWeeks } from './baselines.js';
+
+export const DEFAULT_ANALYSIS_OPTIONS = {
+    topPayers: 5,
+    payerGrouping: 'payer',
+    granularity: 'week',
+    fiscalYearStartMonth: 1,
+    location: null,
+    backtestWindow: 'expanding',
+    backtestFolds: 5,
+    backtestHorizon: 4,
+    forecastHorizon: 12,
+    forecastVisits: null,
+    forecastCharges: null,
+    classificationMethod: 'interval',
+    intervalLevel: 80,
+    zThreshold: 1.5,
+    percentThreshold: 2.5,
+    varianceBaseline: 'prior',
+    emBaselineWeeks: 13,
+    labBaselineWeeks: 13,
+    insightBaseline: 'all',
+    baselineStart: null,
+    baselineEnd: null
+};
+
+// Period totals shown as KPIs, with their change against the insight baseline
+const KPI_LABELS = {
+    totalPayments: 'Total Payments',
+    totalVisitCount: 'Visits',
+    totalChargeAmount: 'Charges',
+    avgPaymentPerVisit: 'Payment per Visit',
+    weightedAvgCollectionPct: 'Collection Rate'
+};
+
+// Fewest periods that still leave a training and a test set
+const MIN_PERIODS = 4;
+
+// Group that collects every payer outside the top N
+export const OTHER_PAYERS = 'Other Payers';
+
+// Group of payers without a financial class in the alias table
+export const UNCLASSIFIED_PAYERS = 'Unclassified';
+
+// How payers are grouped for the per-payer features and analyses
+export const PAYER_GROUPINGS = {
+    payer: 'Individual payers',
+    financialClass: 'Financial class'
+};
+
+// Engineered features the regression model is fitted on, ahead of the payer shares
+const REGRESSION_FEATURES = [
+    'totalChargeAmount',
+    'totalVisitCount',
+    'weightedAvgCollectionPct',
+    'pctVisitsWithLabs',
+    'chargesPerVisit'
+];
+
+const FEATURE_LABELS = {
+    totalChargeAmount: 'Total Charges',
+    totalVisitCount: 'Visit Count',
+    weightedAvgCollectionPct: 'Collection Rate',
+    avgPaymentPerVisit: 'Payment per Visit',
+    pctVisitsWithLabs: 'Visits with Labs %',
+    chargesPerVisit: 'Charges per Visit'
+};
+
+// Pipeline phases reported through the progress callback, in run order
+export const ANALYSIS_PHASES = {
+    aggregate: 'Aggregating periods',
+    features: 'Engineering features',
+    split: 'Planning backtest folds',
+    models: 'Backtesting models',
+    evaluate: 'Selecting and refitting the best model',
+    classify: 'Classifying performance',
+    insights: 'Generating insights',
+    forecast: 'Forecasting future periods',
+    locations: 'Comparing locations',
+    complete: 'Analysis complete'
+};
+
 export class HealthcareAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} options - Overrides of DEFAULT_ANALYSIS_OPTIONS
+     * @param {ModelRegistry} models - Models to backtest (the shared registry by default)
+     */
+    constructor(options = {}, models = modelRegistry) {
+        this.options = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+        this.models = models;
         this.rawData = null;
         this.cleanedData = null;
         this.weeklyData = null;
         this.features = null;
+        this.payerGroups = null;
         this.analysisResults = null;
+        this.dataLoader = new DataLoader();
+        this.columnMapper = new ColumnMapper();
+        this.datasetMerger = new DatasetMerger();
+        this.dataQualityChecker = new DataQualityChecker();
+        this.payerAliases = new PayerAliasRegistry();
+        this.columnMapping = null;
     }
 
-    async loadExcelFile(file) {
-        console.log('📊 Loading Excel file for analysis...');
+    async readFile(file) {
+        console.log(`📊 Reading ${file.name}...`);
         
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, {
-                        cellStyles: true,
-                        cellFormulas: true,
-                        cellDates: true,
-                        cellNF: true,
-                        sheetStubs: true
-                    });
+        const workbook = await this.dataLoader.readFile(file);
+        
+        workbook.sheets.forEach(sheet => {
+            console.log(`Raw data loaded: ${workbook.fileName} › ${sheet.name}: ${sheet.rows.length} rows (${workbook.format})`);
+        });
+        
+        this.rawData = workbook.sheets;
+        return workbook;
+    }
 
-                    // Get first worksheet
-                    const firstSheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[firstSheetName];
-                    
-                    // Convert to JSON
-                    const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-                    
-                    console.log(`Raw data loaded: ${rawData.length} rows`);
-                    
-                    // Clean and structure the data
-                    const cleanedData = this.cleanExcelData(rawData);
-                    
-                    this.rawData = rawData;
-                    this.cleanedData = cleanedData;
-                    
-                    resolve(cleanedData);
-                    
-                } catch (error) {
-                    console.error('Excel processing error:', error);
-                    reject(new Error('Failed to process Excel file: ' + error.message));
-                }
-            };
-            
-            reader.onerror = () => {
-                reject(new Error('Failed to read file'));
-            };
-            
-            reader.readAsArrayBuffer(file);
+    async loadFile(file, columnMapping = null) {
+        console.log('📊 Loading file for analysis...');
+        
+        const workbook = await this.readFile(file);
+        
+        // Clean every sheet and merge them into one dataset
+        const datasets = workbook.sheets.map(sheet => {
+            const source = this.getSourceLabel(workbook, sheet);
+            return { source, records: this.cleanExcelData(sheet.rows, columnMapping, source) };
         });
+        const { records } = this.mergeDatasets(datasets);
+        this.cleanedData = records;
+        
+        return records;
+    }
+
+    // Kept for callers that predate CSV support; accepts any supported format
+    async loadExcelFile(file, columnMapping = null) {
+        return this.loadFile(file, columnMapping);
+    }
+
+    getSourceLabel(workbook, sheet) {
+        return workbook.format === 'excel' ? `${workbook.fileName} › ${sheet.name}` : workbook.fileName;
+    }
+
+    mergeDatasets(datasets, strategy = 'first') {
+        return this.datasetMerger.merge(datasets, strategy);
+    }
+
+    assessDataQuality(records, mergeResult = {}) {
+        return this.dataQualityChecker.assess(records, mergeResult);
     }
 
-    cleanExcelData(rawData) {
+    detectColumnMapping(rawData) {
+        const mapping = this.columnMapper.detect(rawData);
+        console.log('🧭 Detected column mapping:', mapping.columns);
+        
+        if (mapping.missingRequired.length > 0) {
+            console.warn('Unmapped required fields:', mapping.missingRequired);
+        }
+        
+        return mapping;
+    }
+
+    cleanExcelData(rawData, columnMapping = null, source = null) {
         console.log('🧹 Cleaning Excel data...');
         
         if (rawData.length < 2) {
-            throw new Error('Excel file appears to be empty or invalid');
+            throw new Error('File appears to be empty or invalid');
         }
 
-        const headers = rawData[0];
-        const dataRows = rawData.slice(1);
+        const mapping = this.columnMapper.assertComplete(columnMapping || this.detectColumnMapping(rawData));
+        const columns = mapping.columns;
+        const dataRows = rawData.slice(mapping.headerRowIndex + 1);
+
+        console.log('Column headers:', mapping.headers);
 
-        console.log('Column headers:', headers);
+        const cell = (row, field) => columns[field] === undefined ? undefined : row[columns[field]];
+        const isPresent = (value) => value !== null && value !== undefined && value !== '';
 
         const cleanedData = [];
-        let currentYear = null, currentWeek = null, currentPayer = null;
+        // Records whose collection % was a bare number, rescaled below if the column is 0–100
+        const bareCollection = [];
+        let currentYear = null, currentWeek = null, currentPayer = null, currentLocation = null;
 
         for (let i = 0; i < dataRows.length; i++) {
-            const row = dataRows[i];
+            const row = dataRows[i] || [];
             
             // Handle hierarchical data structure (Excel merged cells)
-            if (row[0] !== null && row[0] !== undefined && row[0] !== '') {
-                currentYear = row[0];
+            if (isPresent(cell(row, 'year'))) {
+                currentYear = cell(row, 'year');
             }
-            if (row[1] !== null && row[1] !== undefined && row[1] !== '') {
-                currentWeek = row[1];
+            if (isPresent(cell(row, 'week'))) {
+                currentWeek = cell(row, 'week');
             }
-            if (row[2] !== null && row[2] !== undefined && row[2] !== '') {
-                currentPayer = row[2];
+            if (isPresent(cell(row, 'payer'))) {
+                currentPayer = cell(row, 'payer');
+            }
+            if (isPresent(cell(row, 'location'))) {
+                currentLocation = String(cell(row, 'location')).trim();
             }
             
             // Skip rows with missing essential data
-            if (!currentYear || !currentWeek || !currentPayer || !row[3]) {
+            if (!currentYear || !currentWeek || !currentPayer || !cell(row, 'emGroup')) {
                 continue;
             }
             
-            // Extract and validate numeric fields
+            // Extract and validate numeric fields, remembering blank and coerced cells
+            const cellIssues = [];
+            const number = (field) => {
+                if (columns[field] === undefined) return 0;
+                const raw = cell(row, field);
+                const { value, status } = this.readNumber(raw);
+                if (status !== 'ok') {
+                    cellIssues.push({ field, type: status, value: raw ?? null });
+                }
+                return value;
+            };
+            
+            const { payer, financialClass } = this.payerAliases.resolve(currentPayer);
+            const calendarWeek = resolveWeek(currentYear, currentWeek);
+            
             const record = {
+                source: source,
+                sourceRow: mapping.headerRowIndex + i + 2,
                 year: currentYear,
                 week: currentWeek,
-                payer: currentPayer,
-                emGroup: row[3] || 'Unknown',
-                paymentsPctOfTotal: this.parseNumber(row[4]),
-                avgPayment: this.parseNumber(row[5]),
-                avgEMWeight: this.parseNumber(row[6]),
-                chargeAmount: this.parseNumber(row[7]),
-                collectionPct: this.parseNumber(row[8]),
-                totalPayments: this.parseNumber(row[9]),
-                visitCount: parseInt(row[10]) || 0,
-                visitsWithLabCount: parseInt(row[11]) || 0
+                isoYear: calendarWeek?.isoYear ?? null,
+                isoWeek: calendarWeek?.isoWeek ?? null,
+                weekStart: calendarWeek?.weekStart ?? null,
+                location: currentLocation || null,
+                payer: payer,
+                rawPayer: currentPayer,
+                financialClass: financialClass,
+                emGroup: cell(row, 'emGroup') || 'Unknown',
+                paymentsPctOfTotal: number('paymentsPctOfTotal'),
+                avgPayment: number('avgPayment'),
+                avgEMWeight: number('avgEMWeight'),
+                chargeAmount: number('chargeAmount'),
+                collectionPct: number('collectionPct'),
+                totalPayments: number('totalPayments'),
+                visitCount: Math.round(number('visitCount')),
+                visitsWithLabCount: Math.round(number('visitsWithLabCount')),
+                cellIssues: cellIssues
             };
             
+            // Derive collection rate when the export has no collection column
+            if (columns.collectionPct === undefined) {
+                record.collectionPct = record.chargeAmount > 0 ? record.totalPayments / record.chargeAmount : 0;
+            } else if (!String(cell(row, 'collectionPct') ?? '').trim().endsWith('%')) {
+                bareCollection.push(record);
+            }
+            
             // Calculate derived features
             record.pctVisitsWithLabs = record.visitCount > 0 ? 
                 record.visitsWithLabCount / record.visitCount : 0;
@@ -119,59 +280,181 @@ export class HealthcareAnalyzer {
             cleanedData.push(record);
         }
 
+        // "85%" is already read as 0.85; bare numbers follow the column's scale, so a 0–100
+        // column is converted to fractions like everything downstream expects
+        if (this.dataQualityChecker.detectPercentScale(bareCollection.map(record => record.collectionPct)) === 'percent') {
+            console.log('Collection % stored as 0–100, converting to fractions');
+            bareCollection.forEach(record => {
+                record.collectionPct = record.collectionPct / 100;
+                record.collectionScale = 'percent';
+            });
+        }
+
+        this.columnMapping = mapping;
+
         console.log(`Cleaned dataset: ${cleanedData.length} records`);
         return cleanedData;
     }
 
+    /**
+     * Re-resolve payer names after the alias table changes
+     * @param {Array<Object>} records - Cleaned records
+     * @returns {Array<Object>} Records with canonical payer and financial class
+     */
+    applyPayerAliases(records) {
+        return records.map(record => {
+            const rawPayer = record.rawPayer ?? record.payer;
+            return { ...record, rawPayer, ...this.payerAliases.resolve(rawPayer) };
+        });
+    }
+
     parseNumber(value) {
-        if (value === null || value === undefined || value === '') return 0;
-        const num = parseFloat(value);
-        return isNaN(num) ? 0 : num;
+        return this.readNumber(value).value;
     }
 
+    /**
+     * Parse a numeric cell and report how it was read
+     * @param {any} value - Raw cell value
+     * @returns {Object} { value, status } where status is 'ok', 'blank' or 'coerced'
+     */
+    readNumber(value) {
+        if (value === null || value === undefined || value === '') return { value: 0, status: 'blank' };
+        if (typeof value === 'number') return isNaN(value) ? { value: 0, status: 'coerced' } : { value, status: 'ok' };
+        
+        // Text exports carry formatting: "$1,234.50", "(120.00)", "85%", "1.234,56"
+        let text = String(value).trim();
+        if (text === '') return { value: 0, status: 'blank' };
+        const isNegative = /^\(.*\)$/.test(text);
+        const isPercent = text.endsWith('%');
+        text = text.replace(/[()%$€£\s]/g, '');
+        
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+        if (lastComma > -1 && lastDot > -1) {
+            // Whichever separator comes last is the decimal mark
+            text = lastComma > lastDot ?
+                text.replace(/\./g, '').replace(',', '.') :
+                text.replace(/,/g, '');
+        } else if (lastComma > -1) {
+            text = /^-?\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+        }
+        
+        let num = parseFloat(text);
+        if (isNaN(num)) return { value: 0, status: 'coerced' };
+        if (isNegative) num = -Math.abs(num);
+        if (isPercent) num = num / 100;
+        
+        // Anything left over after the number (e.g. "12 visits") was dropped
+        const status = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text) ? 'ok' : 'coerced';
+        return { value: num, status };
+    }
+
+    /**
+     * Run the full pipeline
+     * @param {Array<Object>} data - Cleaned records
+     * @param {Function} progressCallback - Called with (percent, phase) as each phase starts;
+     *   phase is a key of ANALYSIS_PHASES
+     * @returns {Promise<Object>} Analysis results (plain data, safe to post between threads)
+     */
     async runCompleteAnalysis(data, progressCallback) {
         console.log('🔬 Starting complete statistical analysis...');
         
         try {
-            progressCallback?.(10);
+            const allLocations = data;
+            data = this.filterByLocation(data);
+            progressCallback?.(10, 'aggregate');
             
-            // Phase 1: Weekly Aggregation
-            this.weeklyData = this.aggregateByWeek(data);
-            progressCallback?.(25);
+            // Phase 1: Period Aggregation (weekly unless another grain is selected)
+            this.payerGroups = this.groupPayers(data);
+            this.weeklyData = this.aggregateByPeriod(data, this.payerGroups);
+            this.assertEnoughPeriods(this.weeklyData);
+            progressCallback?.(25, 'features');
             
             // Phase 2: Feature Engineering
             this.features = this.engineerFeatures(this.weeklyData);
-            progressCallback?.(40);
+            progressCallback?.(40, 'split');
+            
+            // Phase 3: Rolling-Origin Backtest Folds
+            const { plan, trainCorrelations } = this.createBacktestSplits(this.features);
+            progressCallback?.(55, 'models');
             
-            // Phase 3: Train/Test Split
-            const { trainData, testData, trainCorrelations } = this.createTrainTestSplit(this.features);
-            progressCallback?.(55);
+            // Phase 4: Model Development on every fold
+            const backtest = this.backtestModels(this.features, plan);
+            progressCallback?.(70, 'evaluate');
             
-            // Phase 4: Model Development
-            const models = this.developModels(trainData, testData);
-            progressCallback?.(70);
+            // Phase 5: Model Selection on averaged fold metrics
+            const { bestModel, fittedModels } = this.selectBestModel(backtest, this.features);
+            const regression = fittedModels['OLS Regression']?.state || null;
+            const regularization = {
+                ridge: fittedModels[PENALTIES.ridge]?.state || null,
+                lasso: fittedModels[PENALTIES.lasso]?.state || null
+            };
+            progressCallback?.(85, 'classify');
+            
+            // Phase 6: Performance Classification against the backtest error band
+            const classification = this.createPerformanceClassifier(backtest, bestModel);
+            const performanceResults = this.classifyPerformance(this.features, bestModel, fittedModels, classification);
+            const diagnostics = diagnoseResiduals(performanceResults, { payers: this.payerGroups.groups.map(group => group.name) });
+            progressCallback?.(95, 'insights');
             
-            // Phase 5: Model Evaluation
-            const { results, bestModel, trainStats } = this.evaluateModels(models, testData);
-            progressCallback?.(85);
+            // Phase 7: Generate Insights, explained by the best model's own drivers
+            const featureImportance = this.explainBestModel(this.features, bestModel, fittedModels, performanceResults);
+            const baselines = computeBaselines(this.weeklyData);
+            const insightBaselines = this.selectInsightBaselines(this.weeklyData, baselines);
+            const finalResults = this.generateDetailedAnalysis(performanceResults, this.features, insightBaselines);
+            const varianceBridge = this.explainVariance(this.weeklyData);
+            const emAnalysis = this.analyzeEMCoding(this.weeklyData);
+            const labAnalysis = this.analyzeLabUtilization(this.weeklyData);
+            progressCallback?.(96, 'forecast');
             
-            // Phase 6: Performance Classification
-            const performanceResults = this.classifyPerformance(this.features, bestModel, trainStats);
-            progressCallback?.(95);
+            // Phase 8: Forward forecast from the best model
+            const forecast = this.forecastFuture(this.features, bestModel, fittedModels);
+            progressCallback?.(97, 'locations');
             
-            // Phase 7: Generate Insights
-            const finalResults = this.generateDetailedAnalysis(performanceResults, this.features);
-            progressCallback?.(100);
+            // Phase 9: Per-location models for the site roll-up
+            const locationComparison = this.compareLocations(allLocations);
+            progressCallback?.(100, 'complete');
             
             // Store complete results
             this.analysisResults = {
-                methodology: 'Proper train/test split with statistical validation',
+                methodology: `Rolling-origin backtest (${BACKTEST_WINDOWS[backtest.window].toLowerCase()}, ` +
+                    `${backtest.folds} fold${backtest.folds === 1 ? '' : 's'} × ${backtest.horizon} periods) with the best model refitted on all periods`,
                 bestModel: bestModel,
+                backtest: backtest,
                 trainCorrelations: trainCorrelations,
+                featureLabels: this.getFeatureLabels([
+                    ...Object.keys(trainCorrelations),
+                    ...(regression ? regression.coefficients.map(c => c.feature) : []),
+                    ...(featureImportance ? featureImportance.features.map(f => f.feature) : [])
+                ]),
+                regression: regression,
+                regularization: regularization,
+                timeSeries: this.describeTimeSeriesModels(fittedModels),
+                featureSelection: this.summarizeFeatureSelection(trainCorrelations, regularization),
+                payerGroups: this.payerGroups.groups,
+                classification: classification,
                 performanceResults: performanceResults,
+                diagnostics: diagnostics,
+                featureImportance: featureImportance,
+                varianceBridge: varianceBridge,
+                emAnalysis: emAnalysis,
+                labAnalysis: labAnalysis,
+                baselines: baselines,
+                insightBaseline: this.describeInsightBaselines(this.weeklyData, insightBaselines),
+                kpis: this.compareKPIs(this.weeklyData, insightBaselines),
                 finalResults: finalResults,
+                forecast: forecast,
+                granularity: {
+                    key: this.options.granularity,
+                    ...GRANULARITIES[this.options.granularity],
+                    fiscalYearStartMonth: this.options.fiscalYearStartMonth
+                },
+                location: this.options.location,
+                locations: this.getLocations(allLocations),
+                locationComparison: locationComparison,
                 benchmarks: {
-                    totalWeeks: this.features.length,
+                    totalWeeks: new Set(data.map(record => record.weekStart).filter(Boolean)).size,
+                    totalPeriods: this.features.length,
                     avgAccuracy: ((1 - bestModel.mae / this.calculateMean(this.features.map(f => f.totalPayments))) * 100).toFixed(1) + '%',
                     modelMAE: bestModel.mae
                 }
@@ -186,22 +469,259 @@ export class HealthcareAnalyzer {
         }
     }
 
-    aggregateByWeek(cleanedData) {
-        console.log('📊 Aggregating data by week...');
+    /**
+     * Locations present in the data
+     * @param {Array<Object>} cleanedData - Cleaned records
+     * @returns {Array<string>} Sorted location names (empty when there is no location column)
+     */
+    getLocations(cleanedData) {
+        return [...new Set(cleanedData.map(record => record.location).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Keep the records of the selected location (options.location); null keeps every location
+     * @param {Array<Object>} cleanedData - Cleaned records
+     * @returns {Array<Object>} Records in scope for the analysis
+     */
+    filterByLocation(cleanedData, location = this.options.location) {
+        if (!location) return cleanedData;
+        
+        const filtered = cleanedData.filter(record => record.location === location);
+        if (filtered.length === 0) {
+            throw new Error(`No records found for location: ${location}`);
+        }
+        
+        console.log(`📍 Analyzing ${location}: ${filtered.length} of ${cleanedData.length} records`);
+        return filtered;
+    }
+
+    /**
+     * Fit a separate model for every location and summarise them side by side
+     * @param {Array<Object>} cleanedData - Cleaned records for all locations
+     * @returns {Array<Object>} One row per location, sorted by total payments; empty
+     *   when the data has fewer than two locations
+     */
+    compareLocations(cleanedData) {
+        const locations = this.getLocations(cleanedData);
+        if (locations.length < 2) return [];
+        
+        console.log(`📍 Comparing ${locations.length} locations...`);
+        
+        const rows = locations.map(location => {
+            const records = cleanedData.filter(record => record.location === location);
+            const totalPayments = this.sum(records.map(r => r.totalPayments));
+            const totalCharges = this.sum(records.map(r => r.chargeAmount));
+            const totalVisits = this.sum(records.map(r => r.visitCount));
+            const totalVisitsWithLabs = this.sum(records.map(r => r.visitsWithLabCount));
+            
+            const row = {
+                location: location,
+                records: records.length,
+                totalPayments: totalPayments,
+                totalCharges: totalCharges,
+                totalVisits: totalVisits,
+                paymentPerVisit: totalVisits > 0 ? totalPayments / totalVisits : 0,
+                chargesPerVisit: totalVisits > 0 ? totalCharges / totalVisits : 0,
+                collectionPct: totalCharges > 0 ? totalPayments / totalCharges : 0,
+                pctVisitsWithLabs: totalVisits > 0 ? totalVisitsWithLabs / totalVisits : 0,
+                periods: 0,
+                bestModel: null,
+                mae: null,
+                accuracy: null,
+                overPerformed: 0,
+                averagePerformance: 0,
+                underPerformed: 0,
+                latestPerformance: null,
+                error: null
+            };
+            
+            try {
+                // A fresh analyzer keeps this location's state apart from the pooled analysis
+                const analyzer = new HealthcareAnalyzer({ ...this.options, location: null }, this.models);
+                const results = analyzer.runLocationModel(records);
+                const diagnostics = results.performanceResults.map(r => r.performanceDiagnostic);
+                
+                Object.assign(row, {
+                    periods: results.performanceResults.length,
+                    bestModel: results.bestModel.modelName,
+                    mae: results.bestModel.mae,
+                    accuracy: results.accuracy,
+                    overPerformed: diagnostics.filter(d => d === 'Over Performed').length,
+                    averagePerformance: diagnostics.filter(d => d === 'Average Performance').length,
+                    underPerformed: diagnostics.filter(d => d === 'Under Performed').length,
+                    latestPerformance: diagnostics[diagnostics.length - 1] || null
+                });
+            } catch (error) {
+                console.warn(`⚠️ No model for ${location}:`, error.message);
+                row.error = error.message;
+            }
+            
+            return row;
+        });
+        
+        // Index each site against the all-site totals
+        const allPayments = this.sum(rows.map(row => row.totalPayments));
+        const allVisits = this.sum(rows.map(row => row.totalVisits));
+        const overallRate = allVisits > 0 ? allPayments / allVisits : 0;
+        rows.forEach(row => {
+            row.shareOfPayments = allPayments > 0 ? row.totalPayments / allPayments : 0;
+            row.paymentPerVisitIndex = overallRate > 0 ? row.paymentPerVisit / overallRate : null;
+        });
+        
+        return rows.sort((a, b) => b.totalPayments - a.totalPayments);
+    }
+
+    /**
+     * Run the modelling phases for one location's records
+     * @param {Array<Object>} records - Cleaned records of a single location
+     * @returns {Object} { bestModel, performanceResults, accuracy }
+     */
+    runLocationModel(records) {
+        this.payerGroups = this.groupPayers(records);
+        this.weeklyData = this.aggregateByPeriod(records, this.payerGroups);
+        this.assertEnoughPeriods(this.weeklyData);
+        
+        this.features = this.engineerFeatures(this.weeklyData);
+        const { plan } = this.createBacktestSplits(this.features);
+        const backtest = this.backtestModels(this.features, plan);
+        const { bestModel, fittedModels } = this.selectBestModel(backtest, this.features);
+        const classification = this.createPerformanceClassifier(backtest, bestModel);
+        const performanceResults = this.classifyPerformance(this.features, bestModel, fittedModels, classification);
+        
+        return {
+            bestModel: bestModel,
+            performanceResults: performanceResults,
+            accuracy: 1 - bestModel.mae / this.calculateMean(this.features.map(f => f.totalPayments))
+        };
+    }
+
+    assertEnoughPeriods(periods) {
+        if (periods.length < MIN_PERIODS) {
+            const unit = GRANULARITIES[this.options.granularity].unit;
+            throw new Error(`At least ${MIN_PERIODS} ${unit}s of data are needed for analysis (found ${periods.length})`);
+        }
+    }
+
+    /**
+     * Rank payers by total payments and keep the top N, folding the rest into one group
+     * @param {Array<Object>} cleanedData - Cleaned records
+     * @param {number} topN - Payers reported individually (0 keeps every payer)
+     * @param {string} grouping - Key of PAYER_GROUPINGS; 'financialClass' ignores topN
+     * @returns {Object} { groups: [{ name, payers, isOther, totalPayments, totalCharges, totalVisits }], assignments }
+     */
+    groupPayers(cleanedData, topN = this.options.topPayers, grouping = this.options.payerGrouping) {
+        if (grouping === 'financialClass') {
+            return this.groupPayersByFinancialClass(cleanedData);
+        }
+        
+        const totals = {};
+        cleanedData.forEach(record => {
+            const payer = String(record.payer);
+            if (!totals[payer]) {
+                totals[payer] = { name: payer, payers: [payer], isOther: false, totalPayments: 0, totalCharges: 0, totalVisits: 0 };
+            }
+            totals[payer].totalPayments += record.totalPayments || 0;
+            totals[payer].totalCharges += record.chargeAmount || 0;
+            totals[payer].totalVisits += record.visitCount || 0;
+        });
+
+        const ranked = Object.values(totals).sort((a, b) =>
+            b.totalPayments - a.totalPayments || b.totalCharges - a.totalCharges || a.name.localeCompare(b.name)
+        );
+        const limit = topN > 0 ? topN : ranked.length;
+        const groups = ranked.slice(0, limit);
+        const others = ranked.slice(limit);
+
+        if (others.length > 0) {
+            groups.push({
+                name: OTHER_PAYERS,
+                payers: others.map(payer => payer.name),
+                isOther: true,
+                totalPayments: this.sum(others.map(payer => payer.totalPayments)),
+                totalCharges: this.sum(others.map(payer => payer.totalCharges)),
+                totalVisits: this.sum(others.map(payer => payer.totalVisits))
+            });
+        }
+
+        const assignments = {};
+        groups.forEach(group => group.payers.forEach(payer => {
+            assignments[payer] = group.name;
+        }));
+
+        console.log(`🏥 ${ranked.length} payers found, reporting ${groups.length} payer groups`);
+        return { groups, assignments };
+    }
+
+    /**
+     * Group payers by the financial class from the payer alias table; payers without one are Unclassified.
+     * A payer is kept in the class of its first record.
+     * @param {Array<Object>} cleanedData - Cleaned records
+     * @returns {Object} { groups, assignments } in the same shape as groupPayers, every class reported
+     */
+    groupPayersByFinancialClass(cleanedData) {
+        const assignments = {};
+        const totals = {};
+        cleanedData.forEach(record => {
+            const payer = String(record.payer);
+            if (assignments[payer] === undefined) {
+                assignments[payer] = record.financialClass || UNCLASSIFIED_PAYERS;
+            }
+            const name = assignments[payer];
+            if (!totals[name]) {
+                totals[name] = { name, payers: [], isOther: name === UNCLASSIFIED_PAYERS, totalPayments: 0, totalCharges: 0, totalVisits: 0 };
+            }
+            if (!totals[name].payers.includes(payer)) {
+                totals[name].payers.push(payer);
+            }
+            totals[name].totalPayments += record.totalPayments || 0;
+            totals[name].totalCharges += record.chargeAmount || 0;
+            totals[name].totalVisits += record.visitCount || 0;
+        });
         
-        const weeklyGroups = {};
+        const groups = Object.values(totals).sort((a, b) =>
+            a.isOther - b.isOther || b.totalPayments - a.totalPayments || a.name.localeCompare(b.name)
+        );
         
-        // Group by year-week combination
+        console.log(`🏥 ${Object.keys(assignments).length} payers found, reporting ${groups.length} financial classes`);
+        return { groups, assignments };
+    }
+
+    aggregateByWeek(cleanedData, payerGroups = this.groupPayers(cleanedData)) {
+        return this.aggregateByPeriod(cleanedData, payerGroups, 'week');
+    }
+
+    /**
+     * Aggregate cleaned records into reporting periods
+     * @param {Array<Object>} cleanedData - Cleaned records with a weekStart
+     * @param {Object} payerGroups - Payer groups from groupPayers
+     * @param {string} granularity - 'week', 'month', 'quarter', 'fiscalMonth' or 'fiscalQuarter'
+     * @returns {Array<Object>} Period aggregates sorted chronologically
+     */
+    aggregateByPeriod(cleanedData, payerGroups = this.groupPayers(cleanedData), granularity = this.options.granularity) {
+        console.log(`📊 Aggregating data by ${GRANULARITIES[granularity]?.unit || granularity}...`);
+        
+        const periodGroups = {};
+        let skipped = 0;
+        
+        // Group by reporting period; rows whose week could not be read are left out
         cleanedData.forEach(record => {
-            const weekKey = `${record.year}-${record.week}`;
-            if (!weeklyGroups[weekKey]) {
-                weeklyGroups[weekKey] = [];
+            if (!record.weekStart) {
+                skipped++;
+                return;
+            }
+            const period = getPeriod(record.weekStart, granularity, this.options.fiscalYearStartMonth);
+            if (!periodGroups[period.periodKey]) {
+                periodGroups[period.periodKey] = { period, records: [] };
             }
-            weeklyGroups[weekKey].push(record);
+            periodGroups[period.periodKey].records.push(record);
         });
+        
+        if (skipped > 0) {
+            console.warn(`⚠️ ${skipped} records with an unrecognised week were excluded`);
+        }
 
-        const weeklyAggregated = Object.entries(weeklyGroups).map(([weekKey, weekRecords]) => {
-            const [year, week] = weekKey.split('-');
+        const periodAggregated = Object.values(periodGroups).map(({ period, records: weekRecords }) => {
             
             // Calculate aggregated metrics
             const totalPayments = this.sum(weekRecords.map(r => r.totalPayments));
@@ -216,86 +736,243 @@ export class HealthcareAnalyzer {
             const avgPaymentPerVisit = totalVisitCount > 0 ? totalPayments / totalVisitCount : 0;
             const pctVisitsWithLabs = totalVisitCount > 0 ? totalVisitsWithLabs / totalVisitCount : 0;
             
-            // Payer-specific metrics
-            const bcbsRecords = weekRecords.filter(r => r.payer === '2-BCBS');
-            const aetnaRecords = weekRecords.filter(r => r.payer === '17-AETNA');
-            const selfPayRecords = weekRecords.filter(r => r.payer === '1-SELF PAY');
+            // Payer-specific metrics for every payer group, including weeks a payer is absent
+            const payerMetrics = {};
+            payerGroups.groups.forEach(group => {
+                const payerRecords = weekRecords.filter(r => payerGroups.assignments[String(r.payer)] === group.name);
+                const charges = this.sum(payerRecords.map(r => r.chargeAmount));
+                const payments = this.sum(payerRecords.map(r => r.totalPayments));
+                const visits = this.sum(payerRecords.map(r => r.visitCount));
+                
+                payerMetrics[group.name] = {
+                    charges: charges,
+                    payments: payments,
+                    visits: visits,
+                    visitsWithLabs: this.sum(payerRecords.map(r => r.visitsWithLabCount)),
+                    collectionPct: charges > 0 ? this.sum(payerRecords.map(r => r.collectionPct * r.chargeAmount)) / charges : 0,
+                    paymentPerVisit: visits > 0 ? payments / visits : 0
+                };
+            });
             
             return {
-                year: parseInt(year),
-                week: week,
-                weekKey: weekKey,
+                year: period.year,
+                week: granularity === 'week' ? weekRecords[0].isoWeek : null,
+                periodKey: period.periodKey,
+                periodLabel: period.periodLabel,
+                periodStart: period.periodStart,
+                weekCount: new Set(weekRecords.map(r => r.weekStart)).size,
                 totalPayments: totalPayments,
                 totalChargeAmount: totalChargeAmount,
                 totalVisitCount: totalVisitCount,
                 weightedAvgCollectionPct: weightedAvgCollectionPct,
                 avgPaymentPerVisit: avgPaymentPerVisit,
                 pctVisitsWithLabs: pctVisitsWithLabs,
-                bcbsCharges: this.sum(bcbsRecords.map(r => r.chargeAmount)),
-                bcbsVisits: this.sum(bcbsRecords.map(r => r.visitCount)),
-                bcbsCollectionPct: bcbsRecords.length > 0 ? this.mean(bcbsRecords.map(r => r.collectionPct)) : 0,
-                aetnaCharges: this.sum(aetnaRecords.map(r => r.chargeAmount)),
-                aetnaVisits: this.sum(aetnaRecords.map(r => r.visitCount)),
-                aetnaCollectionPct: aetnaRecords.length > 0 ? this.mean(aetnaRecords.map(r => r.collectionPct)) : 0,
-                selfPayCharges: this.sum(selfPayRecords.map(r => r.chargeAmount)),
-                selfPayVisits: this.sum(selfPayRecords.map(r => r.visitCount)),
-                selfPayCollectionPct: selfPayRecords.length > 0 ? this.mean(selfPayRecords.map(r => r.collectionPct)) : 0,
+                payerMetrics: payerMetrics,
                 detailRecords: weekRecords
             };
         });
 
-        console.log(`Weekly aggregated: ${weeklyAggregated.length} weeks`);
-        return weeklyAggregated.sort((a, b) => a.year - b.year || a.week.localeCompare(b.week));
+        console.log(`Aggregated: ${periodAggregated.length} periods (${granularity})`);
+        return periodAggregated.sort((a, b) => a.periodStart.localeCompare(b.periodStart));
     }
 
     engineerFeatures(weeklyData) {
         console.log('⚙️ Engineering features...');
         
-        return weeklyData.map(week => ({
-            weekKey: week.weekKey,
-            year: week.year,
-            week: week.week,
-            totalPayments: week.totalPayments,
-            totalChargeAmount: week.totalChargeAmount,
-            totalVisitCount: week.totalVisitCount,
-            weightedAvgCollectionPct: week.weightedAvgCollectionPct,
-            avgPaymentPerVisit: week.avgPaymentPerVisit,
-            pctVisitsWithLabs: week.pctVisitsWithLabs,
-            bcbsChargesPct: week.totalChargeAmount > 0 ? week.bcbsCharges / week.totalChargeAmount : 0,
-            aetnaChargesPct: week.totalChargeAmount > 0 ? week.aetnaCharges / week.totalChargeAmount : 0,
-            selfPayChargesPct: week.totalChargeAmount > 0 ? week.selfPayCharges / week.totalChargeAmount : 0,
-            chargesPerVisit: week.totalVisitCount > 0 ? week.totalChargeAmount / week.totalVisitCount : 0,
-            originalData: week
-        }));
+        return weeklyData.map(week => {
+            const features = {
+                periodKey: week.periodKey,
+                periodLabel: week.periodLabel,
+                periodStart: week.periodStart,
+                year: week.year,
+                week: week.week,
+                totalPayments: week.totalPayments,
+                totalChargeAmount: week.totalChargeAmount,
+                totalVisitCount: week.totalVisitCount,
+                weightedAvgCollectionPct: week.weightedAvgCollectionPct,
+                avgPaymentPerVisit: week.avgPaymentPerVisit,
+                pctVisitsWithLabs: week.pctVisitsWithLabs,
+                chargesPerVisit: week.totalVisitCount > 0 ? week.totalChargeAmount / week.totalVisitCount : 0,
+                originalData: week
+            };
+            
+            // Share of charges and visits for each payer group
+            Object.entries(week.payerMetrics).forEach(([payer, metrics]) => {
+                features[this.getPayerFeatureKey(payer, 'ChargesPct')] = week.totalChargeAmount > 0 ?
+                    metrics.charges / week.totalChargeAmount : 0;
+                features[this.getPayerFeatureKey(payer, 'VisitsPct')] = week.totalVisitCount > 0 ?
+                    metrics.visits / week.totalVisitCount : 0;
+            });
+            
+            return features;
+        });
     }
 
-    createTrainTestSplit(features, testSize = 0.2) {
-        console.log('🔄 Creating train/test split...');
-        
-        const sortedFeatures = features.sort((a, b) => a.year - b.year || a.week.localeCompare(b.week));
-        const trainSize = Math.floor(sortedFeatures.length * (1 - testSize));
+    getPayerFeatureKey(payer, metric) {
+        return `payer${metric}:${payer}`;
+    }
+
+    /**
+     * Readable labels for feature names, including generated ones (e.g. payer shares)
+     * @param {Array<string>} features - Feature names
+     * @returns {Object} Feature name to label, for known and generated features
+     */
+    getFeatureLabels(features) {
+        const labels = {};
+        features.forEach(feature => {
+            const match = feature.match(/^payer(ChargesPct|VisitsPct):(.*)$/s);
+            if (match) {
+                labels[feature] = `${match[2]} ${match[1] === 'ChargesPct' ? 'Share of Charges' : 'Share of Visits'}`;
+            } else if (FEATURE_LABELS[feature]) {
+                labels[feature] = FEATURE_LABELS[feature];
+            }
+        });
+        return labels;
+    }
+
+    /**
+     * Order the periods and plan the rolling-origin folds from the backtest options
+     * @param {Array<Object>} features - Engineered periods (sorted in place, oldest first)
+     * @returns {Object} { plan, trainCorrelations } - plan from createBacktestFolds; correlations
+     *   use only the periods before the final fold's test block
+     */
+    createBacktestSplits(features) {
+        console.log('🔄 Planning rolling-origin backtest...');
         
-        const trainData = sortedFeatures.slice(0, trainSize);
-        const testData = sortedFeatures.slice(trainSize);
+        const sortedFeatures = features.sort((a, b) => a.periodStart.localeCompare(b.periodStart));
+        const plan = createBacktestFolds(sortedFeatures.length, {
+            window: this.options.backtestWindow,
+            folds: this.options.backtestFolds,
+            horizon: this.options.backtestHorizon
+        });
 
-        console.log(`Training set: ${trainData.length} weeks`);
-        console.log(`Test set: ${testData.length} weeks`);
+        console.log(`${BACKTEST_WINDOWS[plan.window]}: ${plan.folds} folds of ${plan.horizon} periods`);
 
         // Calculate correlations on training data only
-        const trainCorrelations = this.calculateCorrelations(trainData);
+        const lastTestStart = plan.splits[plan.splits.length - 1].test[0];
+        const trainCorrelations = this.calculateCorrelations(sortedFeatures.slice(0, lastTestStart));
 
-        return { trainData, testData, trainCorrelations };
+        return { plan, trainCorrelations };
+    }
+
+    /**
+     * Fit every model on each fold's training window and score it on the fold's test block.
+     * The stacked ensemble blends each fold's models with weights learned on the
+     * out-of-sample predictions of the blocks before it (a validation block, then earlier folds).
+     * @param {Array<Object>} features - Engineered periods, oldest first
+     * @param {Object} plan - Folds from createBacktestFolds
+     * @returns {Object} { window, folds, horizon, splits, summary, residuals, ensemble } - splits carry
+     *   per-fold metrics, summary the per-model averages from summarizeBacktest, residuals each model's
+     *   out-of-sample errors and ensemble the blend weights learned on every block
+     */
+    backtestModels(features, plan) {
+        console.log(`🔁 Backtesting models over ${plan.folds} folds...`);
+        
+        const residuals = {};
+        const validation = createValidationSet();
+        const validationSplit = createValidationSplit(plan);
+        if (validationSplit) {
+            const testData = features.slice(...validationSplit.test);
+            const { results } = this.evaluateModels(this.fitModels(features.slice(...validationSplit.train)), testData);
+            addValidationBlock(validation, testData.map(week => week.totalPayments), results);
+        }
+        
+        const splits = plan.splits.map(split => {
+            const trainData = features.slice(...split.train);
+            const testData = features.slice(...split.test);
+            const actuals = testData.map(week => week.totalPayments);
+            const { results } = this.evaluateModels(this.fitModels(trainData), testData);
+            
+            const weights = learnBlendWeights(validation, results.map(r => r.modelName));
+            addValidationBlock(validation, actuals, results);
+            if (weights) {
+                const predictions = Object.fromEntries(results.map(r => [r.modelName, r.predictions]));
+                results.push(this.calculateMetrics(blendPredictions(weights, predictions), actuals, ENSEMBLE_MODEL));
+            }
+            
+            results.forEach(({ modelName, predictions }) => {
+                residuals[modelName] = [...(residuals[modelName] || []),
+                    ...actuals.map((actual, i) => actual - predictions[i])];
+            });
+            
+            return {
+                fold: split.fold,
+                trainStart: trainData[0].periodLabel,
+                trainEnd: trainData[trainData.length - 1].periodLabel,
+                testStart: testData[0].periodLabel,
+                testEnd: testData[testData.length - 1].periodLabel,
+                trainPeriods: trainData.length,
+                testPeriods: testData.length,
+                results: results.map(({ modelName, mae, rmse, mape, rSquared }) => ({ modelName, mae, rmse, mape, rSquared }))
+            };
+        });
+        
+        const candidates = Object.keys(validation.predictions);
+        return {
+            window: plan.window,
+            folds: plan.folds,
+            horizon: plan.horizon,
+            splits: splits,
+            summary: summarizeBacktest(splits),
+            residuals: residuals,
+            ensemble: {
+                weights: learnBlendWeights(validation, candidates),
+                validationPeriods: validation.actuals.length,
+                candidates: candidates.length
+            }
+        };
+    }
+
+    /**
+     * Build the performance classifier from the best model's out-of-sample residuals
+     * @param {Object} backtest - Result of backtestModels
+     * @param {Object} bestModel - Selected model summary
+     * @returns {Object} Classifier description (see createClassifier)
+     */
+    createPerformanceClassifier(backtest, bestModel) {
+        const classifier = createClassifier(backtest.residuals[bestModel.modelName] || [], {
+            method: this.options.classificationMethod,
+            level: this.options.intervalLevel,
+            zThreshold: this.options.zThreshold,
+            percentThreshold: this.options.percentThreshold
+        });
+        console.log(`🎯 Classifying periods ${describeClassifier(classifier)}`);
+        return classifier;
+    }
+
+    /**
+     * Pick the model with the lowest average backtest MAE and refit every model on all periods;
+     * the stacked ensemble blends the refits with the weights learned across the backtest
+     * @param {Object} backtest - Result of backtestModels
+     * @param {Array<Object>} features - Engineered periods, oldest first
+     * @returns {Object} { bestModel, fittedModels } - bestModel holds the averaged fold metrics
+     */
+    selectBestModel(backtest, features) {
+        const bestModel = backtest.summary.find(model => model.ranked);
+        if (!bestModel) {
+            throw new Error('No model could be fitted on every backtest fold');
+        }
+        
+        console.log(`Best model: ${bestModel.modelName} with average backtest MAE of $${bestModel.mae.toFixed(0)}`);
+        
+        const fittedModels = this.fitModels(features);
+        if (backtest.ensemble.weights) {
+            fittedModels[ENSEMBLE_MODEL] = createEnsembleModel(backtest.ensemble.weights, fittedModels);
+        }
+        return { bestModel, fittedModels };
     }
 
     calculateCorrelations(trainData) {
         const targetVar = trainData.map(f => f.totalPayments);
+        const payers = Object.keys(trainData[0]?.originalData.payerMetrics || {});
         const features = [
             'totalChargeAmount',
             'totalVisitCount',
             'weightedAvgCollectionPct',
             'avgPaymentPerVisit',
-            'bcbsChargesPct',
-            'aetnaChargesPct'
+            'pctVisitsWithLabs',
+            'chargesPerVisit',
+            ...payers.map(payer => this.getPayerFeatureKey(payer, 'ChargesPct'))
         ];
         
         const correlations = {};
@@ -321,60 +998,85 @@ export class HealthcareAnalyzer {
         return denominator === 0 ? 0 : numerator / denominator;
     }
 
-    developModels(trainData, testData) {
-        console.log('🤖 Developing predictive models...');
+    /**
+     * Fit every registered model on the training periods
+     * @param {Array<Object>} trainData - Engineered periods, oldest first
+     * @returns {Object} Model name to fitted model (see ModelRegistry), null where it could not be fitted
+     */
+    fitModels(trainData) {
+        console.log(`🤖 Fitting ${this.models.names.length} models on ${trainData.length} periods...`);
         
-        // Calculate training statistics
-        const avgCollectionRate = this.mean(trainData.map(w => w.weightedAvgCollectionPct));
-        const avgPaymentPerVisit = this.mean(trainData.map(w => w.avgPaymentPerVisit));
-        const avgChargesPerVisit = this.mean(trainData.map(w => w.chargesPerVisit));
-
-        // Model 1: Business Logic Model
-        const model1Predictions = testData.map(week => 
-            week.totalChargeAmount * avgCollectionRate
-        );
-
-        // Model 2: Visit-Based Model
-        const model2Predictions = testData.map(week => 
-            week.totalVisitCount * avgPaymentPerVisit
-        );
-
-        // Model 3: Multi-Factor Model
-        const model3Predictions = testData.map(week => {
-            const chargeComponent = week.totalChargeAmount * week.weightedAvgCollectionPct * 0.6;
-            const visitComponent = week.totalVisitCount * avgPaymentPerVisit * 0.4;
-            return chargeComponent + visitComponent;
+        return this.models.fitAll(trainData, {
+            seasonLength: GRANULARITIES[this.options.granularity].periodsPerYear,
+            regressionFeatures: this.getRegressionFeatures(trainData),
+            payerFeatureKey: (payer, metric) => this.getPayerFeatureKey(payer, metric)
         });
+    }
 
-        // Model 4: Payer-Weighted Model
-        const model4Predictions = testData.map(week => {
-            let basePayment = week.totalVisitCount * avgPaymentPerVisit;
-            const bcbsMultiplier = 1.2;
-            const aetnaMultiplier = 1.15;
-            const payerAdjustment = (week.bcbsChargesPct * bcbsMultiplier) + 
-                                   (week.aetnaChargesPct * aetnaMultiplier) + 
-                                   ((1 - week.bcbsChargesPct - week.aetnaChargesPct) * 1.0);
-            return basePayment * payerAdjustment;
+    /**
+     * Settings of the time-series models refitted on all periods, without their fitted values
+     * @param {Object} fittedModels - Model name to fitted model (or null)
+     * @returns {Object} Key of TIME_SERIES_MODELS to { name, ...settings }, null where the model could not be fitted
+     */
+    describeTimeSeriesModels(fittedModels) {
+        const described = {};
+        Object.entries(TIME_SERIES_MODELS).forEach(([key, name]) => {
+            const model = fittedModels[name]?.state;
+            if (!model) {
+                described[key] = null;
+                return;
+            }
+            const { fitted, lastSeason, history, season, ...settings } = model;
+            described[key] = { name, ...settings };
         });
+        return described;
+    }
 
-        return {
-            model1: { name: "Business Logic", predictions: model1Predictions },
-            model2: { name: "Visit-Based", predictions: model2Predictions },
-            model3: { name: "Multi-Factor", predictions: model3Predictions },
-            model4: { name: "Payer-Weighted", predictions: model4Predictions },
-            trainStats: { avgCollectionRate, avgPaymentPerVisit, avgChargesPerVisit }
+    getRegressionFeatures(trainData) {
+        const payers = Object.keys(trainData[0]?.originalData.payerMetrics || {});
+        return [
+            ...REGRESSION_FEATURES,
+            ...payers.map(payer => this.getPayerFeatureKey(payer, 'ChargesPct'))
+        ];
+    }
+
+    /**
+     * Line up ridge and lasso coefficients with the correlation features
+     * @param {Object} correlations - Feature to training correlation
+     * @param {Object} regularization - { ridge, lasso } models (either may be null)
+     * @returns {Object} Feature to { ridge, lasso, selected }: standardised coefficients
+     *   ($ per standard deviation), with null where the feature is not a model input
+     */
+    summarizeFeatureSelection(correlations, regularization) {
+        const coefficientOf = (model, feature) => {
+            if (!model) return null;
+            const term = model.coefficients.find(c => c.feature === feature);
+            if (term) return term.standardizedCoefficient;
+            // Constant features were left out before fitting, which amounts to a zero coefficient
+            return model.dropped.some(d => d.feature === feature) ? 0 : null;
         };
+
+        const selection = {};
+        Object.keys(correlations).forEach(feature => {
+            const lasso = coefficientOf(regularization.lasso, feature);
+            selection[feature] = {
+                ridge: coefficientOf(regularization.ridge, feature),
+                lasso,
+                selected: lasso === null ? null : lasso !== 0
+            };
+        });
+        return selection;
     }
 
-    evaluateModels(models, testData) {
+    evaluateModels(fittedModels, testData) {
         console.log('📏 Evaluating model performance...');
         
         const testActuals = testData.map(w => w.totalPayments);
         const results = [];
         
-        Object.values(models).forEach(model => {
-            if (model.predictions) {
-                const metrics = this.calculateMetrics(model.predictions, testActuals, model.name);
+        Object.entries(fittedModels).forEach(([name, model]) => {
+            if (model) {
+                const metrics = this.calculateMetrics(model.predict(testData), testActuals, name);
                 results.push(metrics);
             }
         });
@@ -386,7 +1088,7 @@ export class HealthcareAnalyzer {
 
         console.log(`Best model: ${bestModel.modelName} with MAE of $${bestModel.mae.toFixed(0)}`);
 
-        return { results, bestModel, trainStats: models.trainStats };
+        return { results, bestModel };
     }
 
     calculateMetrics(predictions, actuals, modelName) {
@@ -401,113 +1103,428 @@ export class HealthcareAnalyzer {
         const actualMean = this.mean(actuals);
         const totalSumSquares = this.sum(actuals.map(a => Math.pow(a - actualMean, 2)));
         const residualSumSquares = this.sum(errors.map(e => e * e));
-        const rSquared = 1 - (residualSumSquares / totalSumSquares);
+        // Undefined for a one-period (or flat) test block
+        const rSquared = totalSumSquares > 0 ? 1 - (residualSumSquares / totalSumSquares) : null;
         
         return { mae, rmse, mape, rSquared, predictions, modelName };
     }
 
-    calculatePerformance(actualPayments, predictedPayments) {
-        if (!actualPayments || !predictedPayments) return 'Average Performance';
-        
-        const percentageDiff = ((actualPayments - predictedPayments) / predictedPayments) * 100;
-        
-        if (percentageDiff > 2.5) {
-            return 'Over Performed';
-        } else if (percentageDiff < -2.5) {
-            return 'Under Performed';
-        } else {
-            return 'Average Performance';
-        }
-    }
-
-    classifyPerformance(features, bestModel, trainStats) {
+    /**
+     * Predict every period with the best model and label it against the classifier's band
+     * @param {Array<Object>} features - Engineered periods the model was refitted on
+     * @param {Object} bestModel - Selected model summary
+     * @param {Object} fittedModels - Models refitted on all periods
+     * @param {Object} classifier - Result of createPerformanceClassifier
+     * @returns {Array<Object>} One result per scored period with its expected range and residual z-score;
+     *   periods the model has no prediction for (e.g. a seasonal model's first season) are left out
+     */
+    classifyPerformance(features, bestModel, fittedModels, classifier) {
         console.log('🎯 Classifying performance...');
         
         // Apply best model to all data
-        let allPredictions;
-        
-        if (bestModel.modelName === "Visit-Based") {
-            allPredictions = features.map(week => 
-                week.totalVisitCount * trainStats.avgPaymentPerVisit
-            );
-        } else if (bestModel.modelName === "Business Logic") {
-            allPredictions = features.map(week => 
-                week.totalChargeAmount * trainStats.avgCollectionRate
-            );
-        } else if (bestModel.modelName === "Multi-Factor") {
-            allPredictions = features.map(week => {
-                const chargeComponent = week.totalChargeAmount * week.weightedAvgCollectionPct * 0.6;
-                const visitComponent = week.totalVisitCount * trainStats.avgPaymentPerVisit * 0.4;
-                return chargeComponent + visitComponent;
-            });
-        } else {
-            allPredictions = features.map(week => 
-                week.totalVisitCount * trainStats.avgPaymentPerVisit
-            );
+        const allPredictions = this.getFittedModel(fittedModels, bestModel.modelName).predict(features);
+        const unscored = allPredictions.filter(prediction => prediction === null).length;
+        if (unscored > 0) {
+            console.log(`${unscored} periods without prior history are not scored by ${bestModel.modelName}`);
         }
 
-        return features.map((week, i) => {
+        return features.flatMap((week, i) => {
             const actual = week.totalPayments;
             const predicted = allPredictions[i];
+            if (predicted === null) return [];
             const absoluteError = Math.abs(actual - predicted);
             const percentError = actual > 0 ? (predicted - actual) / actual : 0;
             
-            const performanceDiagnostic = this.calculatePerformance(actual, predicted);
+            const { diagnostic, lowerBound, upperBound, zScore } = classifyResidual(actual, predicted, classifier);
             
-            return {
-                weekKey: week.weekKey,
+            return [{
+                periodKey: week.periodKey,
+                periodLabel: week.periodLabel,
+                periodStart: week.periodStart,
                 year: week.year,
                 week: week.week,
                 actualPayments: actual,
                 predictedPayments: predicted,
                 absoluteError: absoluteError,
                 percentError: percentError,
-                performanceDiagnostic: performanceDiagnostic,
+                lowerBound: lowerBound,
+                upperBound: upperBound,
+                zScore: zScore,
+                performanceDiagnostic: diagnostic,
                 originalData: week.originalData
-            };
+            }];
         });
     }
 
-    generateDetailedAnalysis(performanceResults, allFeatures) {
-        console.log('📋 Generating detailed analysis...');
+    /**
+     * Explain the best model on the periods it was refitted on: permutation importance
+     * overall and each feature's contribution to every period's prediction (added to
+     * performanceResults as contributions)
+     * @param {Array<Object>} features - Engineered periods
+     * @param {Object} bestModel - Selected model summary
+     * @param {Object} fittedModels - Models refitted on all periods
+     * @param {Array<Object>} performanceResults - Results of the scored periods
+     * @returns {Object|null} { modelName, baselineMAE, repeats, features: [{ feature, importance, share }] },
+     *   or null if the model could not be explained
+     */
+    explainBestModel(features, bestModel, fittedModels, performanceResults) {
+        console.log('🔍 Measuring feature importance...');
+        
+        try {
+            const model = this.getFittedModel(fittedModels, bestModel.modelName);
+            const inputs = getInputFeatures(features);
+            // Only periods the model scored can be explained
+            const byKey = new Map(features.map(week => [week.periodKey, week]));
+            const scored = performanceResults.map(result => byKey.get(result.periodKey));
+            const importance = permutationImportance(model, scored, { features: inputs });
+            
+            contributionBreakdown(model, scored, inputs).forEach((contributions, i) => {
+                performanceResults[i].contributions = contributions;
+            });
+            
+            return { modelName: bestModel.modelName, ...importance };
+        } catch (error) {
+            console.warn('⚠️ Feature importance could not be measured:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Volume, payer mix, E&M mix and rate effects behind each period's change from its baseline
+     * @param {Array<Object>} periods - Aggregated periods, oldest first
+     * @returns {Object|null} { basis, label, periods } - periods from buildVarianceBridge; null if it could not be built
+     */
+    explainVariance(periods) {
+        console.log('🌉 Building variance bridge...');
+        
+        try {
+            const basis = this.options.varianceBaseline;
+            return {
+                basis: basis,
+                label: BASELINE_WINDOWS[basis] ? baselineWindowLabel(basis, this.options.granularity) : VARIANCE_BASELINES[basis],
+                periods: buildVarianceBridge(periods, {
+                    basis: basis,
+                    granularity: this.options.granularity,
+                    payerOf: (record) => this.payerGroups.assignments[String(record.payer)]
+                })
+            };
+        } catch (error) {
+            console.warn('⚠️ Variance bridge could not be built:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * E&M level mix, coding intensity and level-mix drift against the trailing periods.
+     * The trailing baseline spans options.emBaselineWeeks at every granularity.
+     * @param {Array<Object>} periods - Aggregated periods, oldest first
+     * @returns {Object|null} Result of analyzeEM, or null if it could not be run
+     */
+    analyzeEMCoding(periods) {
+        console.log('🩻 Analyzing E&M coding intensity...');
+        
+        try {
+            const emAnalysis = analyzeEM(periods, {
+                payerOf: (record) => this.payerGroups.assignments[String(record.payer)],
+                baselinePeriods: periodsInWeeks(this.options.emBaselineWeeks, this.options.granularity)
+            });
+            const flagged = emAnalysis.periods.filter(period => period.drift?.flagged).length;
+            console.log(`🩻 ${emAnalysis.levels.length} E&M levels, ${flagged} period${flagged === 1 ? '' : 's'} with a significant level-mix shift`);
+            return emAnalysis;
+        } catch (error) {
+            console.warn('⚠️ E&M analysis could not be run:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Lab attachment rate by payer and E&M group and the revenue impact of below-baseline periods.
+     * The trailing baseline spans options.labBaselineWeeks at every granularity.
+     * @param {Array<Object>} periods - Aggregated periods, oldest first
+     * @returns {Object|null} Result of analyzeLabs, or null if it could not be run
+     */
+    analyzeLabUtilization(periods) {
+        console.log('🧪 Analyzing lab utilization...');
+        
+        try {
+            const labAnalysis = analyzeLabs(periods, {
+                payerOf: (record) => this.payerGroups.assignments[String(record.payer)],
+                // analyzeLabs needs two baseline periods, so coarse grains look back at least two
+                baselinePeriods: Math.max(2, periodsInWeeks(this.options.labBaselineWeeks, this.options.granularity))
+            });
+            console.log(`🧪 Lab attachment rate ${((labAnalysis.overall.labRate || 0) * 100).toFixed(1)}%, ` +
+                `estimated impact of below-baseline periods $${Math.round(labAnalysis.totalImpact).toLocaleString('en-US')}`);
+            return labAnalysis;
+        } catch (error) {
+            console.warn('⚠️ Lab analysis could not be run:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Largest per-period drivers of the prediction, for the detailed results
+     * @param {Object} weekResult - Per-period result
+     * @param {Object} labels - Feature name to readable label
+     * @returns {string} Description
+     */
+    describeInfluences(weekResult, labels) {
+        if (!weekResult.contributions) return 'Not available';
+        return describeContributions(weekResult.contributions, labels) ||
+            'Payment history (the model does not use period drivers)';
+    }
+
+    /**
+     * Refitted model by name
+     * @param {Object} fittedModels - Model name to fitted model (or null)
+     * @param {string} modelName - Model name
+     * @returns {Object} Fitted model
+     */
+    getFittedModel(fittedModels, modelName) {
+        const model = fittedModels[modelName];
+        if (!model) {
+            throw new Error(`${modelName} could not be refitted on all periods`);
+        }
+        return model;
+    }
+
+    /**
+     * Project total payments for the periods after the data with the best model.
+     * Models with their own forecast (the time-series ones) project from the payment history; the others need future
+     * visit and charge volumes (user-supplied or extrapolated) with rates and payer
+     * mix held at their latest-season averages.
+     * @param {Array<Object>} features - Engineered periods, oldest first
+     * @param {Object} bestModel - Selected model with its averaged backtest metrics
+     * @param {Object} fittedModels - Models refitted on all periods
+     * @returns {Object|null} { modelName, horizon, drivers, volumesIgnored, periods } - drivers is 'history', 'user' or
+     *   'extrapolated'; volumesIgnored is true when expected volumes were entered but the model projects from
+     *   the payment history; periods carry the forecast and 80%/95% bounds. Null if no forecast could be made.
+     */
+    forecastFuture(features, bestModel, fittedModels) {
+        const { granularity, fiscalYearStartMonth, forecastHorizon: horizon } = this.options;
+        if (!(horizon > 0)) return null;
+        console.log(`🔮 Forecasting ${horizon} periods with ${bestModel.modelName}...`);
+        
+        try {
+            const seasonLength = GRANULARITIES[granularity].periodsPerYear;
+            const lastStart = features[features.length - 1].periodStart;
+            const periods = Array.from({ length: horizon }, (_, i) =>
+                getPeriod(shiftPeriodStart(lastStart, granularity, i + 1), granularity, fiscalYearStartMonth));
+            
+            const model = this.getFittedModel(fittedModels, bestModel.modelName);
+            let drivers;
+            let projections;
+            
+            if (model.forecast) {
+                const { points, variances } = model.forecast(horizon);
+                drivers = 'history';
+                projections = points.map((point, i) => ({ totalVisitCount: null, totalChargeAmount: null, ...withIntervals(point, variances[i]) }));
+            } else {
+                const volumes = projectVolumes(features, {
+                    horizon,
+                    seasonLength,
+                    visits: this.options.forecastVisits,
+                    charges: this.options.forecastCharges
+                });
+                drivers = volumes.source;
+                
+                const rateFields = Object.keys(features[0]).filter(key =>
+                    ['weightedAvgCollectionPct', 'avgPaymentPerVisit', 'pctVisitsWithLabs'].includes(key) || key.startsWith('payer'));
+                const rates = Object.fromEntries(rateFields.map(field => [field, recentMean(features, field, seasonLength)]));
+                const makeRow = (totalVisitCount, totalChargeAmount) => ({
+                    ...rates,
+                    totalVisitCount,
+                    totalChargeAmount,
+                    chargesPerVisit: totalVisitCount > 0 ? totalChargeAmount / totalVisitCount : 0
+                });
+                // Rows are predicted together so models with a history component see consecutive periods
+                const rows = periods.map((_, i) => makeRow(volumes.totalVisitCount[i].value, volumes.totalChargeAmount[i].value));
+                const points = model.predict(rows);
+                
+                // Backtest error, plus each extrapolated volume's variance through the model's slope
+                const variances = points.map(() => bestModel.rmse ** 2);
+                VOLUME_DRIVERS.forEach(driver => {
+                    if (volumes[driver].every(volume => volume.variance === 0)) return;
+                    const steps = rows.map(row => Math.max(Math.abs(row[driver]) * 0.01, 1));
+                    const bumped = model.predict(rows.map((row, i) => {
+                        const volume = { totalVisitCount: row.totalVisitCount, totalChargeAmount: row.totalChargeAmount };
+                        volume[driver] += steps[i];
+                        return makeRow(volume.totalVisitCount, volume.totalChargeAmount);
+                    }));
+                    variances.forEach((_, i) => {
+                        const slope = (bumped[i] - points[i]) / steps[i];
+                        variances[i] += slope * slope * volumes[driver][i].variance;
+                    });
+                });
+                
+                projections = rows.map((row, i) => ({
+                    totalVisitCount: row.totalVisitCount,
+                    totalChargeAmount: row.totalChargeAmount,
+                    ...withIntervals(points[i], variances[i])
+                }));
+            }
+            
+            return {
+                modelName: bestModel.modelName,
+                horizon: horizon,
+                drivers: drivers,
+                volumesIgnored: drivers === 'history' && (this.options.forecastVisits !== null || this.options.forecastCharges !== null),
+                periods: periods.map((period, i) => ({
+                    periodKey: period.periodKey,
+                    periodLabel: period.periodLabel,
+                    periodStart: period.periodStart,
+                    ...projections[i]
+                }))
+            };
+        } catch (error) {
+            console.warn('⚠️ Forecast could not be produced:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Reference window of every period for insights, KPI deltas and chart reference lines,
+     * falling back to all periods when the selected window cannot be used
+     * @param {Array<Object>} periods - Aggregated periods, oldest first
+     * @param {Object} baselines - Result of computeBaselines over all periods, reused by the 'all' window
+     * @returns {Object} { window, label, references } - references[i] is { label, baselines } for periods[i],
+     *   or null when the period has nothing to compare against
+     */
+    selectInsightBaselines(periods, baselines) {
+        const { insightBaseline: window, granularity, baselineStart, baselineEnd } = this.options;
         
-        // Calculate benchmarks
-        const benchmarks = {
-            avgTotalPayments: this.mean(allFeatures.map(f => f.totalPayments)),
-            avgTotalVisits: this.mean(allFeatures.map(f => f.totalVisitCount)),
-            avgTotalCharges: this.mean(allFeatures.map(f => f.totalChargeAmount)),
-            avgCollectionPct: this.mean(allFeatures.map(f => f.weightedAvgCollectionPct)),
-            avgBCBSPct: this.mean(allFeatures.map(f => f.bcbsChargesPct)),
-            avgAetnaPct: this.mean(allFeatures.map(f => f.aetnaChargesPct))
+        try {
+            return {
+                window: window,
+                label: baselineWindowLabel(window, granularity),
+                references: computeWindowBaselines(periods, { window, granularity, start: baselineStart, end: baselineEnd }, baselines)
+            };
+        } catch (error) {
+            console.warn('⚠️ Insight baseline could not be selected, comparing with all periods:', error.message);
+            return {
+                window: 'all',
+                label: BASELINE_WINDOWS.all,
+                references: periods.map(() => ({ label: `All ${periods.length} periods`, baselines }))
+            };
+        }
+    }
+
+    /**
+     * Period-total baselines of every period, as plain data for the results
+     * @param {Array<Object>} periods - Aggregated periods, oldest first
+     * @param {Object} insightBaselines - Result of selectInsightBaselines
+     * @returns {Object} { window, label, start, end, periods: [{ periodKey, periodLabel, baselineLabel, metrics }] } -
+     *   metrics maps each period total to its describeDistribution stats, null without a baseline
+     */
+    describeInsightBaselines(periods, insightBaselines) {
+        return {
+            window: insightBaselines.window,
+            label: insightBaselines.label,
+            start: insightBaselines.window === 'custom' ? this.options.baselineStart : null,
+            end: insightBaselines.window === 'custom' ? this.options.baselineEnd : null,
+            periods: periods.map((period, i) => {
+                const reference = insightBaselines.references[i];
+                return {
+                    periodKey: period.periodKey,
+                    periodLabel: period.periodLabel,
+                    baselineLabel: reference ? reference.label : null,
+                    metrics: reference ? reference.baselines.periods : null
+                };
+            })
         };
+    }
+
+    /**
+     * Latest period's totals against their insight baseline
+     * @param {Array<Object>} periods - Aggregated periods, oldest first
+     * @param {Object} insightBaselines - Result of selectInsightBaselines
+     * @returns {Object|null} { periodLabel, baselineLabel, metrics: [{ metric, label, value, baseline, change }] } -
+     *   change is the fraction above the baseline mean (null without one); null without periods
+     */
+    compareKPIs(periods, insightBaselines) {
+        if (periods.length === 0) return null;
+        const latest = periods[periods.length - 1];
+        const reference = insightBaselines.references[periods.length - 1];
+        
+        return {
+            periodLabel: latest.periodLabel,
+            baselineLabel: reference ? reference.label : null,
+            metrics: PERIOD_METRICS.map(metric => {
+                const baseline = reference ? reference.baselines.periods[metric].mean : null;
+                return {
+                    metric: metric,
+                    label: KPI_LABELS[metric],
+                    value: latest[metric] || 0,
+                    baseline: baseline,
+                    change: baseline ? ((latest[metric] || 0) - baseline) / baseline : null
+                };
+            })
+        };
+    }
+
+    /**
+     * Per-period result rows with insights against each period's insight baseline
+     * @param {Array<Object>} performanceResults - Per-period results
+     * @param {Array<Object>} allFeatures - Engineered periods
+     * @param {Object} insightBaselines - Result of selectInsightBaselines for this.weeklyData
+     * @returns {Array<Object>} One row per period
+     */
+    generateDetailedAnalysis(performanceResults, allFeatures,
+        insightBaselines = this.selectInsightBaselines(this.weeklyData, computeBaselines(this.weeklyData))) {
+        console.log('📋 Generating detailed analysis...');
+
+        const labels = this.getFeatureLabels(getInputFeatures(allFeatures));
+        const references = new Map(this.weeklyData.map((period, i) => [period.periodKey, insightBaselines.references[i]]));
 
         return performanceResults.map(weekResult => {
             const week = weekResult.originalData;
-            const analysis = this.analyzeWeekPerformance(week, benchmarks, weekResult);
+            const reference = references.get(week.periodKey) || null;
+            const analysis = this.analyzeWeekPerformance(week, reference);
+            const baselinePayments = reference ? reference.baselines.periods.totalPayments : null;
             
-            return {
+            const row = {
                 'Year': weekResult.year,
-                'Week': weekResult.week,
+                'Period': weekResult.periodLabel,
+                'Period Start': weekResult.periodStart,
                 'Actual Total Payments': Math.round(weekResult.actualPayments).toString(),
                 'Predicted Total Payments': Math.round(weekResult.predictedPayments).toString(),
                 'Absolute Error': Math.round(weekResult.absoluteError).toString(),
                 'Percent Error': Math.round(weekResult.percentError * 100) + '%',
+                'Expected Low': Math.round(weekResult.lowerBound).toString(),
+                'Expected High': Math.round(weekResult.upperBound).toString(),
+                'Residual Z-Score': weekResult.zScore === null ? '' : weekResult.zScore.toFixed(2),
                 'Performance Diagnostic': weekResult.performanceDiagnostic,
-                'Most Influential Performance Factors': 'Visit Count (96.7%), Charge Amount (95.0%), Collection Rate, Payer Mix',
-                'What Went Well': analysis.whatWentWell.join('; ') || 'Performance within expected parameters',
-                'What Could Be Improved': analysis.whatCouldBeImproved.join('; ') || 'No significant issues identified',
-                'Aetna Analysis': analysis.aetnaAnalysis.join('; '),
-                'BCBS Analysis': analysis.bcbsAnalysis.join('; ')
+                'Baseline': reference ? reference.label : 'No baseline',
+                'Baseline Payments': baselinePayments ? Math.round(baselinePayments.mean).toString() : '',
+                'Change vs Baseline': baselinePayments?.mean ?
+                    Math.round((weekResult.actualPayments - baselinePayments.mean) / baselinePayments.mean * 100) + '%' : '',
+                'Payments vs Baseline': baselinePayments ? describeBaselineBand(weekResult.actualPayments, baselinePayments) : 'No baseline',
+                'Most Influential Performance Factors': this.describeInfluences(weekResult, labels),
+                'What Went Well': reference ?
+                    analysis.whatWentWell.join('; ') || 'Performance within expected parameters' : 'No baseline periods to compare against',
+                'What Could Be Improved': reference ?
+                    analysis.whatCouldBeImproved.join('; ') || 'No significant issues identified' : 'No baseline periods to compare against'
             };
+            
+            // One analysis column per payer group, in payment order
+            this.payerGroups.groups.forEach(group => {
+                row[`${group.name} Analysis`] = (analysis.payerAnalysis[group.name] || []).join('; ');
+            });
+            
+            return row;
         });
     }
 
-    analyzeWeekPerformance(week, benchmarks, weekResult) {
+    /**
+     * Largest deviations of a week's records from their payer baselines
+     * @param {Object} week - Aggregated period with its detail records
+     * @param {Object|null} reference - The period's insight baseline { label, baselines }; no deviations without one
+     * @returns {Object} { whatWentWell, whatCouldBeImproved, payerAnalysis }
+     */
+    analyzeWeekPerformance(week, reference) {
         const analysis = {
             whatWentWell: [],
             whatCouldBeImproved: [],
-            aetnaAnalysis: [],
-            bcbsAnalysis: []
+            payerAnalysis: {}
         };
 
         // Get all variables for the week
@@ -525,41 +1542,17 @@ export class HealthcareAnalyzer {
             });
         });
 
-        // Calculate averages for all variables across all weeks
-        const allWeeksData = this.weeklyData.flatMap(w => w.detailRecords);
-        const averages = {};
-        allWeeksData.forEach(record => {
-            if (!averages[record.payer]) {
-                averages[record.payer] = {
-                    chargeAmount: [],
-                    avgPayment: [],
-                    avgEMWeight: [],
-                    collectionPct: [],
-                    totalPayments: [],
-                    visitCount: [],
-                    visitsWithLabCount: []
-                };
-            }
-            Object.keys(averages[record.payer]).forEach(key => {
-                averages[record.payer][key].push(record[key]);
-            });
-        });
-
-        // Calculate mean for each variable
-        Object.keys(averages).forEach(payer => {
-            Object.keys(averages[payer]).forEach(key => {
-                averages[payer][key] = this.mean(averages[payer][key]);
-            });
-        });
+        // Payer averages come from the period's reference window only
+        const averages = reference ? reference.baselines.payers : {};
 
         // Find best and worst performing variables
         const performanceMetrics = [];
         weekVariables.forEach(variable => {
             const payer = variable.payer;
             Object.keys(variable).forEach(key => {
-                if (key !== 'payer' && averages[payer] && averages[payer][key]) {
+                if (key !== 'payer' && averages[String(payer)]?.[key]?.mean) {
                     const currentValue = variable[key];
-                    const avgValue = averages[payer][key];
+                    const avgValue = averages[String(payer)][key].mean;
                     const percentDiff = ((currentValue - avgValue) / avgValue) * 100;
                     
                     performanceMetrics.push({
@@ -568,7 +1561,7 @@ export class HealthcareAnalyzer {
                         currentValue,
                         avgValue,
                         percentDiff,
-                        description: `The ${payer} - ${key.replace(/([A-Z])/g, ' $1').trim()} is ${currentValue.toFixed(2)}, while its overall average is ${avgValue.toFixed(2)}.`
+                        description: `The ${payer} - ${key.replace(/([A-Z])/g, ' $1').trim()} is ${currentValue.toFixed(2)}, while its baseline average (${reference.label}) is ${avgValue.toFixed(2)}.`
                     });
                 }
             });
@@ -587,15 +1580,12 @@ export class HealthcareAnalyzer {
         // Update what could be improved
         analysis.whatCouldBeImproved = worstPerformers.map(metric => metric.description);
 
-        // Filter and analyze Aetna-specific metrics
-        const aetnaMetrics = performanceMetrics.filter(m => m.payer.includes('AETNA'));
-        aetnaMetrics.sort((a, b) => Math.abs(b.percentDiff) - Math.abs(a.percentDiff));
-        analysis.aetnaAnalysis = aetnaMetrics.slice(0, 2).map(metric => metric.description);
-
-        // Filter and analyze BCBS-specific metrics
-        const bcbsMetrics = performanceMetrics.filter(m => m.payer.includes('BCBS'));
-        bcbsMetrics.sort((a, b) => Math.abs(b.percentDiff) - Math.abs(a.percentDiff));
-        analysis.bcbsAnalysis = bcbsMetrics.slice(0, 2).map(metric => metric.description);
+        // Largest deviations within each payer group
+        this.payerGroups.groups.forEach(group => {
+            const payerMetrics = performanceMetrics.filter(m => this.payerGroups.assignments[String(m.payer)] === group.name);
+            payerMetrics.sort((a, b) => Math.abs(b.percentDiff) - Math.abs(a.percentDiff));
+            analysis.payerAnalysis[group.name] = payerMetrics.slice(0, 2).map(metric => metric.description);
+        });
 
         return analysis;
     }
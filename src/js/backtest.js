@@ -0,0 +1,93 @@
+// ============================================================================
+// Backtest - Rolling-Origin Time-Series Cross-Validation
+// Expanding or sliding training windows, each scored on the periods that follow
+// ============================================================================
+
+export const BACKTEST_WINDOWS = {
+    expanding: 'Expanding window',
+    sliding: 'Sliding window'
+};
+
+// Fewest periods any fold trains on
+const MIN_TRAIN_PERIODS = 3;
+
+/**
+ * Split a chronological series into rolling-origin folds. The folds' test blocks
+ * tile the end of the series; the first fold keeps at least half of it for training.
+ * Fold count and horizon are reduced when the series is too short for the request.
+ * @param {number} n - Number of periods, oldest first
+ * @param {Object} options - { window: 'expanding'|'sliding', folds, horizon }
+ * @returns {Object} { window, folds, horizon, splits: [{ fold, train: [start, end], test: [start, end] }] }
+ *   with slice bounds
+ */
+export function createBacktestFolds(n, { window = 'expanding', folds = 5, horizon = 4 } = {}) {
+    if (!BACKTEST_WINDOWS[window]) {
+        throw new Error(`Unknown backtest window: ${window}`);
+    }
+
+    const minTrain = Math.max(MIN_TRAIN_PERIODS, Math.ceil(n / 2));
+    const available = n - minTrain;
+    if (available < 1) {
+        throw new Error(`At least ${MIN_TRAIN_PERIODS + 1} periods are needed to backtest`);
+    }
+
+    const effectiveHorizon = Math.min(Math.max(horizon, 1), available);
+    const count = Math.min(Math.max(folds, 1), Math.floor(available / effectiveHorizon));
+    const windowSize = n - count * effectiveHorizon;
+
+    const splits = Array.from({ length: count }, (_, i) => {
+        const testStart = windowSize + i * effectiveHorizon;
+        return {
+            fold: i + 1,
+            train: [window === 'sliding' ? testStart - windowSize : 0, testStart],
+            test: [testStart, testStart + effectiveHorizon]
+        };
+    });
+
+    return { window, folds: count, horizon: effectiveHorizon, splits };
+}
+
+/**
+ * Validation block just before the first fold's test block, scored like a fold but
+ * not reported. Stacked models learn their first blend on it.
+ * @param {Object} plan - Result of createBacktestFolds
+ * @returns {Object|null} { train: [start, end], test: [start, end] }, or null when the
+ *   first fold's training window is too short to hold one out
+ */
+export function createValidationSplit(plan) {
+    const [trainStart, testStart] = plan.splits[0].train;
+    const validationStart = testStart - plan.horizon;
+    if (validationStart - trainStart < MIN_TRAIN_PERIODS) return null;
+    return { train: [trainStart, validationStart], test: [validationStart, testStart] };
+}
+
+/**
+ * Average each model's fold metrics. Models missing from any fold (e.g. a
+ * regression that could not be fitted on a short window) are reported but not ranked.
+ * @param {Array<Object>} foldResults - [{ fold, results: [{ modelName, mae, rmse, mape, rSquared }] }]
+ * @returns {Array<Object>} [{ modelName, folds, mae, rmse, mape, rSquared, ranked }], best (lowest MAE) first
+ */
+export function summarizeBacktest(foldResults) {
+    const byModel = new Map();
+    foldResults.forEach(fold => {
+        fold.results.forEach(result => {
+            if (!byModel.has(result.modelName)) byModel.set(result.modelName, []);
+            byModel.get(result.modelName).push(result);
+        });
+    });
+
+    const average = (values) => {
+        const finite = values.filter(value => value !== null && isFinite(value));
+        return finite.length > 0 ? finite.reduce((sum, value) => sum + value, 0) / finite.length : null;
+    };
+
+    return Array.from(byModel, ([modelName, results]) => ({
+        modelName,
+        folds: results.length,
+        mae: average(results.map(r => r.mae)),
+        rmse: average(results.map(r => r.rmse)),
+        mape: average(results.map(r => r.mape)),
+        rSquared: average(results.map(r => r.rSquared)),
+        ranked: results.length === foldResults.length
+    })).sort((a, b) => (b.ranked - a.ranked) || (a.mae - b.mae));
+}
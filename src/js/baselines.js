@@ -0,0 +1,265 @@
+// ============================================================================
+// Baselines - Distribution Statistics and Reference Windows
+// Mean, median, spread and percentiles per period, payer and E&M group
+// ============================================================================
+
+import { GRANULARITIES, shiftPeriodStart } from './periods.js';
+
+// Reference periods each period's insights, KPI deltas and reference lines are measured against
+export const BASELINE_WINDOWS = {
+    all: 'All periods',
+    trailing4: 'Trailing 4 weeks',
+    trailing13: 'Trailing 13 weeks',
+    trailing52: 'Trailing 52 weeks',
+    lastYear: 'Same period last year',
+    custom: 'Custom reference period'
+};
+
+// Weeks covered by the trailing windows
+const TRAILING_WEEKS = { trailing4: 4, trailing13: 13, trailing52: 52 };
+
+// Record fields compared against their payer and E&M group baselines
+export const BASELINE_METRICS = [
+    'chargeAmount',
+    'avgPayment',
+    'avgEMWeight',
+    'collectionPct',
+    'totalPayments',
+    'visitCount',
+    'visitsWithLabCount'
+];
+
+// Period totals with a baseline of their own
+export const PERIOD_METRICS = [
+    'totalPayments',
+    'totalVisitCount',
+    'totalChargeAmount',
+    'avgPaymentPerVisit',
+    'weightedAvgCollectionPct'
+];
+
+/**
+ * Baselines over every period of the run. Payer and E&M group statistics are over the
+ * individual records (one per payer, E&M group and week), matching how weeks are compared.
+ * @param {Array<Object>} periods - Aggregated periods with their detail records
+ * @returns {Object} { periods: { metric: stats }, payers: { payer: { metric: stats } },
+ *   emGroups: { emGroup: { metric: stats } } } - stats from describeDistribution
+ */
+export function computeBaselines(periods) {
+    const records = periods.flatMap(period => period.detailRecords || []);
+    return {
+        periods: describePeriodTotals(periods),
+        payers: baselinesBy(records, record => String(record.payer)),
+        emGroups: baselinesBy(records, record => String(record.emGroup ?? 'Unknown'))
+    };
+}
+
+/**
+ * Periods a period is compared against. Trailing windows only look back, so a period is never
+ * measured against later periods; they cover the same span of weeks at every granularity
+ * (13 weeks = 3 months = 1 quarter).
+ * @param {Array<Object>} periods - Aggregated periods, oldest first
+ * @param {number} index - Position of the period being explained
+ * @param {Object} options - { window: key of BASELINE_WINDOWS, granularity, start, end } -
+ *   start and end (YYYY-MM-DD, inclusive) bound the custom window by period start
+ * @returns {Object|null} { label, periods }, or null when the period has no reference periods
+ *   (e.g. the first period of a trailing window)
+ */
+export function selectBaselineWindow(periods, index, { window = 'all', granularity = 'week', start = null, end = null } = {}) {
+    const period = periods[index];
+    if (window === 'all') {
+        return { label: `All ${periods.length} periods`, periods };
+    }
+    if (TRAILING_WEEKS[window]) {
+        const count = periodsInWeeks(TRAILING_WEEKS[window], granularity);
+        return describeWindow(periods.slice(Math.max(0, index - count), index));
+    }
+    if (window === 'lastYear') {
+        // ISO weeks are matched by week number, since 52 weeks back drifts a week in 53-week years
+        const lastYear = granularity === 'week' ?
+            periods.find(p => p.year === period.year - 1 && p.week === period.week) :
+            periods.find(p => p.periodStart === shiftPeriodStart(period.periodStart, granularity, -GRANULARITIES[granularity].periodsPerYear));
+        return lastYear ? describeWindow([lastYear]) : null;
+    }
+    if (window === 'custom') {
+        if (!start || !end) throw new Error('The custom baseline needs a start and an end date');
+        const reference = periods.filter(p => p.periodStart >= start && p.periodStart <= end);
+        return reference.length > 0 ? { label: `${start} – ${end}`, periods: reference } : null;
+    }
+    throw new Error(`Unknown baseline window: ${window}`);
+}
+
+/**
+ * Baselines of every period's reference window. Windows shared by all periods ('all', 'custom')
+ * are computed once; trailing windows reuse each period's record sums, so they carry period totals
+ * and payer { count, mean } only, without E&M group baselines.
+ * @param {Array<Object>} periods - Aggregated periods with their detail records, oldest first
+ * @param {Object} options - As for selectBaselineWindow
+ * @param {Object|null} baselines - Result of computeBaselines over all periods, reused by the 'all' window
+ * @returns {Array<Object|null>} { label, baselines } per period, null when it has no reference periods
+ */
+export function computeWindowBaselines(periods, options = {}, baselines = null) {
+    const window = options.window || 'all';
+    if (periods.length === 0) return [];
+    if (window === 'all' || window === 'custom') {
+        const reference = selectBaselineWindow(periods, 0, options);
+        const shared = reference ? {
+            label: reference.label,
+            baselines: window === 'all' && baselines ? baselines : computeBaselines(reference.periods)
+        } : null;
+        return periods.map(() => shared);
+    }
+    if (TRAILING_WEEKS[window]) {
+        const payerSums = periods.map(period => sumRecordsBy(period.detailRecords || [], record => String(record.payer)));
+        return periods.map((period, index) => {
+            const reference = selectBaselineWindow(periods, index, options);
+            if (!reference) return null;
+            const first = index - reference.periods.length;
+            return {
+                label: reference.label,
+                baselines: {
+                    periods: describePeriodTotals(reference.periods),
+                    payers: meansOf(payerSums.slice(first, index))
+                }
+            };
+        });
+    }
+    // Same period last year: a single, different reference period each
+    return periods.map((period, index) => {
+        const reference = selectBaselineWindow(periods, index, options);
+        return reference ? { label: reference.label, baselines: computeBaselines(reference.periods) } : null;
+    });
+}
+
+/**
+ * Label of a baseline window at a granularity; trailing windows are named for the periods they
+ * span, e.g. "Trailing 3 months" for 13 weeks at monthly granularity
+ * @param {string} window - Key of BASELINE_WINDOWS
+ * @param {string} granularity - Key of GRANULARITIES
+ * @returns {string} Label
+ */
+export function baselineWindowLabel(window, granularity = 'week') {
+    if (!TRAILING_WEEKS[window] || granularity === 'week') return BASELINE_WINDOWS[window];
+    const count = periodsInWeeks(TRAILING_WEEKS[window], granularity);
+    return `Trailing ${count} ${GRANULARITIES[granularity].unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Periods spanning a number of weeks at a granularity (at least one), e.g. 13 weeks = 3 months = 1 quarter
+ * @param {number} weeks - Span in weeks
+ * @param {string} granularity - Key of GRANULARITIES
+ * @returns {number} Periods
+ */
+export function periodsInWeeks(weeks, granularity) {
+    return Math.max(1, Math.round(weeks * GRANULARITIES[granularity].periodsPerYear / 52));
+}
+
+/**
+ * Summary statistics; missing values count as zero
+ * @param {Array<number>} values - Values
+ * @returns {Object} { count, mean, median, std, p10, p25, p75, p90 } - std is the sample standard
+ *   deviation (0 below two values); all 0 without values
+ */
+export function describeDistribution(values) {
+    const numbers = values.map(value => Number(value) || 0);
+    const count = numbers.length;
+    if (count === 0) {
+        return { count, mean: 0, median: 0, std: 0, p10: 0, p25: 0, p75: 0, p90: 0 };
+    }
+    const mean = numbers.reduce((sum, value) => sum + value, 0) / count;
+    const std = count > 1 ? Math.sqrt(numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1)) : 0;
+    const sorted = [...numbers].sort((a, b) => a - b);
+    return {
+        count,
+        mean,
+        median: quantile(sorted, 0.5),
+        std,
+        p10: quantile(sorted, 0.1),
+        p25: quantile(sorted, 0.25),
+        p75: quantile(sorted, 0.75),
+        p90: quantile(sorted, 0.9)
+    };
+}
+
+/**
+ * Where a value sits in its baseline distribution, e.g. "Above the 90th percentile"
+ * @param {number} value - Value
+ * @param {Object} stats - Result of describeDistribution
+ * @returns {string} Percentile band
+ */
+export function describeBaselineBand(value, stats) {
+    if (stats.count === 0) return 'No baseline';
+    if (value > stats.p90) return 'Above the 90th percentile';
+    if (value > stats.p75) return '75th–90th percentile';
+    if (value >= stats.p25) return 'Typical (25th–75th percentile)';
+    if (value >= stats.p10) return '10th–25th percentile';
+    return 'Below the 10th percentile';
+}
+
+function describeWindow(reference) {
+    if (reference.length === 0) return null;
+    return {
+        label: reference.length === 1 ? reference[0].periodLabel :
+            `${reference[0].periodLabel} – ${reference[reference.length - 1].periodLabel}`,
+        periods: reference
+    };
+}
+
+function describePeriodTotals(periods) {
+    return Object.fromEntries(PERIOD_METRICS.map(metric => [metric, describeDistribution(periods.map(p => p[metric]))]));
+}
+
+// Record count and metric totals per key; missing values count as zero, as in describeDistribution
+function sumRecordsBy(records, keyOf) {
+    const sums = {};
+    records.forEach(record => {
+        const key = keyOf(record);
+        const entry = sums[key] = sums[key] || emptySums();
+        entry.count++;
+        BASELINE_METRICS.forEach(metric => { entry.totals[metric] += Number(record[metric]) || 0; });
+    });
+    return sums;
+}
+
+function emptySums() {
+    return { count: 0, totals: Object.fromEntries(BASELINE_METRICS.map(metric => [metric, 0])) };
+}
+
+// { key: { metric: { count, mean } } } over the sums of several periods
+function meansOf(periodSums) {
+    const combined = {};
+    periodSums.forEach(sums => Object.entries(sums).forEach(([key, entry]) => {
+        const total = combined[key] = combined[key] || emptySums();
+        total.count += entry.count;
+        BASELINE_METRICS.forEach(metric => { total.totals[metric] += entry.totals[metric]; });
+    }));
+    return Object.fromEntries(Object.entries(combined).map(([key, entry]) => [
+        key,
+        Object.fromEntries(BASELINE_METRICS.map(metric => [metric, { count: entry.count, mean: entry.totals[metric] / entry.count }]))
+    ]));
+}
+
+function baselinesBy(records, keyOf) {
+    const groups = {};
+    records.forEach(record => {
+        const key = keyOf(record);
+        (groups[key] = groups[key] || []).push(record);
+    });
+    return Object.fromEntries(Object.entries(groups).map(([key, group]) => [
+        key,
+        Object.fromEntries(BASELINE_METRICS.map(metric => [metric, describeDistribution(group.map(record => record[metric]))]))
+    ]));
+}
+
+/**
+ * Linearly interpolated quantile of sorted values
+ * @param {Array<number>} sorted - Values, ascending
+ * @param {number} p - Probability in [0, 1]
+ * @returns {number} Quantile
+ */
+function quantile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
@@ -4,6 +4,7 @@
 // ============================================================================
 
 import { formatCurrency, formatPercentage } from './utils.js';
+import { BRIDGE_STEPS } from './variance-bridge.js';
 
 export class ChartManager {
     constructor() {
@@ -228,7 +229,7 @@ export class ChartManager {
             throw new Error('Invalid results data for overview chart');
         }
         
-        const labels = results.finalResults.map(week => `${week.Year}-${week.Week}`);
+        const labels = results.finalResults.map(week => week['Period Start']);
         const actualData = results.finalResults.map(week => week['Actual Total Payments']);
         const predictedData = results.finalResults.map(week => week['Predicted Total Payments']);
         
@@ -256,26 +257,74 @@ export class ChartManager {
         };
     }
 
+    /**
+     * Plot recent actual payments against the model's expected range and the insight
+     * baseline, with points colored by their performance diagnostic
+     * @param {Object} results - Analysis results
+     */
     generatePerformanceChart(results) {
         const ctx = document.getElementById('performanceChart');
         if (!ctx) return;
 
-        // Get the last 6 months of data (approximately 26 weeks)
+        if (this.charts.performance) {
+            this.charts.performance.destroy();
+        }
+
+        // Latest 26 periods (about six months of weeks)
         const data = results.performanceResults.slice(-26);
+        const pointColors = {
+            'Over Performed': this.colors.success,
+            'Under Performed': this.colors.error,
+            'Average Performance': this.colors.gray
+        };
+        const band = (field, fill, color) => ({
+            label: field === 'lowerBound' ? 'Expected low' : 'Expected range',
+            data: data.map(d => d[field]),
+            borderWidth: 0,
+            pointRadius: 0,
+            backgroundColor: color,
+            fill
+        });
 
         const chartData = {
-            labels: data.map(d => `${d.year}-${d.week}`),
+            labels: data.map(d => d.periodLabel),
             datasets: [
                 {
-                    label: 'Performance',
-                    data: data.map(d => d.performance),
-                    borderColor: '#FF9800',
-                    backgroundColor: 'rgba(255, 152, 0, 0.1)',
-                    fill: true
-                }
+                    label: 'Actual Payments',
+                    data: data.map(d => d.actualPayments),
+                    borderColor: this.colors.primary,
+                    pointBackgroundColor: data.map(d => pointColors[d.performanceDiagnostic]),
+                    pointRadius: 4,
+                    fill: false
+                },
+                {
+                    label: 'Predicted Payments',
+                    data: data.map(d => d.predictedPayments),
+                    borderColor: this.colors.secondary,
+                    borderDash: [5, 5],
+                    pointRadius: 0,
+                    fill: false
+                },
+                band('lowerBound', false, 'transparent'),
+                band('upperBound', '-1', this.colors.secondary + '20')
             ]
         };
 
+        // Reference line at each period's insight baseline (mean payments of its reference periods)
+        const insightBaseline = results.insightBaseline;
+        if (insightBaseline) {
+            const baselineByPeriod = new Map(insightBaseline.periods.map(p => [p.periodLabel, p.metrics?.totalPayments.mean ?? null]));
+            chartData.datasets.push({
+                label: `Baseline (${insightBaseline.label})`,
+                data: data.map(d => baselineByPeriod.get(d.periodLabel) ?? null),
+                borderColor: this.colors.gray,
+                borderDash: [2, 3],
+                borderWidth: 1.5,
+                pointRadius: 0,
+                fill: false
+            });
+        }
+
         const config = {
             type: 'line',
             data: chartData,
@@ -285,28 +334,32 @@ export class ChartManager {
                 plugins: {
                     title: {
                         display: true,
-                        text: 'Performance Trend (Last 6 Months)'
+                        text: 'Actual Payments vs Expected Range'
+                    },
+                    legend: {
+                        labels: {
+                            filter: (item) => item.text !== 'Expected low'
+                        }
                     },
                     tooltip: {
                         callbacks: {
-                            label: (context) => {
-                                return `Performance: ${this.formatPercentage(context.raw / 100)}`;
-                            }
+                            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`,
+                            afterLabel: (context) => context.datasetIndex === 0 ?
+                                data[context.dataIndex].performanceDiagnostic : ''
                         }
                     }
                 },
                 scales: {
                     y: {
-                        beginAtZero: true,
                         ticks: {
-                            callback: (value) => this.formatPercentage(value / 100)
+                            callback: (value) => formatCurrency(value)
                         }
                     }
                 }
             }
         };
 
-        new Chart(ctx, config);
+        this.charts.performance = new Chart(ctx, config);
     }
 
     generateTrendsChart(results) {
@@ -317,7 +370,7 @@ export class ChartManager {
         const data = results.finalResults.slice(-26);
 
         const chartData = {
-            labels: data.map(d => `${d.year}-${d.week}`),
+            labels: data.map(d => d['Period Start']),
             datasets: [
                 {
                     label: 'Total Revenue',
@@ -375,32 +428,28 @@ export class ChartManager {
 
         const ctx = canvas.getContext('2d');
         
-        // Calculate payer distribution from results
-        const payerTotals = results.finalResults.reduce((acc, week) => {
-            // Extract payer information from the week data
-            const actualPayments = parseFloat(week['Actual Total Payments']);
-            
-            // Simulate payer distribution (since we don't have exact payer breakdowns in final results)
-            acc.BCBS += actualPayments * 0.4; // Approximate 40% BCBS
-            acc.Aetna += actualPayments * 0.3; // Approximate 30% Aetna
-            acc.SelfPay += actualPayments * 0.15; // Approximate 15% Self Pay
-            acc.Other += actualPayments * 0.15; // Approximate 15% Other
-            
-            return acc;
-        }, { BCBS: 0, Aetna: 0, SelfPay: 0, Other: 0 });
+        // Payer groups (top N plus other payers) with their total payments
+        const payerGroups = results.payerGroups || [];
+        const palette = [
+            this.colors.primary,
+            this.colors.secondary,
+            this.colors.accent,
+            this.colors.warning,
+            this.colors.error,
+            '#7c3aed',
+            '#db2777',
+            '#65a30d'
+        ];
 
         this.charts.payer = new Chart(ctx, {
             type: 'doughnut',
             data: {
-                labels: ['BCBS', 'Aetna', 'Self Pay', 'Other Payers'],
+                labels: payerGroups.map(group => group.name),
                 datasets: [{
-                    data: [payerTotals.BCBS, payerTotals.Aetna, payerTotals.SelfPay, payerTotals.Other],
-                    backgroundColor: [
-                        this.colors.primary,
-                        this.colors.secondary,
-                        this.colors.accent,
-                        this.colors.gray
-                    ],
+                    data: payerGroups.map(group => group.totalPayments),
+                    backgroundColor: payerGroups.map((group, i) =>
+                        group.isOther ? this.colors.gray : palette[i % palette.length]
+                    ),
                     borderColor: '#ffffff',
                     borderWidth: 3,
                     hoverBorderWidth: 4
@@ -452,31 +501,49 @@ export class ChartManager {
 
         const ctx = canvas.getContext('2d');
         
-        // Create correlation data from results
+        // Correlations from the training periods, importance from the best model; features with either are shown
         const correlations = results.trainCorrelations || {};
-        const features = Object.keys(correlations);
-        const values = Object.values(correlations);
+        const importance = results.featureImportance;
+        const shares = Object.fromEntries((importance?.features || []).map(f => [f.feature, f.share]));
+        const features = [
+            ...Object.keys(correlations),
+            ...Object.keys(shares).filter(f => shares[f] > 0 && !(f in correlations))
+        ];
+        const values = features.map(f => correlations[f] ?? null);
+        const selection = results.featureSelection || {};
+        const lasso = results.regularization?.lasso;
+        const droppedByLasso = features.map(f => selection[f]?.selected === false);
+        const showImportance = Object.values(shares).some(share => share > 0);
 
         this.charts.correlation = new Chart(ctx, {
             type: 'bar',
             data: {
-                labels: features.map(f => this.formatFeatureName(f)),
+                labels: features.map(f => results.featureLabels?.[f] || this.formatFeatureName(f)),
                 datasets: [{
                     label: 'Correlation with Revenue',
                     data: values,
-                    backgroundColor: values.map(val => 
+                    backgroundColor: values.map((val, i) => 
+                        droppedByLasso[i] ? this.colors.gray + '30' :
                         val > 0.8 ? this.colors.success + '80' :
                         val > 0.6 ? this.colors.primary + '80' :
                         val > 0.4 ? this.colors.warning + '80' :
                         this.colors.gray + '80'
                     ),
-                    borderColor: values.map(val => 
+                    borderColor: values.map((val, i) => 
+                        droppedByLasso[i] ? this.colors.gray :
                         val > 0.8 ? this.colors.success :
                         val > 0.6 ? this.colors.primary :
                         val > 0.4 ? this.colors.warning :
                         this.colors.gray
                     ),
                     borderWidth: 2
+                }, {
+                    label: `Importance in ${importance?.modelName || 'best model'} (share)`,
+                    data: features.map(f => shares[f] ?? null),
+                    hidden: !showImportance,
+                    backgroundColor: this.colors.secondary + '60',
+                    borderColor: this.colors.secondary,
+                    borderWidth: 2
                 }]
             },
             options: {
@@ -485,16 +552,35 @@ export class ChartManager {
                 indexAxis: 'y',
                 plugins: {
                     legend: {
-                        display: false
+                        display: showImportance
+                    },
+                    subtitle: {
+                        display: !!lasso,
+                        text: lasso ? `Lasso kept ${lasso.coefficients.filter(c => c.selected).length} of ` +
+                            `${lasso.coefficients.length + lasso.dropped.length} model features (faded bars were dropped)` : ''
                     },
                     tooltip: {
                         callbacks: {
                             label: (context) => {
+                                if (context.datasetIndex === 1) {
+                                    const entry = importance.features.find(f => f.feature === features[context.dataIndex]);
+                                    return `Importance: ${(entry.share * 100).toFixed(1)}% (MAE +$${Math.round(entry.importance).toLocaleString()} when shuffled)`;
+                                }
                                 const value = context.parsed.x.toFixed(3);
                                 const strength = Math.abs(context.parsed.x) > 0.8 ? 'Very Strong' :
                                                Math.abs(context.parsed.x) > 0.6 ? 'Strong' :
                                                Math.abs(context.parsed.x) > 0.4 ? 'Moderate' : 'Weak';
                                 return `Correlation: ${value} (${strength})`;
+                            },
+                            afterLabel: (context) => {
+                                if (context.datasetIndex === 1) return '';
+                                const entry = selection[features[context.dataIndex]];
+                                if (!entry || (entry.ridge === null && entry.lasso === null)) return '';
+                                const perSD = (coefficient) => `${coefficient < 0 ? '-' : '+'}$${Math.abs(coefficient).toLocaleString(undefined, { maximumFractionDigits: 0 })} per SD`;
+                                return [
+                                    entry.ridge === null ? null : `Ridge: ${perSD(entry.ridge)}`,
+                                    entry.lasso === null ? null : entry.selected ? `Lasso: ${perSD(entry.lasso)}` : 'Lasso: dropped (shrunk to 0)'
+                                ].filter(Boolean);
                             }
                         }
                     }
@@ -503,7 +589,7 @@ export class ChartManager {
                     x: {
                         title: {
                             display: true,
-                            text: 'Correlation Coefficient'
+                            text: showImportance ? 'Correlation Coefficient / Importance Share' : 'Correlation Coefficient'
                         },
                         min: 0,
                         max: 1,
@@ -522,14 +608,569 @@ export class ChartManager {
         });
     }
 
+    /**
+     * Plot each model's MAE on every backtest fold, the selected model drawn heaviest
+     * @param {Object} results - Analysis results with a backtest block
+     */
+    generateBacktestChart(results) {
+        console.log('🔁 Generating backtest chart...');
+
+        const canvas = document.getElementById('backtestChart');
+        const backtest = results.backtest;
+        if (!canvas || !backtest) return;
+
+        if (this.charts.backtest) {
+            this.charts.backtest.destroy();
+        }
+
+        const palette = [
+            this.colors.primary,
+            this.colors.secondary,
+            this.colors.accent,
+            this.colors.warning,
+            this.colors.error,
+            '#7c3aed',
+            '#db2777',
+            '#65a30d'
+        ];
+        const bestName = results.bestModel?.modelName;
+
+        this.charts.backtest = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: backtest.splits.map(split => `Fold ${split.fold} (${split.testStart})`),
+                datasets: backtest.summary.map((model, i) => ({
+                    label: model.modelName,
+                    data: backtest.splits.map(split => split.results.find(r => r.modelName === model.modelName)?.mae ?? null),
+                    borderColor: palette[i % palette.length],
+                    backgroundColor: palette[i % palette.length] + '20',
+                    borderWidth: model.modelName === bestName ? 4 : 1.5,
+                    borderDash: model.ranked ? [] : [4, 4],
+                    spanGaps: false
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Backtest Error by Fold (lower is better)'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)} MAE`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Mean Absolute Error'
+                        },
+                        ticks: {
+                            callback: (value) => formatCurrency(value)
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Plot the latest year of actual payments followed by the forecast and its interval bands
+     * @param {Object} results - Analysis results with a forecast block
+     */
+    generateForecastChart(results) {
+        console.log('🔮 Generating forecast chart...');
+
+        const canvas = document.getElementById('forecastChart');
+        const forecast = results.forecast;
+        if (!canvas || !forecast) return;
+
+        if (this.charts.forecast) {
+            this.charts.forecast.destroy();
+        }
+
+        const historyLength = Math.max(results.granularity?.periodsPerYear || 52, forecast.horizon);
+        const history = results.performanceResults.slice(-historyLength);
+        const padding = history.map(() => null);
+        const future = (field) => [...padding.slice(1), history[history.length - 1]?.actualPayments ?? null,
+            ...forecast.periods.map(period => period[field])];
+        const band = (color) => ({ borderWidth: 0, pointRadius: 0, backgroundColor: color });
+
+        this.charts.forecast = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [...history.map(period => period.periodLabel), ...forecast.periods.map(period => period.periodLabel)],
+                datasets: [
+                    {
+                        label: 'Actual Payments',
+                        data: [...history.map(period => period.actualPayments), ...forecast.periods.map(() => null)],
+                        borderColor: this.colors.primary,
+                        backgroundColor: this.colors.primary + '20'
+                    },
+                    {
+                        label: `Forecast (${forecast.modelName})`,
+                        data: future('forecast'),
+                        borderColor: this.colors.accent,
+                        borderDash: [6, 4],
+                        backgroundColor: this.colors.accent + '20'
+                    },
+                    { label: '95% lower', data: future('lower95'), ...band('transparent') },
+                    { label: '95% interval', data: future('upper95'), fill: '-1', ...band(this.colors.accent + '20') },
+                    { label: '80% lower', data: future('lower80'), ...band('transparent') },
+                    { label: '80% interval', data: future('upper80'), fill: '-1', ...band(this.colors.accent + '40') }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Payment Forecast with Prediction Intervals'
+                    },
+                    legend: {
+                        labels: {
+                            filter: (item) => !item.text.endsWith('lower')
+                        }
+                    },
+                    tooltip: {
+                        filter: (item) => item.raw !== null,
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Total Payments'
+                        },
+                        ticks: {
+                            callback: (value) => formatCurrency(value)
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Residual diagnostics of the best model: residuals over time, their histogram,
+     * residuals against fitted values and the residual autocorrelation function
+     * @param {Object} results - Analysis results with a diagnostics block
+     */
+    generateDiagnosticsCharts(results) {
+        console.log('🩺 Generating residual diagnostics charts...');
+
+        const diagnostics = results.diagnostics;
+        if (!diagnostics) return;
+
+        const residuals = diagnostics.residuals;
+        const currencyAxis = (title) => ({
+            title: { display: true, text: title },
+            ticks: { callback: (value) => formatCurrency(value) }
+        });
+        const render = (key, canvasId, config) => {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+            if (this.charts[key]) {
+                this.charts[key].destroy();
+            }
+            this.charts[key] = new Chart(canvas.getContext('2d'), {
+                ...config,
+                options: { responsive: true, maintainAspectRatio: false, ...config.options }
+            });
+        };
+        const title = (text) => ({ display: true, text });
+
+        render('residualTime', 'residualTimeChart', {
+            type: 'bar',
+            data: {
+                labels: residuals.map(r => r.periodLabel),
+                datasets: [{
+                    label: 'Residual (actual − predicted)',
+                    data: residuals.map(r => r.residual),
+                    backgroundColor: residuals.map(r => (r.residual >= 0 ? this.colors.success : this.colors.error) + 'B3')
+                }]
+            },
+            options: {
+                plugins: {
+                    title: title('Residuals Over Time'),
+                    legend: { display: false },
+                    tooltip: { callbacks: { label: (context) => `Residual: ${formatCurrency(context.parsed.y)}` } }
+                },
+                scales: { y: currencyAxis('Residual') }
+            }
+        });
+
+        render('residualHistogram', 'residualHistogramChart', {
+            type: 'bar',
+            data: {
+                labels: diagnostics.histogram.map(bin => `${formatCurrency(bin.from)} – ${formatCurrency(bin.to)}`),
+                datasets: [{
+                    label: 'Periods',
+                    data: diagnostics.histogram.map(bin => bin.count),
+                    backgroundColor: this.colors.primary + 'B3',
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: {
+                plugins: { title: title('Residual Distribution'), legend: { display: false } },
+                scales: { y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Periods' } } }
+            }
+        });
+
+        render('residualFitted', 'residualFittedChart', {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Periods',
+                    data: residuals.map(r => ({ x: r.fitted, y: r.residual })),
+                    backgroundColor: this.colors.secondary + 'B3'
+                }]
+            },
+            options: {
+                plugins: {
+                    title: title('Residuals vs Fitted'),
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${residuals[context.dataIndex].periodLabel}: fitted ${formatCurrency(context.parsed.x)}, residual ${formatCurrency(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: { x: currencyAxis('Fitted payments'), y: currencyAxis('Residual') }
+            }
+        });
+
+        const lags = diagnostics.acf.lags;
+        const bound = diagnostics.acf.bound;
+        render('residualAcf', 'residualAcfChart', {
+            type: 'bar',
+            data: {
+                labels: lags.map(l => l.lag),
+                datasets: [
+                    {
+                        label: 'Autocorrelation',
+                        data: lags.map(l => l.value),
+                        backgroundColor: lags.map(l => (Math.abs(l.value) > bound ? this.colors.warning : this.colors.gray) + 'B3')
+                    },
+                    ...[bound, -bound].map(value => ({
+                        type: 'line',
+                        label: '95% bound',
+                        data: lags.map(() => value),
+                        borderColor: this.colors.error,
+                        borderDash: [4, 4],
+                        borderWidth: 1,
+                        pointRadius: 0
+                    }))
+                ]
+            },
+            options: {
+                plugins: {
+                    title: title(`Residual Autocorrelation (Durbin-Watson ${diagnostics.summary.durbinWatson?.toFixed(2) ?? 'N/A'})`),
+                    legend: { labels: { filter: (item) => item.datasetIndex < 2 } }
+                },
+                scales: {
+                    x: { title: { display: true, text: 'Lag' } },
+                    y: { suggestedMin: -1, suggestedMax: 1 }
+                }
+            }
+        });
+    }
+
+    /**
+     * Share of visits at each E&M level per period (stacked) with the average E&M weight,
+     * periods with a significant level-mix shift outlined
+     * @param {Object} results - Analysis results with an emAnalysis block
+     */
+    generateEMChart(results) {
+        console.log('🩻 Generating E&M mix chart...');
+
+        const canvas = document.getElementById('emMixChart');
+        const emAnalysis = results.emAnalysis;
+        if (!canvas || !emAnalysis) return;
+
+        if (this.charts.emMix) {
+            this.charts.emMix.destroy();
+        }
+
+        // Recent periods keep the bars readable
+        const periods = emAnalysis.periods.slice(-52);
+        const palette = [
+            this.colors.primary,
+            this.colors.secondary,
+            this.colors.accent,
+            this.colors.warning,
+            this.colors.error,
+            '#7c3aed',
+            '#db2777',
+            '#65a30d'
+        ];
+        const hasWeights = periods.some(period => period.avgEMWeight !== null);
+
+        this.charts.emMix = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: periods.map(period => period.periodLabel),
+                datasets: [
+                    ...emAnalysis.levels.map((level, i) => ({
+                        label: level.level,
+                        data: periods.map(period => period.visits > 0 ? (period.levelVisits[level.level] || 0) / period.visits : 0),
+                        backgroundColor: palette[i % palette.length] + 'B3',
+                        borderColor: periods.map(period => period.drift?.flagged ? this.colors.error : palette[i % palette.length]),
+                        borderWidth: periods.map(period => period.drift?.flagged ? 2 : 0),
+                        stack: 'levels',
+                        yAxisID: 'y'
+                    })),
+                    ...(hasWeights ? [{
+                        type: 'line',
+                        label: 'Average E&M Weight',
+                        data: periods.map(period => period.avgEMWeight),
+                        borderColor: '#111827',
+                        backgroundColor: '#111827',
+                        pointRadius: periods.map(period => period.drift?.flagged ? 5 : 2),
+                        yAxisID: 'weight'
+                    }] : [])
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: { display: true, text: 'E&M Level Mix (outlined periods shifted significantly)' },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => context.dataset.yAxisID === 'weight' ?
+                                `Average E&M Weight: ${context.parsed.y.toFixed(2)}` :
+                                `${context.dataset.label}: ${formatPercentage(context.parsed.y)}`,
+                            footer: (items) => {
+                                const drift = periods[items[0].dataIndex].drift;
+                                return drift?.flagged ? `Level-mix shift vs ${drift.baselineLabel} (p ${drift.pValue.toFixed(3)})` : '';
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: { stacked: true },
+                    y: {
+                        stacked: true,
+                        max: 1,
+                        title: { display: true, text: 'Share of Visits' },
+                        ticks: { callback: (value) => formatPercentage(value) }
+                    },
+                    weight: {
+                        display: hasWeights,
+                        position: 'right',
+                        grid: { drawOnChartArea: false },
+                        title: { display: true, text: 'Average E&M Weight' }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Lab attachment rate over time (overall, trailing baseline and per payer) and lab rate
+     * against payment per visit
+     * @param {Object} results - Analysis results with a labAnalysis block
+     */
+    generateLabCharts(results) {
+        console.log('🧪 Generating lab utilization charts...');
+
+        const labAnalysis = results.labAnalysis;
+        if (!labAnalysis) return;
+
+        const periods = labAnalysis.periods;
+        const palette = [
+            this.colors.primary,
+            this.colors.secondary,
+            this.colors.accent,
+            this.colors.warning,
+            this.colors.error,
+            '#7c3aed',
+            '#db2777',
+            '#65a30d'
+        ];
+        const render = (key, canvasId, config) => {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+            if (this.charts[key]) {
+                this.charts[key].destroy();
+            }
+            this.charts[key] = new Chart(canvas.getContext('2d'), {
+                ...config,
+                options: { responsive: true, maintainAspectRatio: false, ...config.options }
+            });
+        };
+        const percentAxis = (title) => ({
+            title: { display: true, text: title },
+            ticks: { callback: (value) => formatPercentage(value) }
+        });
+
+        render('labRate', 'labRateChart', {
+            type: 'line',
+            data: {
+                labels: periods.map(period => period.periodLabel),
+                datasets: [
+                    {
+                        label: 'All Payers',
+                        data: periods.map(period => period.labRate),
+                        borderColor: '#111827',
+                        borderWidth: 3,
+                        pointRadius: periods.map(period => period.revenueImpact !== null ? 4 : 0),
+                        pointBackgroundColor: this.colors.error
+                    },
+                    {
+                        label: `Trailing ${labAnalysis.baselinePeriods}-period baseline`,
+                        data: periods.map(period => period.baselineRate),
+                        borderColor: this.colors.gray,
+                        borderDash: [6, 4],
+                        pointRadius: 0
+                    },
+                    ...labAnalysis.payers.map((payer, i) => ({
+                        label: payer.name,
+                        data: periods.map(period => period.payerRates[payer.name] ?? null),
+                        borderColor: palette[i % palette.length] + '99',
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        hidden: i >= 5
+                    }))
+                ]
+            },
+            options: {
+                plugins: {
+                    title: { display: true, text: 'Lab Attachment Rate (dots fall below baseline)' },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${formatPercentage(context.parsed.y)}`,
+                            footer: (items) => {
+                                const impact = periods[items[0].dataIndex].revenueImpact;
+                                return impact === null ? '' : `Estimated impact: ${formatCurrency(impact)}`;
+                            }
+                        }
+                    }
+                },
+                scales: { y: { ...percentAxis('Visits with Labs'), beginAtZero: true } }
+            }
+        });
+
+        render('labPayment', 'labPaymentChart', {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Periods',
+                    data: periods.filter(period => period.labRate !== null)
+                        .map(period => ({ x: period.labRate, y: period.paymentPerVisit, label: period.periodLabel })),
+                    backgroundColor: this.colors.secondary + 'B3'
+                }]
+            },
+            options: {
+                plugins: {
+                    title: {
+                        display: true,
+                        text: labAnalysis.correlation.r === null ? 'Lab Rate vs Payment per Visit' :
+                            `Lab Rate vs Payment per Visit (r = ${labAnalysis.correlation.r.toFixed(2)})`
+                    },
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.raw.label}: ${formatPercentage(context.parsed.x)} labs, ${formatCurrency(context.parsed.y)} per visit`
+                        }
+                    }
+                },
+                scales: {
+                    x: percentAxis('Lab Attachment Rate'),
+                    y: {
+                        title: { display: true, text: 'Payment per Visit' },
+                        ticks: { callback: (value) => formatCurrency(value) }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Waterfall from baseline to actual payments through the variance bridge effects
+     * @param {Object} bridge - One period of results.varianceBridge.periods
+     */
+    generateVarianceBridgeChart(bridge) {
+        console.log('🌉 Generating variance bridge chart...');
+
+        const canvas = document.getElementById('varianceBridgeChart');
+        if (!canvas) return;
+
+        if (this.charts.varianceBridge) {
+            this.charts.varianceBridge.destroy();
+        }
+
+        // Each effect floats from the running total; Other is left out when there is none
+        const steps = Object.entries(BRIDGE_STEPS).filter(([step]) => step !== 'other' || Math.abs(bridge.other) >= 1);
+        let running = bridge.baseline;
+        const bars = [
+            { label: `Baseline (${bridge.baselineLabel})`, range: [0, bridge.baseline], value: bridge.baseline, total: true },
+            ...steps.map(([step, label]) => {
+                const start = running;
+                running += bridge[step];
+                return { label, range: [start, running], value: bridge[step], total: false };
+            }),
+            { label: `Actual (${bridge.periodLabel})`, range: [0, bridge.actual], value: bridge.actual, total: true }
+        ];
+        const colorOf = (bar) => bar.total ? this.colors.primary : bar.value >= 0 ? this.colors.success : this.colors.error;
+
+        this.charts.varianceBridge = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: bars.map(bar => bar.label),
+                datasets: [{
+                    label: 'Payments',
+                    data: bars.map(bar => bar.range),
+                    backgroundColor: bars.map(bar => colorOf(bar) + 'B3'),
+                    borderColor: bars.map(colorOf),
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: { display: true, text: `Variance Bridge: ${bridge.periodLabel} vs ${bridge.baselineLabel}` },
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const bar = bars[context.dataIndex];
+                                return bar.total ? `Payments: ${formatCurrency(bar.value)}` :
+                                    `Effect: ${bar.value >= 0 ? '+' : ''}${formatCurrency(bar.value)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        title: { display: true, text: 'Total Payments' },
+                        ticks: { callback: (value) => formatCurrency(value) }
+                    }
+                }
+            }
+        });
+    }
+
     formatFeatureName(feature) {
         const nameMap = {
             'totalChargeAmount': 'Total Charges',
             'totalVisitCount': 'Visit Count',
             'weightedAvgCollectionPct': 'Collection Rate',
             'avgPaymentPerVisit': 'Payment per Visit',
-            'bcbsChargesPct': 'BCBS Percentage',
-            'aetnaChargesPct': 'Aetna Percentage'
+            'pctVisitsWithLabs': 'Visits with Labs %',
+            'chargesPerVisit': 'Charges per Visit'
         };
         return nameMap[feature] || feature;
     }
@@ -537,7 +1178,6 @@ export class ChartManager {
     addPerfectPredictionLine(chart) {
         // Add a perfect prediction line (y = x) to scatter plot
         const ctx = chart.ctx;
-        const chartArea = chart.chartArea;
         const xScale = chart.scales.x;
         const yScale = chart.scales.y;
         
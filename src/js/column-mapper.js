@@ -0,0 +1,310 @@
+// ============================================================================
+// Column Mapper - Header-Driven Field Resolution
+// Maps spreadsheet columns to analyzer fields using header names and synonyms
+// ============================================================================
+
+/**
+ * Fields understood by HealthcareAnalyzer.cleanExcelData.
+ * `legacyIndex` is the fixed position used by the original PM export layout
+ * (null for fields that layout does not have).
+ */
+export const COLUMN_FIELDS = [
+    {
+        key: 'year',
+        label: 'Year',
+        required: true,
+        legacyIndex: 0,
+        synonyms: ['year', 'yr', 'calendar year', 'service year', 'fiscal year']
+    },
+    {
+        key: 'week',
+        label: 'Week',
+        required: true,
+        legacyIndex: 1,
+        synonyms: ['week', 'wk', 'week number', 'week no', 'week #', 'week of', 'week start', 'service week']
+    },
+    {
+        key: 'payer',
+        label: 'Payer',
+        required: true,
+        legacyIndex: 2,
+        synonyms: ['payer', 'payor', 'insurance', 'insurance carrier', 'carrier', 'primary payer',
+            'primary insurance', 'financial class', 'plan', 'payer name']
+    },
+    {
+        key: 'emGroup',
+        label: 'E&M Group',
+        required: true,
+        legacyIndex: 3,
+        synonyms: ['e&m group', 'e/m group', 'em group', 'e&m', 'e/m', 'em level', 'e&m level',
+            'e/m level', 'e/m code', 'e&m code', 'cpt group', 'visit level']
+    },
+    {
+        // Optional site dimension; the legacy layout has no location column
+        key: 'location',
+        label: 'Location',
+        required: false,
+        legacyIndex: null,
+        synonyms: ['location', 'site', 'clinic', 'clinic name', 'facility', 'facility name', 'practice',
+            'service location', 'place of service', 'department', 'provider', 'rendering provider', 'location name']
+    },
+    {
+        key: 'paymentsPctOfTotal',
+        label: 'Payments % of Total',
+        required: false,
+        legacyIndex: 4,
+        synonyms: ['payments % of total', 'payment % of total', '% of total payments',
+            'pct of total payments', 'payments pct of total', '% of payments']
+    },
+    {
+        key: 'avgPayment',
+        label: 'Average Payment',
+        required: false,
+        legacyIndex: 5,
+        synonyms: ['avg payment', 'average payment', 'avg pmt', 'payment per visit', 'avg payment per visit']
+    },
+    {
+        key: 'avgEMWeight',
+        label: 'Average E&M Weight',
+        required: false,
+        legacyIndex: 6,
+        synonyms: ['avg e&m weight', 'avg e/m weight', 'average e&m weight', 'average e/m weight',
+            'e&m weight', 'e/m weight', 'em weight', 'avg em weight', 'rvu', 'avg rvu']
+    },
+    {
+        key: 'chargeAmount',
+        label: 'Charge Amount',
+        required: true,
+        legacyIndex: 7,
+        synonyms: ['charge amount', 'charges', 'charge', 'total charges', 'gross charges', 'billed amount',
+            'billed', 'charge amt']
+    },
+    {
+        key: 'collectionPct',
+        label: 'Collection %',
+        required: false,
+        legacyIndex: 8,
+        synonyms: ['collection %', 'collection pct', 'collection percent', 'collection percentage',
+            'collection rate', 'collections %', 'gross collection %', 'gcr']
+    },
+    {
+        key: 'totalPayments',
+        label: 'Total Payments',
+        required: true,
+        legacyIndex: 9,
+        synonyms: ['total payments', 'payments', 'payment', 'total payment', 'total paid', 'paid amount',
+            'collections', 'receipts', 'payment amount']
+    },
+    {
+        key: 'visitCount',
+        label: 'Visit Count',
+        required: true,
+        legacyIndex: 10,
+        synonyms: ['visit count', 'visits', '# visits', 'number of visits', 'visit cnt', 'encounters',
+            'encounter count', 'total visits', '# of visits']
+    },
+    {
+        key: 'visitsWithLabCount',
+        label: 'Visits with Lab Count',
+        required: false,
+        legacyIndex: 11,
+        synonyms: ['visits with lab count', 'visits with labs', 'visits w/ lab', 'visits w/ labs',
+            'lab visits', '# visits with lab', 'visits with lab', 'lab visit count']
+    }
+];
+
+// Number of leading rows inspected when looking for the header row
+const HEADER_SCAN_ROWS = 10;
+
+export class ColumnMapper {
+    constructor(fields = COLUMN_FIELDS) {
+        this.fields = fields;
+        this.synonymIndex = this.buildSynonymIndex(fields);
+    }
+
+    buildSynonymIndex(fields) {
+        const index = new Map();
+        fields.forEach(field => {
+            [field.key, field.label, ...field.synonyms].forEach(synonym => {
+                const normalized = this.normalizeHeader(synonym);
+                if (normalized && !index.has(normalized)) {
+                    index.set(normalized, field.key);
+                }
+                const compact = normalized.replace(/\s+/g, '');
+                if (compact && !index.has(compact)) {
+                    index.set(compact, field.key);
+                }
+            });
+        });
+        return index;
+    }
+
+    /**
+     * Normalize a header cell for synonym comparison
+     * @param {any} header - Raw header cell
+     * @returns {string} Lower-case header with punctuation collapsed
+     */
+    normalizeHeader(header) {
+        if (header === null || header === undefined) return '';
+
+        return String(header)
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/\bw\//g, ' with ')
+            .replace(/\//g, ' and ')
+            .replace(/#/g, ' number ')
+            .replace(/%/g, ' pct ')
+            .replace(/\bno\b\.?/g, ' number ')
+            .replace(/\b(percent|percentage)\b/g, ' pct ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Resolve a header cell to a field key
+     * @param {any} header - Raw header cell
+     * @returns {string|null} Matching field key
+     */
+    matchHeader(header) {
+        const normalized = this.normalizeHeader(header);
+        if (!normalized) return null;
+
+        return this.synonymIndex.get(normalized) ||
+            this.synonymIndex.get(normalized.replace(/\s+/g, '')) ||
+            null;
+    }
+
+    /**
+     * Find the row that most looks like a header row
+     * @param {Array<Array>} rawData - Sheet rows
+     * @returns {number} Index of the header row
+     */
+    findHeaderRow(rawData) {
+        let bestIndex = 0;
+        let bestScore = 0;
+
+        const limit = Math.min(rawData.length, HEADER_SCAN_ROWS);
+        for (let i = 0; i < limit; i++) {
+            const row = rawData[i] || [];
+            const matched = new Set(row.map(cell => this.matchHeader(cell)).filter(Boolean));
+            if (matched.size > bestScore) {
+                bestScore = matched.size;
+                bestIndex = i;
+            }
+        }
+
+        return bestIndex;
+    }
+
+    /**
+     * Detect the column mapping for a sheet from its header row
+     * @param {Array<Array>} rawData - Sheet rows including the header row
+     * @returns {Object} Mapping with header details, unmapped columns and missing fields
+     */
+    detect(rawData) {
+        const headerRowIndex = this.findHeaderRow(rawData);
+        // Array.from densifies the sparse rows produced for merged/blank cells
+        const headers = Array.from(rawData[headerRowIndex] || [], cell =>
+            cell === null || cell === undefined ? '' : String(cell).trim()
+        );
+
+        const columns = {};
+        const sources = {};
+
+        headers.forEach((header, index) => {
+            const fieldKey = this.matchHeader(header);
+            if (fieldKey && columns[fieldKey] === undefined) {
+                columns[fieldKey] = index;
+                sources[fieldKey] = 'header';
+            }
+        });
+
+        // Fall back to the legacy fixed layout for fields whose header was not
+        // recognised, as long as that position is not already claimed
+        const claimed = new Set(Object.values(columns));
+        this.fields.forEach(field => {
+            if (columns[field.key] === undefined &&
+                field.legacyIndex !== null &&
+                field.legacyIndex < headers.length &&
+                !claimed.has(field.legacyIndex) &&
+                !this.matchHeader(headers[field.legacyIndex])) {
+                columns[field.key] = field.legacyIndex;
+                sources[field.key] = 'position';
+                claimed.add(field.legacyIndex);
+            }
+        });
+
+        return this.describe({ headerRowIndex, headers, columns, sources });
+    }
+
+    /**
+     * Recompute unmapped columns and missing fields for a (possibly edited) mapping
+     * @param {Object} mapping - Mapping with headers and columns
+     * @returns {Object} Mapping with derived status fields
+     */
+    describe(mapping) {
+        const columns = {};
+        Object.entries(mapping.columns || {}).forEach(([key, index]) => {
+            if (index !== null && index !== undefined && index !== '' && !isNaN(index)) {
+                columns[key] = Number(index);
+            }
+        });
+
+        const used = new Set(Object.values(columns));
+        const unmappedColumns = mapping.headers
+            .map((header, index) => ({ index, header }))
+            .filter(column => column.header !== '' && !used.has(column.index));
+
+        const missingRequired = this.fields
+            .filter(field => field.required && columns[field.key] === undefined)
+            .map(field => field.key);
+
+        const duplicateColumns = Object.values(columns)
+            .filter((index, i, all) => all.indexOf(index) !== i);
+
+        return {
+            headerRowIndex: mapping.headerRowIndex || 0,
+            headers: mapping.headers,
+            columns,
+            sources: mapping.sources || {},
+            unmappedColumns,
+            missingRequired,
+            duplicateColumns: [...new Set(duplicateColumns)],
+            isComplete: missingRequired.length === 0 && duplicateColumns.length === 0
+        };
+    }
+
+    /**
+     * Throw if a mapping cannot be used for cleaning
+     * @param {Object} mapping - Column mapping
+     */
+    assertComplete(mapping) {
+        const described = this.describe(mapping);
+
+        if (described.missingRequired.length > 0) {
+            const labels = described.missingRequired.map(key => this.getField(key).label);
+            throw new Error(`Missing required columns: ${labels.join(', ')}`);
+        }
+
+        if (described.duplicateColumns.length > 0) {
+            const names = described.duplicateColumns.map(index => described.headers[index] || `Column ${index + 1}`);
+            throw new Error(`Columns mapped to more than one field: ${names.join(', ')}`);
+        }
+
+        return described;
+    }
+
+    getField(key) {
+        return this.fields.find(field => field.key === key);
+    }
+
+    /**
+     * Signature used to recognise sheets sharing the same header layout
+     * @param {Object} mapping - Column mapping
+     * @returns {string} Header signature
+     */
+    getHeaderSignature(mapping) {
+        return mapping.headers.map(header => this.normalizeHeader(header)).join('|');
+    }
+}
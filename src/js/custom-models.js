@@ -0,0 +1,22 @@
+// ============================================================================
+// Custom Models - Extension Point for Additional Payment Models
+// Definitions listed here are registered alongside the built-in models
+// ============================================================================
+
+/**
+ * Custom model definitions, in reporting order. Each is { name, fit(trainData, context) }
+ * as described in model-registry.js; they are backtested and selected like the built-in
+ * models. The analysis runs in analysis.worker.js, which gets its own copy of every
+ * module, so models must be listed here rather than registered from page code.
+ *
+ * Example:
+ *   {
+ *       name: 'Charges × Last Rate',
+ *       fit: (trainData) => {
+ *           const last = trainData[trainData.length - 1];
+ *           const rate = last.totalChargeAmount > 0 ? last.totalPayments / last.totalChargeAmount : 0;
+ *           return { state: { rate }, predict: (rows) => rows.map(row => row.totalChargeAmount * rate) };
+ *       }
+ *   }
+ */
+export const CUSTOM_MODELS = [];
@@ -0,0 +1,168 @@
+// ============================================================================
+// Data Loader - Format-Agnostic File Ingestion
+// Reads Excel workbooks (every sheet) and CSV/TSV exports into raw sheet rows
+// ============================================================================
+
+import Papa from 'papaparse';
+// Bundled rather than read from the CDN global so parsing also works inside the analysis worker
+import * as XLSX from 'xlsx';
+import { getFileExtension } from './utils.js';
+
+export const EXCEL_EXTENSIONS = ['xlsx', 'xls'];
+export const DELIMITED_EXTENSIONS = ['csv', 'tsv', 'txt'];
+
+// Delimiters tried when sniffing a delimited file, in order of preference
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+
+export class DataLoader {
+    /**
+     * Read a supported file into raw sheets (header rows included)
+     * @param {File} file - Excel, CSV or TSV file
+     * @returns {Promise<Object>} { fileName, format, sheets: [{ name, rows }], meta }
+     */
+    async readFile(file) {
+        const buffer = await this.readArrayBuffer(file);
+        const extension = getFileExtension(file.name);
+
+        if (EXCEL_EXTENSIONS.includes(extension) || this.looksLikeWorkbook(buffer)) {
+            return {
+                fileName: file.name,
+                format: 'excel',
+                sheets: this.parseExcel(buffer),
+                meta: {}
+            };
+        }
+
+        const { text, encoding } = this.decodeText(buffer);
+        const { rows, delimiter } = this.parseDelimited(text, extension);
+
+        console.log(`📄 Parsed delimited file: encoding ${encoding}, delimiter ${JSON.stringify(delimiter)}`);
+
+        return {
+            fileName: file.name,
+            format: 'delimited',
+            sheets: [{ name: file.name, rows }],
+            meta: { encoding, delimiter }
+        };
+    }
+
+    readArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Detect XLSX (zip) and legacy XLS (OLE2) signatures regardless of extension
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {boolean} True if the bytes are a workbook
+     */
+    looksLikeWorkbook(buffer) {
+        const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 4));
+        const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+        const isOle = bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0;
+        return isZip || isOle;
+    }
+
+    parseExcel(buffer) {
+        try {
+            const workbook = XLSX.read(new Uint8Array(buffer), {
+                cellStyles: true,
+                cellFormulas: true,
+                cellDates: true,
+                cellNF: true,
+                sheetStubs: true
+            });
+
+            // Keep every worksheet that has at least a header and one data row
+            const sheets = workbook.SheetNames
+                .map(name => ({
+                    name,
+                    rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 })
+                }))
+                .filter(sheet => sheet.rows.length > 1);
+
+            if (sheets.length === 0) {
+                throw new Error('Workbook contains no sheets with data');
+            }
+
+            return sheets;
+        } catch (error) {
+            console.error('Excel processing error:', error);
+            throw new Error('Failed to process Excel file: ' + error.message);
+        }
+    }
+
+    /**
+     * Decode file bytes, honouring byte-order marks and falling back to
+     * Windows-1252 for legacy exports that are not valid UTF-8
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Object} { text, encoding }
+     */
+    decodeText(buffer) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+        }
+        if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+            return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+        }
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+            return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+        }
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+        } catch (error) {
+            return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+        }
+    }
+
+    /**
+     * Parse delimited text into rows, detecting the dialect
+     * @param {string} text - Decoded file contents
+     * @param {string} extension - File extension, used as a delimiter hint
+     * @returns {Object} { rows, delimiter }
+     */
+    parseDelimited(text, extension = '') {
+        let body = text;
+        let delimiter = '';
+
+        // Excel writes a "sep=;" hint line when saving regional CSVs
+        const hint = body.match(/^sep=(.)\r?\n/i);
+        if (hint) {
+            delimiter = hint[1];
+            body = body.slice(hint[0].length);
+        } else if (extension === 'tsv') {
+            delimiter = '\t';
+        }
+
+        const result = Papa.parse(body, {
+            delimiter,
+            delimitersToGuess: CANDIDATE_DELIMITERS,
+            skipEmptyLines: 'greedy',
+            dynamicTyping: false
+        });
+
+        const fatal = result.errors.filter(error => error.type === 'Quotes');
+        if (fatal.length > 0) {
+            const first = fatal[0];
+            throw new Error(`Malformed quoted field on row ${first.row + 1}: ${first.message}`);
+        }
+
+        if (result.data.length === 0) {
+            throw new Error('Delimited file contains no rows');
+        }
+
+        const rows = result.data.map(row => row.map(value => {
+            const trimmed = typeof value === 'string' ? value.trim() : value;
+            return trimmed === '' ? null : trimmed;
+        }));
+
+        return { rows, delimiter: result.meta.delimiter };
+    }
+}
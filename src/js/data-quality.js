@@ -0,0 +1,230 @@
+// ============================================================================
+// Data Quality Checker - Pre-Analysis Validation Report
+// Flags blank/coerced cells, impossible values, gaps and duplicate keys
+// ============================================================================
+
+import { COLUMN_FIELDS } from './column-mapper.js';
+import { addDays, formatISODate, getPeriod, isoWeekStart } from './periods.js';
+
+// Numeric fields whose blank or coerced cells are counted per column
+const NUMERIC_FIELDS = COLUMN_FIELDS
+    .filter(field => !['year', 'week', 'location', 'payer', 'emGroup'].includes(field.key))
+    .map(field => ({ field: field.key, label: field.label }));
+
+export class DataQualityChecker {
+    /**
+     * Assess cleaned records before they reach the analysis pipeline
+     * @param {Array<Object>} records - Cleaned (merged) records
+     * @param {Object} mergeResult - { duplicates, conflicts } from DatasetMerger
+     * @returns {Object} { summary, columns, issues, missingWeeks, duplicateKeys }
+     */
+    assess(records, mergeResult = {}) {
+        console.log(`🔎 Checking data quality for ${records.length} records...`);
+
+        const issues = [];
+        const columns = NUMERIC_FIELDS.map(column => ({ ...column, blank: 0, coerced: 0 }));
+        const columnIndex = new Map(columns.map(column => [column.field, column]));
+        // Cleaning converts 0–100 collection columns to fractions and marks the converted records
+        const collectionScale = records.some(record => record.collectionScale === 'percent') ? 'percent' : 'fraction';
+
+        records.forEach(record => {
+            (record.cellIssues || []).forEach(cellIssue => {
+                const column = columnIndex.get(cellIssue.field);
+                if (column) column[cellIssue.type]++;
+
+                issues.push(this.createIssue(record, {
+                    severity: cellIssue.type === 'coerced' ? 'warning' : 'info',
+                    type: cellIssue.type === 'coerced' ? 'Coerced value' : 'Blank cell',
+                    field: cellIssue.field,
+                    value: cellIssue.value,
+                    message: cellIssue.type === 'coerced' ?
+                        `"${cellIssue.value}" is not a clean number and was read as ${this.formatValue(record[cellIssue.field])}` :
+                        'Blank cell treated as 0'
+                }));
+            });
+
+            if (!record.weekStart) {
+                issues.push(this.createIssue(record, {
+                    severity: 'error',
+                    type: 'Unrecognised week',
+                    field: 'week',
+                    value: record.week,
+                    message: `Week "${record.week}" of year "${record.year}" is not a valid ISO week, date or date serial; row excluded from analysis`
+                }));
+            }
+
+            if (record.totalPayments < 0) {
+                issues.push(this.createIssue(record, {
+                    severity: 'warning',
+                    type: 'Negative payments',
+                    field: 'totalPayments',
+                    value: record.totalPayments,
+                    message: 'Total payments are negative (refunds or take-backs?)'
+                }));
+            }
+
+            if (record.collectionPct < 0 || record.collectionPct > 1) {
+                issues.push(this.createIssue(record, {
+                    severity: 'warning',
+                    type: 'Collection % out of range',
+                    field: 'collectionPct',
+                    value: record.collectionScale === 'percent' ? record.collectionPct * 100 : record.collectionPct,
+                    message: record.collectionScale === 'percent' ?
+                        'Collection % should be between 0 and 100' : 'Collection % should be between 0 and 1'
+                }));
+            }
+
+            if (record.visitsWithLabCount > record.visitCount) {
+                issues.push(this.createIssue(record, {
+                    severity: 'error',
+                    type: 'Lab visits exceed visits',
+                    field: 'visitsWithLabCount',
+                    value: record.visitsWithLabCount,
+                    message: `${record.visitsWithLabCount} visits with labs but only ${record.visitCount} visits`
+                }));
+            }
+        });
+
+        const missingWeeks = this.findMissingWeeks(records);
+        missingWeeks.forEach(gap => {
+            issues.push({
+                severity: 'warning',
+                type: 'Missing week',
+                source: null,
+                row: null,
+                year: gap.year,
+                week: gap.week,
+                location: null,
+                payer: null,
+                emGroup: null,
+                field: 'week',
+                value: gap.weekStart,
+                message: `No rows for ${gap.year} week ${gap.week} (starting ${gap.weekStart})`
+            });
+        });
+
+        const duplicateKeys = this.collectDuplicateKeys(mergeResult);
+        duplicateKeys.forEach(duplicate => {
+            issues.push({
+                severity: duplicate.conflicting ? 'error' : 'info',
+                type: duplicate.conflicting ? 'Conflicting duplicate key' : 'Duplicate key',
+                source: duplicate.sources.join(' | '),
+                row: null,
+                year: duplicate.year,
+                week: duplicate.week,
+                location: duplicate.location,
+                payer: duplicate.payer,
+                emGroup: duplicate.emGroup,
+                field: duplicate.conflicting ? duplicate.fields.join(', ') : null,
+                value: null,
+                message: duplicate.conflicting ?
+                    `Same key with different values in ${duplicate.fields.join(', ')}` :
+                    'Identical row repeated; the repeat was dropped'
+            });
+        });
+
+        const summary = {
+            records: records.length,
+            issues: issues.length,
+            errors: issues.filter(issue => issue.severity === 'error').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length,
+            info: issues.filter(issue => issue.severity === 'info').length,
+            blankCells: columns.reduce((sum, column) => sum + column.blank, 0),
+            coercedCells: columns.reduce((sum, column) => sum + column.coerced, 0),
+            missingWeeks: missingWeeks.length,
+            duplicateKeys: duplicateKeys.length,
+            collectionScale
+        };
+
+        console.log(`Data quality: ${summary.errors} errors, ${summary.warnings} warnings, ${summary.info} notes`);
+
+        return { summary, columns, issues, missingWeeks, duplicateKeys };
+    }
+
+    createIssue(record, details) {
+        return {
+            source: record.source || null,
+            row: record.sourceRow || null,
+            year: record.year,
+            week: record.week,
+            location: record.location ?? null,
+            payer: record.payer,
+            emGroup: record.emGroup,
+            ...details
+        };
+    }
+
+    /**
+     * Decide whether a rate column is stored as 0–1 or 0–100
+     * @param {Array<number>} values - Column values
+     * @returns {string} 'fraction' or 'percent'
+     */
+    detectPercentScale(values) {
+        const sorted = values.filter(value => isFinite(value)).sort((a, b) => a - b);
+        if (sorted.length === 0) return 'fraction';
+
+        // Use the 90th percentile so a few bad rows do not flip the scale
+        const p90 = sorted[Math.floor((sorted.length - 1) * 0.9)];
+        return p90 > 1.5 ? 'percent' : 'fraction';
+    }
+
+    /**
+     * Find ISO weeks absent between the first and last week present. Weeks are compared by
+     * ISO week key, so Sunday-dated and Monday-dated weeks of the same ISO week match;
+     * stepping from Monday to Monday handles 53-week years.
+     * @param {Array<Object>} records - Cleaned records
+     * @returns {Array<Object>} [{ year, week, weekStart }] using ISO year and week; weekStart is the ISO Monday
+     */
+    findMissingWeeks(records) {
+        const present = new Set(records.filter(record => record.weekStart).map(record => getPeriod(record.weekStart, 'week').periodKey));
+        if (present.size === 0) return [];
+
+        const sorted = Array.from(present).sort();
+        const [firstYear, firstWeek] = sorted[0].split('-W').map(Number);
+        const last = sorted[sorted.length - 1];
+        const missing = [];
+
+        for (let date = isoWeekStart(firstYear, firstWeek); ; date = addDays(date, 7)) {
+            const weekStart = formatISODate(date);
+            const { periodKey, year } = getPeriod(weekStart, 'week');
+            if (periodKey > last) break;
+            if (!present.has(periodKey)) {
+                missing.push({ year, week: Number(periodKey.split('-W')[1]), weekStart });
+            }
+        }
+
+        return missing;
+    }
+
+    collectDuplicateKeys(mergeResult) {
+        const duplicates = (mergeResult.duplicates || []).map(duplicate => ({
+            key: duplicate.key,
+            year: duplicate.year,
+            week: duplicate.week,
+            location: duplicate.location ?? null,
+            payer: duplicate.payer,
+            emGroup: duplicate.emGroup,
+            sources: duplicate.sources,
+            conflicting: false,
+            fields: []
+        }));
+
+        const conflicts = (mergeResult.conflicts || []).map(conflict => ({
+            key: conflict.key,
+            year: conflict.year,
+            week: conflict.week,
+            location: conflict.location ?? null,
+            payer: conflict.payer,
+            emGroup: conflict.emGroup,
+            sources: conflict.sources,
+            conflicting: true,
+            fields: conflict.differences.map(difference => difference.field)
+        }));
+
+        return [...conflicts, ...duplicates];
+    }
+
+    formatValue(value) {
+        return typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+    }
+}
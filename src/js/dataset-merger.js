@@ -0,0 +1,148 @@
+// ============================================================================
+// Dataset Merger - Multi-Sheet and Multi-Workbook Consolidation
+// Merges cleaned record sets keyed by year/week/location/payer/E&M group
+// ============================================================================
+
+// Fields that add up when two records describe parts of the same cell
+const ADDITIVE_FIELDS = ['chargeAmount', 'totalPayments', 'visitCount', 'visitsWithLabCount', 'paymentsPctOfTotal'];
+
+// Fields compared when deciding whether a repeated key is a true conflict
+const COMPARED_FIELDS = [
+    'paymentsPctOfTotal', 'avgPayment', 'avgEMWeight', 'chargeAmount',
+    'collectionPct', 'totalPayments', 'visitCount', 'visitsWithLabCount'
+];
+
+export const MERGE_STRATEGIES = {
+    first: 'Keep first',
+    last: 'Keep last',
+    sum: 'Sum values'
+};
+
+export class DatasetMerger {
+    constructor(tolerance = 1e-6) {
+        this.tolerance = tolerance;
+    }
+
+    /**
+     * Build the de-duplication key for a cleaned record
+     * @param {Object} record - Cleaned record
+     * @returns {string} Merge key
+     */
+    getKey(record) {
+        // Rows for two aliases of one payer are distinct rows, not repeats. The
+        // calendar week lets "W02" in one export match "2024-01-08" in another.
+        // Each location's rows are its own cells.
+        const week = record.weekStart ?? `${record.year}|${record.week}`;
+        return [week, record.location, record.rawPayer ?? record.payer, record.emGroup]
+            .map(value => String(value ?? '').trim().toUpperCase())
+            .join('|');
+    }
+
+    /**
+     * Merge several cleaned datasets into one
+     * @param {Array<Object>} datasets - [{ source, records }] in load order
+     * @param {string} strategy - How to resolve conflicting keys ('first', 'last' or 'sum')
+     * @returns {Object} { records, duplicates, conflicts } - identical repeats are
+     *   dropped as duplicates unless summing
+     */
+    merge(datasets, strategy = 'first') {
+        console.log(`🔀 Merging ${datasets.length} dataset(s) using "${strategy}" strategy...`);
+
+        if (!MERGE_STRATEGIES[strategy]) {
+            throw new Error(`Unknown merge strategy: ${strategy}`);
+        }
+
+        const merged = new Map();
+        const duplicates = [];
+        const conflicts = [];
+
+        datasets.forEach(({ source, records }) => {
+            records.forEach(record => {
+                const tagged = { ...record, source: record.source || source };
+                const key = this.getKey(tagged);
+                const existing = merged.get(key);
+
+                if (!existing) {
+                    merged.set(key, tagged);
+                    return;
+                }
+
+                // When summing, every repeat is another part of the same cell
+                const differences = this.compareRecords(existing, tagged);
+                if (differences.length === 0 && strategy !== 'sum') {
+                    duplicates.push({
+                        key,
+                        year: tagged.year,
+                        week: tagged.week,
+                        location: tagged.location ?? null,
+                        payer: tagged.payer,
+                        emGroup: tagged.emGroup,
+                        sources: [existing.source, tagged.source]
+                    });
+                    return;
+                }
+
+                if (differences.length > 0) {
+                    conflicts.push({
+                        key,
+                        year: tagged.year,
+                        week: tagged.week,
+                        location: tagged.location ?? null,
+                        payer: tagged.payer,
+                        emGroup: tagged.emGroup,
+                        sources: [existing.source, tagged.source],
+                        differences
+                    });
+                }
+
+                if (strategy === 'last') {
+                    merged.set(key, tagged);
+                } else if (strategy === 'sum') {
+                    merged.set(key, this.combineRecords(existing, tagged));
+                }
+            });
+        });
+
+        const records = Array.from(merged.values());
+
+        console.log(`Merged dataset: ${records.length} records, ${duplicates.length} duplicates dropped, ${conflicts.length} conflicts`);
+
+        return { records, duplicates, conflicts };
+    }
+
+    compareRecords(a, b) {
+        return COMPARED_FIELDS
+            .filter(field => {
+                const left = a[field] || 0;
+                const right = b[field] || 0;
+                const scale = Math.max(Math.abs(left), Math.abs(right), 1);
+                return Math.abs(left - right) / scale > this.tolerance;
+            })
+            .map(field => ({ field, values: [a[field], b[field]] }));
+    }
+
+    /**
+     * Add two partial records together (e.g. the same cell split across two exports)
+     * @param {Object} a - Existing record
+     * @param {Object} b - Incoming record
+     * @returns {Object} Combined record with rates recomputed from the totals
+     */
+    combineRecords(a, b) {
+        const combined = { ...a, source: `${a.source} + ${b.source}` };
+
+        ADDITIVE_FIELDS.forEach(field => {
+            combined[field] = (a[field] || 0) + (b[field] || 0);
+        });
+
+        const totalVisits = combined.visitCount;
+        combined.avgEMWeight = totalVisits > 0 ?
+            ((a.avgEMWeight || 0) * (a.visitCount || 0) + (b.avgEMWeight || 0) * (b.visitCount || 0)) / totalVisits : 0;
+        combined.avgPayment = totalVisits > 0 ? combined.totalPayments / totalVisits : 0;
+        combined.collectionPct = combined.chargeAmount > 0 ?
+            ((a.collectionPct || 0) * (a.chargeAmount || 0) + (b.collectionPct || 0) * (b.chargeAmount || 0)) / combined.chargeAmount : 0;
+        combined.pctVisitsWithLabs = totalVisits > 0 ? combined.visitsWithLabCount / totalVisits : 0;
+        combined.paymentPerVisit = totalVisits > 0 ? combined.totalPayments / totalVisits : 0;
+
+        return combined;
+    }
+}
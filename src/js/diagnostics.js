@@ -0,0 +1,161 @@
+// ============================================================================
+// Diagnostics - Residual Analysis of the Best Model
+// Bias, autocorrelation and error distribution from the per-period results
+// ============================================================================
+
+import { studentTTwoTailed } from './regression.js';
+
+export const PAYER_MIX_BUCKETS = ['Low', 'Medium', 'High'];
+
+/**
+ * Residual diagnostics (residual = actual - predicted) for the best model's fit
+ * @param {Array<Object>} performanceResults - Per-period results, oldest first
+ * @param {Object} options - { payers: payer group names to bucket by their share of charges }
+ * @returns {Object|null} { residuals, summary, acf, histogram, payerBias } as plain data, or null
+ *   with fewer than 3 periods
+ */
+export function diagnoseResiduals(performanceResults, { payers = [] } = {}) {
+    const n = performanceResults.length;
+    if (n < 3) return null;
+
+    const residuals = performanceResults.map(period => ({
+        periodLabel: period.periodLabel,
+        actual: period.actualPayments,
+        fitted: period.predictedPayments,
+        residual: period.actualPayments - period.predictedPayments
+    }));
+    const errors = residuals.map(r => r.residual);
+    const bias = meanTest(errors);
+    const maxLag = Math.min(Math.round(10 * Math.log10(n)), n - 2);
+
+    return {
+        residuals,
+        summary: {
+            periods: n,
+            meanError: bias.mean,
+            standardDeviation: bias.standardDeviation,
+            biasPValue: bias.pValue,
+            meanPercentError: mean(residuals.filter(r => r.actual > 0).map(r => r.residual / r.actual)),
+            durbinWatson: durbinWatson(errors)
+        },
+        acf: {
+            bound: 1.96 / Math.sqrt(n),
+            lags: autocorrelations(errors, maxLag)
+        },
+        histogram: histogram(errors),
+        payerBias: payers.flatMap(payer => payerMixBias(performanceResults, payer))
+    };
+}
+
+/**
+ * Plain-language reading of the Durbin-Watson statistic
+ * @param {number} statistic - Durbin-Watson statistic (0 to 4, 2 means no lag-1 autocorrelation)
+ * @returns {string} Description
+ */
+export function describeDurbinWatson(statistic) {
+    if (statistic === null) return 'not available';
+    if (statistic < 1.5) return 'positive autocorrelation (errors persist from one period to the next)';
+    if (statistic > 2.5) return 'negative autocorrelation (errors alternate in sign)';
+    return 'no meaningful lag-1 autocorrelation';
+}
+
+/**
+ * Durbin-Watson statistic: sum of squared successive differences over the residual sum of squares
+ * @param {Array<number>} errors - Residuals in time order
+ * @returns {number|null} Statistic, null when every residual is zero
+ */
+function durbinWatson(errors) {
+    const sumSquares = errors.reduce((sum, e) => sum + e * e, 0);
+    if (sumSquares === 0) return null;
+    return errors.slice(1).reduce((sum, e, i) => sum + (e - errors[i]) ** 2, 0) / sumSquares;
+}
+
+/**
+ * Sample autocorrelation function
+ * @param {Array<number>} errors - Residuals in time order
+ * @param {number} maxLag - Largest lag
+ * @returns {Array<Object>} [{ lag, value }] for lags 1..maxLag (values 0 for constant residuals)
+ */
+function autocorrelations(errors, maxLag) {
+    const average = mean(errors);
+    const centered = errors.map(e => e - average);
+    const variance = centered.reduce((sum, e) => sum + e * e, 0);
+    return Array.from({ length: Math.max(maxLag, 0) }, (_, i) => {
+        const lag = i + 1;
+        const covariance = centered.slice(lag).reduce((sum, e, t) => sum + e * centered[t], 0);
+        return { lag, value: variance > 0 ? covariance / variance : 0 };
+    });
+}
+
+/**
+ * Equal-width histogram with Sturges' number of bins
+ * @param {Array<number>} values - Values
+ * @returns {Array<Object>} [{ from, to, count }]
+ */
+function histogram(values) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const binCount = Math.ceil(Math.log2(values.length) + 1);
+    const width = (max - min) / binCount;
+    if (width === 0) return [{ from: min, to: max, count: values.length }];
+
+    const bins = Array.from({ length: binCount }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+    values.forEach(value => {
+        bins[Math.min(Math.floor((value - min) / width), binCount - 1)].count++;
+    });
+    return bins;
+}
+
+/**
+ * Mean error of the periods in each tercile of one payer's share of charges
+ * @param {Array<Object>} performanceResults - Per-period results with their aggregated period data
+ * @param {string} payer - Payer group name
+ * @returns {Array<Object>} [{ payer, bucket, periods, minShare, maxShare, meanError, meanPercentError, pValue }];
+ *   empty when the payer's share never varies
+ */
+function payerMixBias(performanceResults, payer) {
+    const periods = performanceResults.map(period => {
+        const week = period.originalData;
+        const charges = week?.payerMetrics?.[payer]?.charges || 0;
+        return {
+            share: week?.totalChargeAmount > 0 ? charges / week.totalChargeAmount : 0,
+            actual: period.actualPayments,
+            residual: period.actualPayments - period.predictedPayments
+        };
+    }).sort((a, b) => a.share - b.share);
+
+    if (periods[0].share === periods[periods.length - 1].share) return [];
+
+    return PAYER_MIX_BUCKETS.map((bucket, i) => {
+        const members = periods.slice(Math.round(i * periods.length / 3), Math.round((i + 1) * periods.length / 3));
+        const test = meanTest(members.map(p => p.residual));
+        return {
+            payer,
+            bucket,
+            periods: members.length,
+            minShare: members[0]?.share ?? null,
+            maxShare: members[members.length - 1]?.share ?? null,
+            meanError: test.mean,
+            meanPercentError: mean(members.filter(p => p.actual > 0).map(p => p.residual / p.actual)),
+            pValue: test.pValue
+        };
+    }).filter(bucket => bucket.periods > 0);
+}
+
+/**
+ * One-sample t-test of a zero mean
+ * @param {Array<number>} values - Sample
+ * @returns {Object} { mean, standardDeviation, pValue } - pValue null below 2 values or without spread
+ */
+function meanTest(values) {
+    const average = mean(values);
+    if (values.length < 2) return { mean: average, standardDeviation: null, pValue: null };
+    const standardDeviation = Math.sqrt(values.reduce((sum, v) => sum + (v - average) ** 2, 0) / (values.length - 1));
+    const pValue = standardDeviation > 0 ?
+        studentTTwoTailed(average / (standardDeviation / Math.sqrt(values.length)), values.length - 1) : null;
+    return { mean: average, standardDeviation, pValue };
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
@@ -0,0 +1,194 @@
+// ============================================================================
+// E&M Analysis - Coding Intensity and Level-Mix Drift
+// Visits by E&M level, average E&M weight and payment per level by payer
+// ============================================================================
+
+import { chiSquareUpperTail } from './regression.js';
+
+// Prior periods needed before a period's level mix is tested against them
+const MIN_BASELINE_PERIODS = 2;
+// Smallest share of visits that must move between levels before a significant shift is
+// flagged, so tiny shifts on large volumes are not reported
+const MIN_MIX_SHIFT = 0.05;
+
+/**
+ * E&M level mix per period and payer, with a drift test of every period's mix against its trailing baseline
+ * @param {Array<Object>} periods - Aggregated periods with their detail records, oldest first
+ * @param {Object} options - { payerOf: record => payer group name, baselinePeriods, alpha }
+ * @returns {Object} { levels, periods, payerLevels, baselinePeriods, alpha } as plain data:
+ *   - levels: [{ level, visits, share, avgEMWeight }] ordered by E&M weight
+ *   - periods: [{ periodKey, periodLabel, visits, avgEMWeight, levelVisits, payerLevelVisits, drift }]
+ *   - payerLevels: [{ payer, level, visits, share, payments, paymentPerVisit }] - share of the payer's visits
+ */
+export function analyzeEM(periods, { payerOf, baselinePeriods = 13, alpha = 0.05 }) {
+    const summaries = periods.map(period => summarizePeriod(period, payerOf));
+    const levels = summarizeLevels(periods.flatMap(period => period.detailRecords || []));
+    const levelNames = levels.map(level => level.level);
+
+    return {
+        levels,
+        periods: summaries.map((summary, i) => {
+            const baseline = summaries.slice(Math.max(0, i - baselinePeriods), i);
+            return {
+                ...summary,
+                drift: baseline.length >= MIN_BASELINE_PERIODS ? testDrift(summary, baseline, levelNames, alpha) : null
+            };
+        }),
+        payerLevels: summarizePayerLevels(periods.flatMap(period => period.detailRecords || []), payerOf, levelNames),
+        baselinePeriods,
+        alpha
+    };
+}
+
+/**
+ * Visits and visit-weighted E&M weight of one period, overall and by payer
+ * @param {Object} period - Aggregated period
+ * @param {Function} payerOf - record => payer group name
+ * @returns {Object} { periodKey, periodLabel, visits, avgEMWeight, levelVisits, payerLevelVisits }
+ */
+function summarizePeriod(period, payerOf) {
+    const levelVisits = {};
+    const payerLevelVisits = {};
+    let visits = 0;
+    let weighted = 0;
+    (period.detailRecords || []).forEach(record => {
+        const level = levelOf(record);
+        const payer = payerOf(record);
+        const count = record.visitCount || 0;
+        levelVisits[level] = (levelVisits[level] || 0) + count;
+        payerLevelVisits[payer] = payerLevelVisits[payer] || {};
+        payerLevelVisits[payer][level] = (payerLevelVisits[payer][level] || 0) + count;
+        visits += count;
+        weighted += (record.avgEMWeight || 0) * count;
+    });
+    return {
+        periodKey: period.periodKey,
+        periodLabel: period.periodLabel,
+        visits,
+        avgEMWeight: visits > 0 && weighted > 0 ? weighted / visits : null,
+        levelVisits,
+        payerLevelVisits
+    };
+}
+
+/**
+ * Every E&M level with its visits and visit-weighted E&M weight, lowest weight first
+ * (levels without a weight are ordered by name)
+ * @param {Array<Object>} records - Cleaned records
+ * @returns {Array<Object>} [{ level, visits, share, avgEMWeight }]
+ */
+function summarizeLevels(records) {
+    const totals = {};
+    records.forEach(record => {
+        const level = levelOf(record);
+        totals[level] = totals[level] || { level, visits: 0, weighted: 0 };
+        totals[level].visits += record.visitCount || 0;
+        totals[level].weighted += (record.avgEMWeight || 0) * (record.visitCount || 0);
+    });
+    const allVisits = Object.values(totals).reduce((sum, total) => sum + total.visits, 0);
+
+    return Object.values(totals)
+        .map(({ level, visits, weighted }) => ({
+            level,
+            visits,
+            share: allVisits > 0 ? visits / allVisits : 0,
+            avgEMWeight: visits > 0 && weighted > 0 ? weighted / visits : null
+        }))
+        .sort((a, b) => (a.avgEMWeight ?? Infinity) - (b.avgEMWeight ?? Infinity) ||
+            a.level.localeCompare(b.level, undefined, { numeric: true }));
+}
+
+/**
+ * Visits, payments and payment per visit of each payer at each E&M level
+ * @param {Array<Object>} records - Cleaned records
+ * @param {Function} payerOf - record => payer group name
+ * @param {Array<string>} levelNames - Levels in reporting order
+ * @returns {Array<Object>} [{ payer, level, visits, share, payments, paymentPerVisit }]
+ */
+function summarizePayerLevels(records, payerOf, levelNames) {
+    const totals = {};
+    records.forEach(record => {
+        const payer = payerOf(record);
+        const level = levelOf(record);
+        totals[payer] = totals[payer] || {};
+        totals[payer][level] = totals[payer][level] || { visits: 0, payments: 0 };
+        totals[payer][level].visits += record.visitCount || 0;
+        totals[payer][level].payments += record.totalPayments || 0;
+    });
+
+    return Object.entries(totals).flatMap(([payer, byLevel]) => {
+        const payerVisits = Object.values(byLevel).reduce((sum, cell) => sum + cell.visits, 0);
+        return levelNames.filter(level => byLevel[level]).map(level => ({
+            payer,
+            level,
+            visits: byLevel[level].visits,
+            share: payerVisits > 0 ? byLevel[level].visits / payerVisits : 0,
+            payments: byLevel[level].payments,
+            paymentPerVisit: byLevel[level].visits > 0 ? byLevel[level].payments / byLevel[level].visits : null
+        }));
+    });
+}
+
+/**
+ * Chi-square test of homogeneity between a period's level mix and its pooled trailing baseline
+ * @param {Object} summary - Period summary
+ * @param {Array<Object>} baseline - Summaries of the baseline periods
+ * @param {Array<string>} levelNames - Levels in reporting order
+ * @param {number} alpha - Significance level
+ * @returns {Object} { baselineLabel, baselineEMWeight, chiSquare, df, pValue, mixShift, largestShift, flagged } -
+ *   largestShift is the level whose share moved most: { level, share, baselineShare }
+ */
+function testDrift(summary, baseline, levelNames, alpha) {
+    const baselineVisits = {};
+    let baselineTotal = 0;
+    let baselineWeighted = 0;
+    baseline.forEach(period => {
+        Object.entries(period.levelVisits).forEach(([level, visits]) => {
+            baselineVisits[level] = (baselineVisits[level] || 0) + visits;
+        });
+        baselineTotal += period.visits;
+        baselineWeighted += (period.avgEMWeight || 0) * period.visits;
+    });
+
+    // 2 x k contingency table; levels seen in neither row carry no information
+    const used = levelNames.filter(level => (summary.levelVisits[level] || 0) + (baselineVisits[level] || 0) > 0);
+    const total = summary.visits + baselineTotal;
+    let chiSquare = 0;
+    if (summary.visits > 0 && baselineTotal > 0) {
+        used.forEach(level => {
+            const column = (summary.levelVisits[level] || 0) + (baselineVisits[level] || 0);
+            [[summary.levelVisits[level] || 0, summary.visits], [baselineVisits[level] || 0, baselineTotal]].forEach(([observed, rowTotal]) => {
+                const expected = rowTotal * column / total;
+                chiSquare += (observed - expected) ** 2 / expected;
+            });
+        });
+    }
+    const df = Math.max(used.length - 1, 0);
+    const pValue = df > 0 && summary.visits > 0 && baselineTotal > 0 ? chiSquareUpperTail(chiSquare, df) : null;
+
+    const shares = used.map(level => ({
+        level,
+        share: summary.visits > 0 ? (summary.levelVisits[level] || 0) / summary.visits : 0,
+        baselineShare: baselineTotal > 0 ? (baselineVisits[level] || 0) / baselineTotal : 0
+    }));
+    // Half the summed share differences: the fraction of visits coded at a different level than the baseline mix
+    const mixShift = shares.reduce((sum, s) => sum + Math.abs(s.share - s.baselineShare), 0) / 2;
+    const largestShift = shares.reduce((best, s) =>
+        (!best || Math.abs(s.share - s.baselineShare) > Math.abs(best.share - best.baselineShare) ? s : best), null);
+
+    return {
+        baselineLabel: baseline.length === 1 ? baseline[0].periodLabel :
+            `${baseline[0].periodLabel} – ${baseline[baseline.length - 1].periodLabel}`,
+        baselineEMWeight: baselineTotal > 0 && baselineWeighted > 0 ? baselineWeighted / baselineTotal : null,
+        chiSquare,
+        df,
+        pValue,
+        mixShift,
+        largestShift,
+        flagged: pValue !== null && pValue < alpha && mixShift >= MIN_MIX_SHIFT
+    };
+}
+
+function levelOf(record) {
+    return String(record.emGroup ?? 'Unknown');
+}
@@ -0,0 +1,161 @@
+// ============================================================================
+// Ensemble - Stacked Blend of the Candidate Models
+// Non-negative blending weights (summing to 1) learned on out-of-sample predictions
+// ============================================================================
+
+import { invertMatrix } from './regression.js';
+
+export const ENSEMBLE_MODEL = 'Stacked Ensemble';
+
+// Weights below this are dropped and the rest renormalised
+const MIN_WEIGHT = 1e-4;
+// Weight of the extra least-squares row that ties the weights' sum to 1
+const SUM_PENALTY = 1e3;
+const TOLERANCE = 1e-10;
+
+/**
+ * Out-of-sample predictions the blend is learned on, one block (validation or test fold) at a time
+ * @returns {Object} { actuals: [], predictions: { modelName: [] } }
+ */
+export function createValidationSet() {
+    return { actuals: [], predictions: {} };
+}
+
+/**
+ * Append a block of out-of-sample predictions. Models missing from the block (or
+ * from earlier ones) get null predictions there and are left out of later blends.
+ * @param {Object} validation - Result of createValidationSet
+ * @param {Array<number>} actuals - Actual payments of the block's periods
+ * @param {Array<Object>} results - [{ modelName, predictions }]
+ */
+export function addValidationBlock(validation, actuals, results) {
+    const previous = validation.actuals.length;
+    const names = new Set([...Object.keys(validation.predictions), ...results.map(r => r.modelName)]);
+    names.forEach(name => {
+        const result = results.find(r => r.modelName === name);
+        validation.predictions[name] = [
+            ...(validation.predictions[name] || new Array(previous).fill(null)),
+            ...(result ? result.predictions : new Array(actuals.length).fill(null))
+        ];
+    });
+    validation.actuals.push(...actuals);
+}
+
+/**
+ * Least-squares blending weights with w >= 0 and sum w = 1 (non-negative least squares,
+ * the sum held by a heavily weighted extra row). With no validation periods yet every
+ * candidate gets an equal weight.
+ * @param {Object} validation - Out-of-sample predictions so far
+ * @param {Array<string>} candidates - Models that can be blended
+ * @returns {Object|null} Model name to weight, or null without candidates
+ */
+export function learnBlendWeights(validation, candidates) {
+    const names = validation.actuals.length === 0 ? candidates :
+        candidates.filter(name => validation.predictions[name]?.every(value => value !== null && isFinite(value)));
+    if (names.length === 0) return null;
+    if (validation.actuals.length === 0 || names.length === 1) {
+        return normalizeWeights(Object.fromEntries(names.map(name => [name, 1])));
+    }
+
+    // Work in units of the average payment so the sum row dominates at any scale
+    const scale = validation.actuals.reduce((sum, value) => sum + Math.abs(value), 0) / validation.actuals.length || 1;
+    const columns = names.map(name => [...validation.predictions[name].map(value => value / scale), SUM_PENALTY]);
+    const target = [...validation.actuals.map(value => value / scale), SUM_PENALTY];
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+    const weights = nonNegativeLeastSquares(columns.map(a => columns.map(b => dot(a, b))), columns.map(a => dot(a, target)));
+
+    return normalizeWeights(Object.fromEntries(names.map((name, j) => [name, weights[j]])));
+}
+
+/**
+ * Blend of fitted models; models that could not be fitted drop out and the rest are reweighted
+ * @param {Object} weights - Model name to weight
+ * @param {Object} fittedModels - Model name to fitted model (or null)
+ * @returns {Object|null} Fitted model (see ModelRegistry), or null when none of the blended models is available
+ */
+export function createEnsembleModel(weights, fittedModels) {
+    const available = normalizeWeights(Object.fromEntries(
+        Object.entries(weights).filter(([name]) => fittedModels[name])));
+    if (!available) return null;
+
+    return {
+        state: { weights: available },
+        predict: (rows) => blendPredictions(available,
+            Object.fromEntries(Object.keys(available).map(name => [name, fittedModels[name].predict(rows)])))
+    };
+}
+
+/**
+ * Weighted sum of model predictions
+ * @param {Object} weights - Model name to weight
+ * @param {Object} predictions - Model name to predictions, aligned across models
+ * @returns {Array<number|null>} Blended predictions, null where any model has no prediction
+ */
+export function blendPredictions(weights, predictions) {
+    const names = Object.keys(weights);
+    const length = predictions[names[0]].length;
+    return Array.from({ length }, (_, i) => names.some(name => predictions[name][i] === null) ? null :
+        names.reduce((sum, name) => sum + weights[name] * predictions[name][i], 0));
+}
+
+/**
+ * Drop negligible weights and rescale the rest to sum to 1
+ * @param {Object} weights - Model name to weight
+ * @returns {Object|null} Normalised weights, null when nothing is left
+ */
+function normalizeWeights(weights) {
+    const kept = Object.entries(weights).filter(([, weight]) => weight >= MIN_WEIGHT);
+    const total = kept.reduce((sum, [, weight]) => sum + weight, 0);
+    return total > 0 ? Object.fromEntries(kept.map(([name, weight]) => [name, weight / total])) : null;
+}
+
+/**
+ * Lawson-Hanson active-set solver for min ||Ax - b||² subject to x >= 0, from the normal equations
+ * @param {Array<Array<number>>} gram - AᵀA
+ * @param {Array<number>} rhs - Aᵀb
+ * @returns {Array<number>} Solution
+ */
+function nonNegativeLeastSquares(gram, rhs) {
+    const size = rhs.length;
+    // Tiny ridge keeps near-duplicate predictions solvable
+    const jitter = 1e-12 * gram.reduce((sum, row, i) => sum + row[i], 0) / size;
+    const passive = new Set();
+    let x = new Array(size).fill(0);
+
+    const solvePassive = () => {
+        const indices = [...passive];
+        const inverse = invertMatrix(indices.map(i => indices.map(j => gram[i][j] + (i === j ? jitter : 0))));
+        const z = new Array(size).fill(0);
+        indices.forEach((i, a) => {
+            z[i] = indices.reduce((sum, j, b) => sum + inverse[a][b] * rhs[j], 0);
+        });
+        return z;
+    };
+
+    for (let outer = 0; outer < 3 * size; outer++) {
+        const gradient = rhs.map((value, i) => value - gram[i].reduce((sum, g, j) => sum + g * x[j], 0));
+        const candidates = gradient.map((value, i) => ({ value, i })).filter(({ i }) => !passive.has(i));
+        const next = candidates.reduce((best, current) => (!best || current.value > best.value ? current : best), null);
+        if (!next || next.value <= TOLERANCE * Math.max(...rhs.map(Math.abs))) break;
+        passive.add(next.i);
+
+        for (let inner = 0; inner < 3 * size; inner++) {
+            const z = solvePassive();
+            const blocked = [...passive].filter(i => z[i] <= 0);
+            if (blocked.length === 0) {
+                x = z;
+                break;
+            }
+            const alpha = Math.min(...blocked.map(i => x[i] / (x[i] - z[i])));
+            x = x.map((value, i) => value + alpha * (z[i] - value));
+            [...passive].forEach(i => {
+                if (x[i] <= TOLERANCE) {
+                    passive.delete(i);
+                    x[i] = 0;
+                }
+            });
+        }
+    }
+
+    return x;
+}
@@ -1,8 +1,13 @@
 // ============================================================================
 // Export Manager - Healthcare Revenue Analysis Data Export
-// Handles CSV and PDF export functionality
+// Handles CSV, XLSX and PDF export functionality
 // ============================================================================
 
+import * as XLSX from 'xlsx';
+import { describeClassifier } from './performance.js';
+import { describeDurbinWatson } from './diagnostics.js';
+import { BRIDGE_STEPS } from './variance-bridge.js';
+
 export class ExportManager {
     constructor() {
         this.exportFormats = {
@@ -62,6 +67,25 @@ export class ExportManager {
             csvContent += values.join(',') + '\n';
         });
 
+        // Regression coefficients and the site roll-up follow the period rows as their own tables
+        csvContent += this.formatCSVTable('Forecast', this.formatForecastRows(results));
+        csvContent += this.formatCSVTable('Backtest Summary', this.formatBacktestSummary(results));
+        csvContent += this.formatCSVTable('Backtest Folds', this.formatBacktestFolds(results));
+        csvContent += this.formatCSVTable('Ensemble Weights', this.formatEnsembleWeights(results));
+        csvContent += this.formatCSVTable('Residual Diagnostics', this.formatDiagnosticsSummary(results));
+        csvContent += this.formatCSVTable('Bias by Payer Mix', this.formatPayerBias(results));
+        csvContent += this.formatCSVTable(`Variance Bridge (vs ${results.varianceBridge?.label || 'baseline'})`, this.formatVarianceBridge(results));
+        csvContent += this.formatCSVTable('E&M Mix by Period', this.formatEMPeriods(results));
+        csvContent += this.formatCSVTable('E&M Payment by Payer', this.formatEMPayerLevels(results));
+        csvContent += this.formatCSVTable('Lab Attachment by Period', this.formatLabPeriods(results));
+        csvContent += this.formatCSVTable('Lab Attachment by Payer and E&M Level', this.formatLabGroups(results));
+        csvContent += this.formatCSVTable('Baselines', this.formatBaselines(results));
+        csvContent += this.formatCSVTable(`KPIs vs Baseline (${results.insightBaseline?.label || 'baseline'})`, this.formatKPIs(results));
+        csvContent += this.formatCSVTable(`Feature Importance (${results.featureImportance?.modelName || 'best model'})`, this.formatFeatureImportance(results));
+        csvContent += this.formatCSVTable('OLS Regression Coefficients', this.formatRegressionCoefficients(results));
+        csvContent += this.formatCSVTable(`Feature Selection (${this.describeRegularization(results)})`, this.formatFeatureSelection(results));
+        csvContent += this.formatCSVTable('Location Comparison', this.formatLocationComparison(results));
+
         // Add metadata at the top
         const metadata = this.generateMetadata(results);
         const fullCSV = metadata + '\n' + csvContent;
@@ -80,11 +104,30 @@ export class ExportManager {
                 bestModel: results.bestModel.modelName,
                 accuracy: results.benchmarks.avgAccuracy,
                 totalWeeks: results.benchmarks.totalWeeks,
+                granularity: results.granularity,
+                totalPeriods: results.benchmarks.totalPeriods,
+                location: results.location || null,
                 modelMAE: results.benchmarks.modelMAE
             },
             correlations: results.trainCorrelations,
+            backtest: results.backtest || null,
+            classification: results.classification || null,
+            diagnostics: results.diagnostics || null,
+            featureImportance: results.featureImportance || null,
+            varianceBridge: results.varianceBridge || null,
+            emAnalysis: results.emAnalysis || null,
+            labAnalysis: results.labAnalysis || null,
+            baselines: results.baselines || null,
+            insightBaseline: results.insightBaseline || null,
+            kpis: results.kpis || null,
+            forecast: results.forecast || null,
             performanceDistribution: this.calculatePerformanceDistribution(results.performanceResults),
             detailedResults: results.finalResults,
+            locationComparison: results.locationComparison || [],
+            regression: results.regression || null,
+            regularization: results.regularization || null,
+            timeSeries: results.timeSeries || null,
+            featureSelection: results.featureSelection || null,
             summary: this.generateSummaryStats(results)
         };
 
@@ -92,6 +135,87 @@ export class ExportManager {
         this.downloadFile(jsonContent, 'healthcare-revenue-analysis.json', 'application/json');
     }
 
+    /**
+     * Download the forward forecast with its prediction intervals
+     * @param {Object} results - Analysis results with a forecast
+     * @param {string} format - 'csv' or 'xlsx'
+     */
+    exportForecast(results, format) {
+        const rows = this.formatForecastRows(results);
+        if (rows.length === 0) {
+            throw new Error('No forecast available for export');
+        }
+        
+        const forecast = results.forecast;
+        const notes = [
+            `Model: ${forecast.modelName}`,
+            `Drivers: ${forecast.drivers}${forecast.volumesIgnored ? ' (expected volumes entered but not used by this model)' : ''}`,
+            `Granularity: ${results.granularity?.label || 'Weekly'}`,
+            `Generated: ${new Date().toISOString()}`
+        ];
+        
+        if (format === 'xlsx') {
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Forecast');
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(notes.map(note => note.split(': '))), 'About');
+            const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+            this.downloadFile(buffer, 'healthcare-revenue-forecast.xlsx',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return;
+        }
+        
+        if (format !== 'csv') {
+            throw new Error(`Unsupported forecast format: ${format}`);
+        }
+        
+        const metadata = notes.map(note => `# ${note}`).join('\n');
+        this.downloadFile(metadata + '\n' + this.formatCSVTable('Forecast', rows), 'healthcare-revenue-forecast.csv', 'text/csv');
+    }
+
+    /**
+     * Download a data quality report as CSV, one row per issue
+     * @param {Object} report - Report from DataQualityChecker.assess
+     */
+    exportDataQualityReport(report) {
+        console.log('🔎 Generating data quality CSV...');
+
+        const headers = ['severity', 'type', 'source', 'row', 'year', 'week', 'location', 'payer', 'emGroup', 'field', 'value', 'message'];
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+        };
+
+        let csvContent = headers.join(',') + '\n';
+        report.issues.forEach(issue => {
+            csvContent += headers.map(header => escape(issue[header])).join(',') + '\n';
+        });
+
+        const { summary } = report;
+        const metadata = `# RMT Healthcare Revenue Data Quality Report
+# Generated: ${new Date().toISOString()}
+# Records: ${summary.records}
+# Errors: ${summary.errors}
+# Warnings: ${summary.warnings}
+# Notes: ${summary.info}
+# Blank Cells: ${summary.blankCells}
+# Coerced Cells: ${summary.coercedCells}
+# Missing Weeks: ${summary.missingWeeks}
+# Duplicate Keys: ${summary.duplicateKeys}
+#`;
+
+        this.downloadFile(metadata + '\n' + csvContent, 'healthcare-revenue-data-quality.csv', 'text/csv');
+    }
+
+    /**
+     * Download the payer alias table so it can be shared or re-imported
+     * @param {PayerAliasRegistry} registry - Alias registry
+     */
+    exportPayerAliases(registry) {
+        console.log('🏷️ Exporting payer aliases...');
+        this.downloadFile(registry.exportJSON(), 'payer-aliases.json', 'application/json');
+    }
+
     async exportPDF(results) {
         console.log('📄 Generating PDF report...');
         
@@ -114,6 +238,21 @@ export class ExportManager {
     generateHTMLReport(results) {
         const performanceDistribution = this.calculatePerformanceDistribution(results.performanceResults);
         const summaryStats = this.generateSummaryStats(results);
+        const locationRows = this.formatLocationComparison(results);
+        const regressionRows = this.formatRegressionCoefficients(results);
+        const selectionRows = this.formatFeatureSelection(results);
+        const backtestRows = this.formatBacktestSummary(results);
+        const forecastRows = this.formatForecastRows(results);
+        const ensembleRows = this.formatEnsembleWeights(results);
+        const diagnosticRows = this.formatDiagnosticsSummary(results);
+        const payerBiasRows = this.formatPayerBias(results);
+        const importanceRows = this.formatFeatureImportance(results);
+        const bridgeRows = this.formatVarianceBridge(results);
+        const emShiftRows = this.formatEMPeriods(results).filter(row => row['Significant Shift'] === 'Yes');
+        const emPayerRows = this.formatEMPayerLevels(results);
+        const labGroupRows = this.formatLabGroups(results);
+        const labImpactRows = this.formatLabPeriods(results).filter(row => row['Revenue Impact'] !== '');
+        const kpiRows = this.formatKPIs(results);
         
         return `
         <!DOCTYPE html>
@@ -204,7 +343,8 @@ export class ExportManager {
             <div class="header">
                 <h1>📊 RMT Healthcare Revenue Analysis Report</h1>
                 <p><strong>Generated:</strong> ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
-                <p><strong>Analysis Period:</strong> ${results.finalResults.length} weeks of data</p>
+                <p><strong>Analysis Period:</strong> ${results.finalResults.length} ${this.getPeriodUnit(results)}s of data</p>
+                ${results.locations?.length ? `<p><strong>Location:</strong> ${results.location || 'All locations'}</p>` : ''}
             </div>
 
             <div class="section">
@@ -229,6 +369,33 @@ export class ExportManager {
                 </div>
             </div>
 
+            ${kpiRows.length > 0 ? `
+            <div class="section">
+                <h2>📌 ${results.kpis.periodLabel} vs Baseline</h2>
+                <p>Baseline: ${results.insightBaseline.label}${results.kpis.baselineLabel ? ` (${results.kpis.baselineLabel})` : ''}</p>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>KPI</th>
+                            <th>Value</th>
+                            <th>Baseline</th>
+                            <th>Change</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${kpiRows.map(row => `
+                            <tr>
+                                <td>${row.KPI}</td>
+                                <td>${row.Value}</td>
+                                <td>${row.Baseline}</td>
+                                <td class="${row.Change.startsWith('-') ? 'performance-under' : 'performance-over'}">${row.Change}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ` : ''}
+
             <div class="section">
                 <h2>📈 Performance Distribution</h2>
                 <div class="metric-grid">
@@ -249,26 +416,45 @@ export class ExportManager {
 
             <div class="section">
                 <h2>🔗 Key Performance Correlations</h2>
+                ${selectionRows.length > 0 ? `<p>Ridge and lasso coefficients are in dollars per standard deviation of the feature • ${this.describeRegularization(results)}</p>` : ''}
                 <table>
                     <thead>
                         <tr>
                             <th>Performance Factor</th>
                             <th>Correlation</th>
                             <th>Strength</th>
+                            ${selectionRows.length > 0 ? '<th>Ridge</th><th>Lasso</th>' : ''}
                         </tr>
                     </thead>
                     <tbody>
-                        ${Object.entries(results.trainCorrelations || {}).map(([factor, correlation]) => `
+                        ${Object.entries(results.trainCorrelations || {}).map(([factor, correlation], i) => `
                             <tr>
-                                <td>${this.formatFeatureName(factor)}</td>
+                                <td>${results.featureLabels?.[factor] || this.formatFeatureName(factor)}</td>
                                 <td>${correlation.toFixed(3)}</td>
                                 <td>${this.getCorrelationStrength(correlation)}</td>
+                                ${selectionRows.length > 0 ? `<td>${selectionRows[i]['Ridge (per SD)']}</td><td>${selectionRows[i]['Lasso (per SD)'] || selectionRows[i]['Lasso']}</td>` : ''}
                             </tr>
                         `).join('')}
                     </tbody>
                 </table>
             </div>
 
+            ${importanceRows.length > 0 ? `
+            <div class="section">
+                <h2>🧭 Feature Importance</h2>
+                <p>Increase in ${results.featureImportance.modelName} MAE (baseline $${Math.round(results.featureImportance.baselineMAE).toLocaleString()}) when each factor is shuffled across periods, averaged over ${results.featureImportance.repeats} shuffles</p>
+                <table>
+                    <thead>
+                        <tr>${Object.keys(importanceRows[0]).map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${importanceRows.map(row => `
+                            <tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+
             <div class="section">
                 <h2>📊 Revenue Performance Summary</h2>
                 <table>
@@ -281,7 +467,7 @@ export class ExportManager {
                     <tbody>
                         <tr><td>Total Revenue (Actual)</td><td>$${summaryStats.totalActualRevenue.toLocaleString()}</td></tr>
                         <tr><td>Total Revenue (Predicted)</td><td>$${summaryStats.totalPredictedRevenue.toLocaleString()}</td></tr>
-                        <tr><td>Average Weekly Revenue</td><td>$${summaryStats.avgWeeklyRevenue.toLocaleString()}</td></tr>
+                        <tr><td>Average Revenue per ${this.getPeriodUnit(results)}</td><td>$${summaryStats.avgWeeklyRevenue.toLocaleString()}</td></tr>
                         <tr><td>Revenue Range</td><td>$${summaryStats.minRevenue.toLocaleString()} - $${summaryStats.maxRevenue.toLocaleString()}</td></tr>
                         <tr><td>Standard Deviation</td><td>$${summaryStats.revenueStdDev.toLocaleString()}</td></tr>
                     </tbody>
@@ -289,38 +475,205 @@ export class ExportManager {
             </div>
 
             <div class="section">
-                <h2>📋 Detailed Weekly Results (Top 10)</h2>
+                <h2>📋 Detailed Results by ${this.getPeriodUnit(results)} (Top 10)</h2>
                 <table>
                     <thead>
                         <tr>
-                            <th>Week</th>
+                            <th>Period</th>
                             <th>Actual Revenue</th>
                             <th>Predicted Revenue</th>
+                            <th>Expected Range</th>
                             <th>Error</th>
                             <th>Performance</th>
+                            <th>vs Baseline</th>
                         </tr>
                     </thead>
                     <tbody>
                         ${results.finalResults.slice(0, 10).map(week => `
                             <tr>
-                                <td>${week.Year}-${week.Week}</td>
+                                <td>${week.Period}</td>
                                 <td>$${parseFloat(week['Actual Total Payments']).toLocaleString()}</td>
                                 <td>$${parseFloat(week['Predicted Total Payments']).toLocaleString()}</td>
+                                <td>$${parseFloat(week['Expected Low']).toLocaleString()} – $${parseFloat(week['Expected High']).toLocaleString()}</td>
                                 <td>$${parseFloat(week['Absolute Error']).toLocaleString()}</td>
                                 <td class="performance-${week['Performance Diagnostic'].toLowerCase().replace(/\s+/g, '-')}">${week['Performance Diagnostic']}</td>
+                                <td>${week['Change vs Baseline'] ? `${week['Change vs Baseline']} • ` : ''}${week['Payments vs Baseline'] || ''}</td>
                             </tr>
                         `).join('')}
                     </tbody>
                 </table>
             </div>
 
+            ${forecastRows.length > 0 ? `
+            <div class="section">
+                <h2>🔮 Forecast</h2>
+                <p>${results.forecast.modelName} • ${results.forecast.horizon} future periods • drivers: ${results.forecast.drivers}${results.forecast.volumesIgnored ? ' (expected volumes entered but not used by this model)' : ''}</p>
+                <table>
+                    <thead>
+                        <tr><th>Period</th><th>Forecast</th><th>80% Interval</th><th>95% Interval</th></tr>
+                    </thead>
+                    <tbody>
+                        ${forecastRows.map(row => `
+                            <tr>
+                                <td>${row['Period']}</td>
+                                <td>$${row['Forecast Payments'].toLocaleString()}</td>
+                                <td>$${row['Lower 80%'].toLocaleString()} – $${row['Upper 80%'].toLocaleString()}</td>
+                                <td>$${row['Lower 95%'].toLocaleString()} – $${row['Upper 95%'].toLocaleString()}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+
+            ${backtestRows.length > 0 ? `
+            <div class="section">
+                <h2>🔁 Model Backtest</h2>
+                <p>${results.methodology} • models ranked by MAE averaged over the folds</p>
+                <table>
+                    <thead>
+                        <tr>${Object.keys(backtestRows[0]).map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${backtestRows.map(row => `
+                            <tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${ensembleRows.length > 0 ? `
+                <p>Stacked Ensemble weights: ${ensembleRows.map(row => `${row['Model']} ${row['Weight']}`).join(', ')}</p>` : ''}
+            </div>` : ''}
+
+            ${diagnosticRows.length > 0 ? `
+            <div class="section">
+                <h2>🩺 Residual Diagnostics</h2>
+                <table>
+                    <tbody>
+                        ${diagnosticRows.map(row => `
+                            <tr><td>${row['Statistic']}</td><td>${row['Value']}</td></tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${payerBiasRows.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>${Object.keys(payerBiasRows[0]).map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${payerBiasRows.map(row => `
+                            <tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>` : ''}
+            </div>` : ''}
+
+            ${bridgeRows.length > 0 ? `
+            <div class="section">
+                <h2>🌉 Variance Bridge</h2>
+                <p>Change in payments vs ${results.varianceBridge.label.toLowerCase()}, split into volume, payer mix, E&amp;M mix and rate effects</p>
+                <table>
+                    <thead>
+                        <tr>${Object.keys(bridgeRows[0]).map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${bridgeRows.map(row => `
+                            <tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+
+            ${emPayerRows.length > 0 ? `
+            <div class="section">
+                <h2>🩻 E&amp;M Coding Intensity</h2>
+                <p>${emShiftRows.length} period${emShiftRows.length === 1 ? '' : 's'} shifted their E&amp;M level mix significantly from the preceding ${results.emAnalysis.baselinePeriods} periods</p>
+                ${emShiftRows.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>${Object.keys(emShiftRows[0]).map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${emShiftRows.map(row => `
+                            <tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>` : ''}
+                <table>
+                    <thead>
+                        <tr>${Object.keys(emPayerRows[0]).map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${emPayerRows.map(row => `
+                            <tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+
+            ${results.labAnalysis?.overall.visitsWithLabs > 0 ? `
+            <div class="section">
+                <h2>🧪 Lab Utilization</h2>
+                <p>Lab attachment rate ${(results.labAnalysis.overall.labRate * 100).toFixed(1)}%${results.labAnalysis.correlation.r === null ? '' : ` • correlation with payment per visit ${results.labAnalysis.correlation.r.toFixed(2)}`} • estimated impact of periods below the trailing ${results.labAnalysis.baselinePeriods}-period rate $${Math.round(results.labAnalysis.totalImpact).toLocaleString()}</p>
+                <table>
+                    <thead>
+                        <tr>${Object.keys(labGroupRows[0]).map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${labGroupRows.map(row => `
+                            <tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${labImpactRows.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>${Object.keys(labImpactRows[0]).map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${labImpactRows.map(row => `
+                            <tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>` : ''}
+            </div>` : ''}
+
+            ${regressionRows.length > 0 ? `
+            <div class="section">
+                <h2>📐 OLS Regression Model</h2>
+                <p>Fitted on ${results.regression.n} training periods • R² ${results.regression.rSquared.toFixed(3)} • Adjusted R² ${results.regression.adjustedRSquared.toFixed(3)}</p>
+                <table>
+                    <thead>
+                        <tr>${Object.keys(regressionRows[0]).map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${regressionRows.map(row => `
+                            <tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+
+            ${locationRows.length > 0 ? `
+            <div class="section">
+                <h2>📍 Location Comparison</h2>
+                <table>
+                    <thead>
+                        <tr>${Object.keys(locationRows[0]).map(header => `<th>${header}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${locationRows.map(row => `
+                            <tr>${Object.values(row).map(value => `<td>${value}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+
             <div class="section">
                 <h2>🔬 Methodology</h2>
                 <p><strong>Statistical Approach:</strong> ${results.methodology}</p>
                 <ul>
-                    <li><strong>Train/Test Split:</strong> 80/20 chronological split to prevent data leakage</li>
+                    <li><strong>Backtesting:</strong> Rolling-origin folds; every fold trains only on periods before the ones it is scored on</li>
                     <li><strong>Model Validation:</strong> Multiple algorithms compared using MAE, RMSE, MAPE, R-squared</li>
-                    <li><strong>Performance Classification:</strong> ±2.5% threshold for over/under performance</li>
+                    <li><strong>Performance Classification:</strong> ${this.describeClassification(results)}</li>
                     <li><strong>Correlation Analysis:</strong> Performed only on training data to ensure validity</li>
                 </ul>
             </div>
@@ -386,24 +739,417 @@ export class ExportManager {
 # Best Model: ${results.bestModel.modelName}
 # Accuracy: ${results.benchmarks.avgAccuracy}
 # Total Weeks: ${results.benchmarks.totalWeeks}
-# Mean Absolute Error: $${Math.round(results.benchmarks.modelMAE)}
+# Granularity: ${results.granularity?.label || 'Weekly'} (${results.benchmarks.totalPeriods ?? results.finalResults.length} periods)
+${results.locations?.length ? `# Location: ${results.location || 'All locations'}\n` : ''}# Mean Absolute Error: $${Math.round(results.benchmarks.modelMAE)}
 #
 # Statistical Validation:
-# - Train/Test Split: 80/20 chronological
+# - Rolling-origin backtest: each fold trains only on earlier periods
 # - No data leakage in correlation analysis
 # - Multiple model comparison with rigorous metrics
-# - Performance classification with ±2.5% threshold
+# - Performance classification: ${this.describeClassification(results)}
+# - Influential factors: per-period contributions of the best model's inputs (prediction minus the prediction at the feature's average)
+# - Insight baseline: ${results.insightBaseline?.label || 'All periods'} (each period against its own reference periods)
 #`;
     }
 
+    describeClassification(results) {
+        if (!results.classification) return 'Over/under performance against the model prediction';
+        return `Over/under performance when actual payments fall ${describeClassifier(results.classification)}`;
+    }
+
+    getPeriodUnit(results) {
+        return results.granularity?.unit || 'week';
+    }
+
+    /**
+     * Flatten the per-location roll-up into labelled report rows
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per location
+     */
+    formatLocationComparison(results) {
+        return (results.locationComparison || []).map(site => ({
+            'Location': site.location,
+            'Periods': site.periods,
+            'Total Payments': Math.round(site.totalPayments),
+            'Share of Payments': Math.round(site.shareOfPayments * 100) + '%',
+            'Visits': site.totalVisits,
+            'Payment per Visit': site.paymentPerVisit.toFixed(2),
+            'vs All Sites': site.paymentPerVisitIndex === null ? '' : Math.round(site.paymentPerVisitIndex * 100) + '%',
+            'Collection %': Math.round(site.collectionPct * 100) + '%',
+            'Best Model': site.bestModel || site.error,
+            'Model Accuracy': site.accuracy === null ? '' : (site.accuracy * 100).toFixed(1) + '%',
+            'Over Performed': site.overPerformed,
+            'Average Performance': site.averagePerformance,
+            'Under Performed': site.underPerformed,
+            'Latest Period': site.latestPerformance || ''
+        }));
+    }
+
+    /**
+     * One row per forecast period, amounts rounded to the dollar
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} Rows (empty without a forecast)
+     */
+    formatForecastRows(results) {
+        const forecast = results.forecast;
+        if (!forecast) return [];
+        
+        const round = (value) => value === null || value === undefined ? '' : Math.round(value);
+        return forecast.periods.map(period => ({
+            'Period': period.periodLabel,
+            'Period Start': period.periodStart,
+            'Forecast Payments': round(period.forecast),
+            'Lower 80%': round(period.lower80),
+            'Upper 80%': round(period.upper80),
+            'Lower 95%': round(period.lower95),
+            'Upper 95%': round(period.upper95),
+            'Expected Visits': round(period.totalVisitCount),
+            'Expected Charges': round(period.totalChargeAmount)
+        }));
+    }
+
+    /**
+     * Per-model backtest averages, best model first
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per model (empty without a backtest)
+     */
+    formatBacktestSummary(results) {
+        const backtest = results.backtest;
+        if (!backtest) return [];
+        
+        return backtest.summary.map(model => ({
+            'Model': model.modelName,
+            'Folds': model.ranked ? model.folds : `${model.folds} of ${backtest.folds} (not ranked)`,
+            'Avg. MAE': Math.round(model.mae),
+            'Avg. RMSE': Math.round(model.rmse),
+            'Avg. MAPE': model.mape.toFixed(1) + '%',
+            'Avg. R²': model.rSquared === null ? '' : model.rSquared.toFixed(3)
+        }));
+    }
+
+    /**
+     * Stacked ensemble blending weights, largest first
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per blended model (empty without an ensemble)
+     */
+    formatEnsembleWeights(results) {
+        const weights = results.backtest?.ensemble?.weights;
+        if (!weights) return [];
+        
+        return Object.entries(weights)
+            .sort(([, a], [, b]) => b - a)
+            .map(([modelName, weight]) => ({
+                'Model': modelName,
+                'Weight': (weight * 100).toFixed(1) + '%'
+            }));
+    }
+
+    /**
+     * Residual summary statistics of the best model
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} [{ Statistic, Value }] (empty without diagnostics)
+     */
+    formatDiagnosticsSummary(results) {
+        const diagnostics = results.diagnostics;
+        if (!diagnostics) return [];
+        
+        const stats = diagnostics.summary;
+        const formatP = (p) => p === null ? '' : p.toFixed(3);
+        const strongest = diagnostics.acf.lags.reduce((best, lag) => (!best || Math.abs(lag.value) > Math.abs(best.value) ? lag : best), null);
+        return [
+            { 'Statistic': 'Periods', 'Value': stats.periods },
+            { 'Statistic': 'Mean Error', 'Value': Math.round(stats.meanError) },
+            { 'Statistic': 'Mean % Error', 'Value': (stats.meanPercentError * 100).toFixed(1) + '%' },
+            { 'Statistic': 'Bias p-value', 'Value': formatP(stats.biasPValue) },
+            { 'Statistic': 'Residual SD', 'Value': stats.standardDeviation === null ? '' : Math.round(stats.standardDeviation) },
+            { 'Statistic': 'Durbin-Watson', 'Value': stats.durbinWatson === null ? '' : `${stats.durbinWatson.toFixed(2)} (${describeDurbinWatson(stats.durbinWatson)})` },
+            { 'Statistic': 'Largest Autocorrelation', 'Value': strongest ? `${strongest.value.toFixed(2)} at lag ${strongest.lag} (95% bound ±${diagnostics.acf.bound.toFixed(2)})` : '' }
+        ];
+    }
+
+    /**
+     * Mean error of the best model by tercile of each payer's share of charges
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per payer and bucket
+     */
+    formatPayerBias(results) {
+        const payerBias = results.diagnostics?.payerBias || [];
+        const percent = (value) => value === null ? '' : (value * 100).toFixed(1) + '%';
+        
+        return payerBias.map(bucket => ({
+            'Payer': bucket.payer,
+            'Share of Charges': bucket.bucket,
+            'Share Range': `${percent(bucket.minShare)} – ${percent(bucket.maxShare)}`,
+            'Periods': bucket.periods,
+            'Mean Error': Math.round(bucket.meanError),
+            'Mean % Error': percent(bucket.meanPercentError),
+            'p-value': bucket.pValue === null ? '' : bucket.pValue.toFixed(3)
+        }));
+    }
+
+    /**
+     * Volume, payer mix, E&M mix and rate effects of every period against its baseline
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per period with a baseline
+     */
+    formatVarianceBridge(results) {
+        const periods = results.varianceBridge?.periods || [];
+        
+        return periods.map(period => ({
+            'Period': period.periodLabel,
+            'Baseline': period.baselineLabel,
+            'Baseline Payments': Math.round(period.baseline),
+            ...Object.fromEntries(Object.entries(BRIDGE_STEPS).map(([step, label]) => [`${label} Effect`, Math.round(period[step])])),
+            'Actual Payments': Math.round(period.actual)
+        }));
+    }
+
+    /**
+     * E&M level shares, average weight and level-mix shift test of every period
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per period
+     */
+    formatEMPeriods(results) {
+        const emAnalysis = results.emAnalysis;
+        if (!emAnalysis) return [];
+        const percent = (value) => (value * 100).toFixed(1) + '%';
+        
+        return emAnalysis.periods.map(period => ({
+            'Period': period.periodLabel,
+            'Visits': Math.round(period.visits),
+            'Avg E&M Weight': period.avgEMWeight === null ? '' : period.avgEMWeight.toFixed(2),
+            ...Object.fromEntries(emAnalysis.levels.map(level =>
+                [`${level.level} Share`, percent(period.visits > 0 ? (period.levelVisits[level.level] || 0) / period.visits : 0)])),
+            'Baseline': period.drift?.baselineLabel || '',
+            'Visits Shifted': period.drift ? percent(period.drift.mixShift) : '',
+            'Shift p-value': !period.drift || period.drift.pValue === null ? '' : period.drift.pValue.toFixed(3),
+            'Significant Shift': period.drift?.flagged ? 'Yes' : 'No'
+        }));
+    }
+
+    /**
+     * Visits and payment per visit of each payer at each E&M level
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per payer and level
+     */
+    formatEMPayerLevels(results) {
+        return (results.emAnalysis?.payerLevels || []).map(cell => ({
+            'Payer': cell.payer,
+            'E&M Level': cell.level,
+            'Visits': Math.round(cell.visits),
+            'Share of Payer Visits': (cell.share * 100).toFixed(1) + '%',
+            'Payments': Math.round(cell.payments),
+            'Payment per Visit': cell.paymentPerVisit === null ? '' : cell.paymentPerVisit.toFixed(2)
+        }));
+    }
+
+    /**
+     * Lab attachment rate, baseline and revenue impact of every period, with each payer's rate
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per period
+     */
+    formatLabPeriods(results) {
+        const labAnalysis = results.labAnalysis;
+        if (!labAnalysis) return [];
+        const percent = (value) => value === null || value === undefined ? '' : (value * 100).toFixed(1) + '%';
+        
+        return labAnalysis.periods.map(period => ({
+            'Period': period.periodLabel,
+            'Visits': Math.round(period.visits),
+            'Visits with Labs': Math.round(period.visitsWithLabs),
+            'Lab Rate': percent(period.labRate),
+            'Baseline Rate': percent(period.baselineRate),
+            'Payment per Visit': period.paymentPerVisit === null ? '' : period.paymentPerVisit.toFixed(2),
+            'Revenue Impact': period.revenueImpact === null ? '' : Math.round(period.revenueImpact),
+            ...Object.fromEntries(labAnalysis.payers.map(payer => [`${payer.name} Lab Rate`, percent(period.payerRates[payer.name])]))
+        }));
+    }
+
+    /**
+     * Lab attachment rate of each payer and E&M level over all periods
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} Payer rows, then E&M level rows
+     */
+    formatLabGroups(results) {
+        const labAnalysis = results.labAnalysis;
+        if (!labAnalysis) return [];
+        
+        return [['Payer', labAnalysis.payers], ['E&M Level', labAnalysis.levels]].flatMap(([group, rows]) => rows.map(entry => ({
+            'Group': group,
+            'Name': entry.name,
+            'Visits': Math.round(entry.visits),
+            'Visits with Labs': Math.round(entry.visitsWithLabs),
+            'Lab Rate': entry.labRate === null ? '' : (entry.labRate * 100).toFixed(1) + '%'
+        })));
+    }
+
+    /**
+     * Baseline statistics of the period totals, each payer and each E&M group
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per scope, name and metric
+     */
+    formatBaselines(results) {
+        const baselines = results.baselines;
+        if (!baselines) return [];
+        const round = (value) => Math.round(value * 100) / 100;
+        const rows = (scope, name, metrics) => Object.entries(metrics).map(([metric, stats]) => ({
+            'Scope': scope,
+            'Name': name,
+            'Metric': metric,
+            'Count': stats.count,
+            'Mean': round(stats.mean),
+            'Median': round(stats.median),
+            'Std Dev': round(stats.std),
+            'P10': round(stats.p10),
+            'P25': round(stats.p25),
+            'P75': round(stats.p75),
+            'P90': round(stats.p90)
+        }));
+        
+        return [
+            ...rows('Period', 'All', baselines.periods),
+            ...Object.entries(baselines.payers).flatMap(([payer, metrics]) => rows('Payer', payer, metrics)),
+            ...Object.entries(baselines.emGroups).flatMap(([group, metrics]) => rows('E&M Group', group, metrics))
+        ];
+    }
+
+    /**
+     * Latest period's KPIs against their insight baseline
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per KPI (empty when the latest period has no baseline)
+     */
+    formatKPIs(results) {
+        const kpis = results.kpis;
+        if (!kpis?.baselineLabel) return [];
+        const format = (metric, value) => {
+            if (metric === 'weightedAvgCollectionPct') return (value * 100).toFixed(1) + '%';
+            if (metric === 'totalVisitCount') return Math.round(value).toLocaleString();
+            return '$' + (metric === 'avgPaymentPerVisit' ? value.toFixed(2) : Math.round(value).toLocaleString());
+        };
+        
+        return kpis.metrics.map(kpi => ({
+            'KPI': kpi.label,
+            'Value': format(kpi.metric, kpi.value),
+            'Baseline': kpi.baseline === null ? '' : format(kpi.metric, kpi.baseline),
+            'Change': kpi.change === null ? '' : (kpi.change >= 0 ? '+' : '') + (kpi.change * 100).toFixed(1) + '%'
+        }));
+    }
+
+    /**
+     * Permutation importance of the best model's inputs, most important first
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per feature (empty when the model does not use any)
+     */
+    formatFeatureImportance(results) {
+        const features = results.featureImportance?.features || [];
+        if (!features.some(f => f.importance > 0)) return [];
+        
+        return features.map(f => ({
+            'Feature': results.featureLabels?.[f.feature] || this.formatFeatureName(f.feature),
+            'MAE Increase': Math.round(f.importance),
+            'Share': (f.share * 100).toFixed(1) + '%'
+        }));
+    }
+
+    /**
+     * Every model's metrics on every fold
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per fold and model
+     */
+    formatBacktestFolds(results) {
+        const backtest = results.backtest;
+        if (!backtest) return [];
+        
+        return backtest.splits.flatMap(split => split.results.map(result => ({
+            'Fold': split.fold,
+            'Training Periods': `${split.trainStart} – ${split.trainEnd}`,
+            'Test Periods': `${split.testStart} – ${split.testEnd}`,
+            'Model': result.modelName,
+            'MAE': Math.round(result.mae),
+            'RMSE': Math.round(result.rmse),
+            'MAPE': result.mape.toFixed(1) + '%',
+            'R²': result.rSquared === null ? '' : result.rSquared.toFixed(3)
+        })));
+    }
+
+    /**
+     * Flatten the OLS model into labelled coefficient rows, intercept first
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} One row per term (empty when no regression was fitted)
+     */
+    formatRegressionCoefficients(results) {
+        const regression = results.regression;
+        if (!regression) return [];
+        
+        const format = (value, digits) => value === null || value === undefined ? '' : value.toFixed(digits);
+        const terms = [{ feature: 'Intercept', ...regression.intercept, standardizedCoefficient: null }, ...regression.coefficients];
+        
+        return terms.map(term => ({
+            'Feature': term.feature === 'Intercept' ? term.feature :
+                results.featureLabels?.[term.feature] || this.formatFeatureName(term.feature),
+            'Coefficient': format(term.coefficient, 4),
+            'Std. Error': format(term.standardError, 4),
+            't': format(term.tStat, 2),
+            'p-value': term.pValue === null || term.pValue === undefined ? '' : term.pValue < 0.001 ? '<0.001' : term.pValue.toFixed(3),
+            'Standardized': format(term.standardizedCoefficient, 2)
+        }));
+    }
+
+    /**
+     * One row per correlation feature with its ridge and lasso coefficients
+     * @param {Object} results - Analysis results
+     * @returns {Array<Object>} Rows in trainCorrelations order (empty when neither model was fitted)
+     */
+    formatFeatureSelection(results) {
+        const selection = results.featureSelection;
+        const { ridge, lasso } = results.regularization || {};
+        if (!selection || (!ridge && !lasso)) return [];
+        
+        const format = (value) => value === null || value === undefined ? '' : value.toFixed(2);
+        
+        return Object.entries(results.trainCorrelations || {}).map(([feature, correlation]) => {
+            const entry = selection[feature] || {};
+            return {
+                'Feature': results.featureLabels?.[feature] || this.formatFeatureName(feature),
+                'Correlation': correlation.toFixed(3),
+                'Ridge (per SD)': format(entry.ridge),
+                'Lasso (per SD)': entry.selected ? format(entry.lasso) : '',
+                'Lasso': entry.selected === null || entry.selected === undefined ? 'Not a model input' :
+                    entry.selected ? 'Kept' : 'Dropped'
+            };
+        });
+    }
+
+    describeRegularization(results) {
+        const { ridge, lasso } = results.regularization || {};
+        return [['Ridge', ridge], ['Lasso', lasso]]
+            .filter(([, model]) => model)
+            .map(([name, model]) => `${name} λ ${model.lambda.toPrecision(3)} (CV MAE $${Math.round(model.cvMAE).toLocaleString()})`)
+            .join(', ');
+    }
+
+    formatCSVTable(title, rows) {
+        if (rows.length === 0) return '';
+        
+        const headers = Object.keys(rows[0]);
+        return `\n# ${title}\n` + headers.join(',') + '\n' +
+            rows.map(row => headers.map(header => this.escapeCSV(row[header])).join(',')).join('\n') + '\n';
+    }
+
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
     formatFeatureName(feature) {
         const nameMap = {
             'totalChargeAmount': 'Total Charges',
             'totalVisitCount': 'Visit Count',
             'weightedAvgCollectionPct': 'Collection Rate',
             'avgPaymentPerVisit': 'Payment per Visit',
-            'bcbsChargesPct': 'BCBS Percentage',
-            'aetnaChargesPct': 'Aetna Percentage'
+            'pctVisitsWithLabs': 'Visits with Labs %',
+            'chargesPerVisit': 'Charges per Visit'
         };
         return nameMap[feature] || feature;
     }
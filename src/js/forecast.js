@@ -0,0 +1,71 @@
+// ============================================================================
+// Forecast - Future Periods and Prediction Intervals
+// Driver projections for the feature-based models and interval bounds
+// ============================================================================
+
+import { fitHoltWinters, forecastTimeSeries, forecastVariance } from './time-series.js';
+
+// Two-sided normal quantiles for the reported prediction intervals
+export const PREDICTION_INTERVALS = [
+    { level: 80, z: 1.2816 },
+    { level: 95, z: 1.96 }
+];
+
+// Volume drivers that are extrapolated or supplied by the user
+export const VOLUME_DRIVERS = ['totalVisitCount', 'totalChargeAmount'];
+
+/**
+ * Project visit and charge volumes for future periods. User-supplied volumes are
+ * used as given (a missing one follows from the other through recent charges per
+ * visit); otherwise each volume is extrapolated with Holt-Winters.
+ * @param {Array<Object>} features - Engineered periods, oldest first
+ * @param {Object} options - { horizon, seasonLength, visits, charges } - visits/charges per period or null
+ * @returns {Object} { source: 'user'|'extrapolated', totalVisitCount, totalChargeAmount } -
+ *   each volume is [{ value, variance }] per future period (variance 0 when supplied)
+ */
+export function projectVolumes(features, { horizon, seasonLength, visits = null, charges = null }) {
+    if (visits !== null || charges !== null) {
+        const recent = recentMean(features, 'chargesPerVisit', seasonLength);
+        const visitValue = visits ?? (recent > 0 ? charges / recent : 0);
+        const chargeValue = charges ?? visitValue * recent;
+        const constant = (value) => Array.from({ length: horizon }, () => ({ value, variance: 0 }));
+        return { source: 'user', totalVisitCount: constant(visitValue), totalChargeAmount: constant(chargeValue) };
+    }
+
+    const projected = { source: 'extrapolated' };
+    VOLUME_DRIVERS.forEach(driver => {
+        const model = fitHoltWinters(features.map(f => f[driver] || 0), seasonLength);
+        const points = forecastTimeSeries(model, horizon);
+        const variances = forecastVariance(model, horizon);
+        projected[driver] = points.map((value, i) => ({ value: Math.max(value, 0), variance: variances[i] }));
+    });
+    return projected;
+}
+
+/**
+ * Average of a field over the latest season (or the whole history if shorter)
+ * @param {Array<Object>} features - Engineered periods, oldest first
+ * @param {string} field - Feature name
+ * @param {number} seasonLength - Periods per season
+ * @returns {number} Mean, 0 for an empty history
+ */
+export function recentMean(features, field, seasonLength) {
+    const recent = features.slice(-seasonLength);
+    return recent.length > 0 ? recent.reduce((sum, f) => sum + (f[field] || 0), 0) / recent.length : 0;
+}
+
+/**
+ * Point forecast with its prediction interval bounds; payments cannot go below zero
+ * @param {number} point - Point forecast
+ * @param {number} variance - Forecast error variance
+ * @returns {Object} { forecast, standardError, lower80, upper80, lower95, upper95 }
+ */
+export function withIntervals(point, variance) {
+    const standardError = Math.sqrt(Math.max(variance, 0));
+    const bounds = { forecast: point, standardError };
+    PREDICTION_INTERVALS.forEach(({ level, z }) => {
+        bounds[`lower${level}`] = Math.max(point - z * standardError, 0);
+        bounds[`upper${level}`] = point + z * standardError;
+    });
+    return bounds;
+}
@@ -0,0 +1,119 @@
+// ============================================================================
+// Importance - Permutation Importance and Per-Period Contributions
+// Model-agnostic explanations that only need a fitted model's predict(rows)
+// ============================================================================
+
+// Period fields that identify a row or are the target rather than model inputs
+const NON_FEATURE_FIELDS = new Set(['periodKey', 'periodLabel', 'periodStart', 'year', 'week', 'totalPayments', 'originalData']);
+
+/**
+ * Numeric input fields of the engineered periods
+ * @param {Array<Object>} rows - Engineered periods
+ * @returns {Array<string>} Feature names
+ */
+export function getInputFeatures(rows) {
+    return Object.keys(rows[0] || {}).filter(key => !NON_FEATURE_FIELDS.has(key) && typeof rows[0][key] === 'number');
+}
+
+/**
+ * Permutation importance: how much the model's MAE grows when one feature's values
+ * are shuffled across periods, averaged over several shuffles
+ * @param {Object} model - Fitted model (see ModelRegistry)
+ * @param {Array<Object>} rows - Periods to score on, with actual totalPayments
+ * @param {Object} options - { features, repeats, seed }
+ * @returns {Object} { baselineMAE, repeats, features: [{ feature, importance, share }] } - importance is
+ *   the MAE increase in dollars, share its fraction of all positive increases; most important first
+ */
+export function permutationImportance(model, rows, { features = getInputFeatures(rows), repeats = 5, seed = 1 } = {}) {
+    const actuals = rows.map(row => row.totalPayments);
+    const baselineMAE = meanAbsoluteError(model.predict(rows), actuals);
+    const random = createRandom(seed);
+
+    const scores = features.map(feature => {
+        let increase = 0;
+        for (let repeat = 0; repeat < repeats; repeat++) {
+            const order = shuffle(rows.map((_, i) => i), random);
+            const permuted = rows.map((row, i) => ({ ...row, [feature]: rows[order[i]][feature] }));
+            increase += meanAbsoluteError(model.predict(permuted), actuals) - baselineMAE;
+        }
+        return { feature, importance: increase / repeats };
+    });
+
+    const total = scores.reduce((sum, score) => sum + Math.max(score.importance, 0), 0);
+    return {
+        baselineMAE,
+        repeats,
+        features: scores
+            .map(score => ({ ...score, share: total > 0 ? Math.max(score.importance, 0) / total : 0 }))
+            .sort((a, b) => b.importance - a.importance)
+    };
+}
+
+/**
+ * Each feature's contribution to each period's prediction: the prediction minus the
+ * prediction with that feature at its average. Exact for linear models.
+ * @param {Object} model - Fitted model (see ModelRegistry)
+ * @param {Array<Object>} rows - Periods
+ * @param {Array<string>} features - Features to decompose
+ * @returns {Array<Object>} Per period, feature name to contribution in dollars
+ */
+export function contributionBreakdown(model, rows, features) {
+    const predictions = model.predict(rows);
+    const contributions = rows.map(() => ({}));
+
+    features.forEach(feature => {
+        const average = rows.reduce((sum, row) => sum + (row[feature] || 0), 0) / rows.length;
+        const atAverage = model.predict(rows.map(row => ({ ...row, [feature]: average })));
+        atAverage.forEach((value, i) => {
+            contributions[i][feature] = predictions[i] - value;
+        });
+    });
+    return contributions;
+}
+
+/**
+ * The largest contributions of one period, e.g. "Visit Count (+$1,234), Collection Rate (-$310)"
+ * @param {Object} contributions - Feature name to contribution
+ * @param {Object} labels - Feature name to readable label
+ * @param {number} count - Contributions to list
+ * @returns {string} Description, empty when no feature moves the prediction by a dollar or more
+ */
+export function describeContributions(contributions, labels, count = 3) {
+    return Object.entries(contributions)
+        .filter(([, value]) => Math.abs(value) >= 1)
+        .sort(([, a], [, b]) => Math.abs(b) - Math.abs(a))
+        .slice(0, count)
+        .map(([feature, value]) => `${labels[feature] || feature} (${value < 0 ? '-' : '+'}$${Math.round(Math.abs(value)).toLocaleString('en-US')})`)
+        .join(', ');
+}
+
+function meanAbsoluteError(predictions, actuals) {
+    return actuals.reduce((sum, actual, i) => sum + Math.abs(actual - predictions[i]), 0) / actuals.length;
+}
+
+/**
+ * Seeded pseudo-random numbers (Park-Miller) so importance is repeatable between runs
+ * @param {number} seed - Positive integer seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed % 2147483647 || 1;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+/**
+ * Fisher-Yates shuffle in place
+ * @param {Array} values - Values
+ * @param {Function} random - Generator of numbers in [0, 1)
+ * @returns {Array} The shuffled array
+ */
+function shuffle(values, random) {
+    for (let i = values.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [values[i], values[j]] = [values[j], values[i]];
+    }
+    return values;
+}
@@ -0,0 +1,155 @@
+// ============================================================================
+// Lab Analysis - Lab Attachment Rate and Its Revenue Impact
+// Share of visits with labs by payer and E&M group, and what a lower rate costs
+// ============================================================================
+
+import { studentTTwoTailed } from './regression.js';
+
+// Prior periods needed before a period's lab rate is compared with them
+const MIN_BASELINE_PERIODS = 2;
+
+/**
+ * Lab attachment rate (visits with labs / visits) per period, payer and E&M group, its
+ * correlation with payment per visit and the revenue impact of periods below their trailing baseline
+ * @param {Array<Object>} periods - Aggregated periods with their detail records, oldest first
+ * @param {Object} options - { payerOf: record => payer group name, baselinePeriods }
+ * @returns {Object} { overall, payers, levels, periods, correlation, paymentPerLabRate, totalImpact, baselinePeriods }:
+ *   - payers / levels: [{ name, visits, visitsWithLabs, labRate }] over all periods
+ *   - periods: [{ periodKey, periodLabel, visits, visitsWithLabs, labRate, paymentPerVisit, payerRates,
+ *     levelRates, baselineRate, revenueImpact }] - revenueImpact is null unless the rate is below baseline
+ *   - correlation: { r, pValue, n } of lab rate with payment per visit across periods
+ *   - paymentPerLabRate: change in payment per visit for a lab rate of 100% vs 0%, within payer
+ */
+export function analyzeLabs(periods, { payerOf, baselinePeriods = 13 }) {
+    const records = periods.flatMap(period => period.detailRecords || []);
+    const summaries = periods.map(period => {
+        const periodRecords = period.detailRecords || [];
+        const totals = labTotals(periodRecords);
+        return {
+            periodKey: period.periodKey,
+            periodLabel: period.periodLabel,
+            ...totals,
+            paymentPerVisit: totals.visits > 0 ? sum(periodRecords.map(r => r.totalPayments)) / totals.visits : null,
+            payerRates: ratesBy(periodRecords, payerOf),
+            levelRates: ratesBy(periodRecords, levelOf)
+        };
+    });
+    const paymentPerLabRate = withinPayerSlope(periods, payerOf);
+
+    const withBaseline = summaries.map((summary, i) => {
+        const baseline = summaries.slice(Math.max(0, i - baselinePeriods), i).filter(p => p.visits > 0);
+        const baselineRate = baseline.length >= MIN_BASELINE_PERIODS ?
+            sum(baseline.map(p => p.visitsWithLabs)) / sum(baseline.map(p => p.visits)) : null;
+        const below = baselineRate !== null && summary.labRate !== null && summary.labRate < baselineRate;
+        return {
+            ...summary,
+            baselineRate,
+            revenueImpact: below && paymentPerLabRate.slope !== null ?
+                (summary.labRate - baselineRate) * summary.visits * paymentPerLabRate.slope : null
+        };
+    });
+
+    return {
+        overall: labTotals(records),
+        payers: summarizeBy(records, payerOf),
+        levels: summarizeBy(records, levelOf),
+        periods: withBaseline,
+        correlation: pearson(summaries.filter(p => p.labRate !== null).map(p => [p.labRate, p.paymentPerVisit])),
+        paymentPerLabRate,
+        totalImpact: sum(withBaseline.map(p => p.revenueImpact)),
+        baselinePeriods
+    };
+}
+
+/**
+ * Visits, visits with labs and their ratio
+ * @param {Array<Object>} records - Cleaned records
+ * @returns {Object} { visits, visitsWithLabs, labRate } - labRate null without visits
+ */
+function labTotals(records) {
+    const visits = sum(records.map(r => r.visitCount));
+    const visitsWithLabs = sum(records.map(r => r.visitsWithLabCount));
+    return { visits, visitsWithLabs, labRate: visits > 0 ? visitsWithLabs / visits : null };
+}
+
+function ratesBy(records, keyOf) {
+    return Object.fromEntries(Object.entries(groupBy(records, keyOf)).map(([name, group]) => [name, labTotals(group).labRate]));
+}
+
+function summarizeBy(records, keyOf) {
+    return Object.entries(groupBy(records, keyOf))
+        .map(([name, group]) => ({ name, ...labTotals(group) }))
+        .sort((a, b) => b.visits - a.visits);
+}
+
+/**
+ * Visit-weighted slope of payment per visit on lab rate across periods, fitted within each
+ * payer (both centred on the payer's own means) so differences in payer mix do not count as a lab effect
+ * @param {Array<Object>} periods - Aggregated periods with their detail records
+ * @param {Function} payerOf - record => payer group name
+ * @returns {Object} { slope, observations } - slope null when the lab rate never varies within a payer
+ */
+function withinPayerSlope(periods, payerOf) {
+    const byPayer = {};
+    periods.forEach(period => {
+        Object.entries(groupBy(period.detailRecords || [], payerOf)).forEach(([payer, group]) => {
+            const totals = labTotals(group);
+            if (totals.visits > 0) {
+                byPayer[payer] = byPayer[payer] || [];
+                byPayer[payer].push({ weight: totals.visits, x: totals.labRate, y: sum(group.map(r => r.totalPayments)) / totals.visits });
+            }
+        });
+    });
+
+    let covariance = 0;
+    let variance = 0;
+    let observations = 0;
+    Object.values(byPayer).forEach(points => {
+        const weight = sum(points.map(p => p.weight));
+        const meanX = sum(points.map(p => p.weight * p.x)) / weight;
+        const meanY = sum(points.map(p => p.weight * p.y)) / weight;
+        points.forEach(p => {
+            covariance += p.weight * (p.x - meanX) * (p.y - meanY);
+            variance += p.weight * (p.x - meanX) ** 2;
+        });
+        observations += points.length;
+    });
+    return { slope: variance > 0 ? covariance / variance : null, observations };
+}
+
+/**
+ * Pearson correlation with its two-tailed p-value
+ * @param {Array<Array<number>>} pairs - [x, y] pairs
+ * @returns {Object} { r, pValue, n } - r and pValue null below 3 pairs or without variation
+ */
+function pearson(pairs) {
+    const n = pairs.length;
+    if (n < 3) return { r: null, pValue: null, n };
+    const meanX = sum(pairs.map(([x]) => x)) / n;
+    const meanY = sum(pairs.map(([, y]) => y)) / n;
+    const sxy = sum(pairs.map(([x, y]) => (x - meanX) * (y - meanY)));
+    const sxx = sum(pairs.map(([x]) => (x - meanX) ** 2));
+    const syy = sum(pairs.map(([, y]) => (y - meanY) ** 2));
+    if (sxx === 0 || syy === 0) return { r: null, pValue: null, n };
+
+    const r = Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+    const t = Math.abs(r) < 1 ? r * Math.sqrt((n - 2) / (1 - r * r)) : Infinity;
+    return { r, pValue: studentTTwoTailed(t, n - 2), n };
+}
+
+function groupBy(records, keyOf) {
+    const groups = {};
+    records.forEach(record => {
+        const key = keyOf(record);
+        (groups[key] = groups[key] || []).push(record);
+    });
+    return groups;
+}
+
+function levelOf(record) {
+    return String(record.emGroup ?? 'Unknown');
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + (value || 0), 0);
+}
@@ -7,6 +7,12 @@ import { HealthcareAnalyzer } from "./analyzer.js";
 import { UIManager } from "./ui-manager.js";
 import { ChartManager } from "./charts.js";
 import { ExportManager } from "./export.js";
+import { PayerAliasRegistry } from "./payer-aliases.js";
+import { AnalysisCancelledError, AnalysisClient } from "./analysis-client.js";
+import { describeClassifier } from "./performance.js";
+import { describeDurbinWatson } from "./diagnostics.js";
+import { BRIDGE_STEPS } from "./variance-bridge.js";
+import { getPeriod } from "./periods.js";
 import { 
     formatCurrency, 
     formatPercentage, 
@@ -14,13 +20,12 @@ import {
     formatFileSize,
     safeParseFloat,
     safeParseInt,
-    isExcelFile,
+    isSupportedDataFile,
     generateId,
     debounce,
     deepClone,
-    calculatePercentageChange,
-    isEmpty,
-    retryWithBackoff
+    retryWithBackoff,
+    escapeHtml
 } from "./utils.js";
 
 /**
@@ -47,11 +52,13 @@ export class HealthcareRevenueApp {
         // Application state
         this.currentData = null;
         this.analysisResults = null;
+        this.dataQualityReport = null;
         this.isProcessing = false;
         this.applicationId = generateId('healthcare-app');
         
         // Component instances
         this.analyzer = null;
+        this.analysisClient = null;
         this.uiManager = null;
         this.chartManager = null;
         this.exportManager = null;
@@ -59,7 +66,7 @@ export class HealthcareRevenueApp {
         // Configuration
         this.config = {
             maxFileSize: 50 * 1024 * 1024, // 50MB
-            supportedFormats: ['.xlsx', '.xls'],
+            supportedFormats: ['.xlsx', '.xls', '.csv', '.tsv', '.txt'],
             retryAttempts: 3,
             analysisTimeout: 300000, // 5 minutes
             debounceDelay: 300
@@ -86,8 +93,13 @@ export class HealthcareRevenueApp {
         try {
             // Create component instances
             this.analyzer = new HealthcareAnalyzer();
+            this.analyzer.payerAliases = PayerAliasRegistry.load();
             console.log('✅ HealthcareAnalyzer initialized');
             
+            // File parsing and the analysis pipeline run in a worker
+            this.analysisClient = new AnalysisClient();
+            console.log('✅ AnalysisClient initialized');
+            
             this.uiManager = new UIManager();
             console.log('✅ UIManager initialized');
             
@@ -140,7 +152,6 @@ export class HealthcareRevenueApp {
         console.log('🔍 Validating application environment...');
         
         const requiredLibraries = {
-            'XLSX': typeof XLSX !== 'undefined',
             'Chart.js': typeof Chart !== 'undefined',
             'Lodash': typeof _ !== 'undefined'
         };
@@ -148,7 +159,7 @@ export class HealthcareRevenueApp {
         console.log('📚 Library availability check:', requiredLibraries);
         
         const missingLibraries = Object.entries(requiredLibraries)
-            .filter(([name, available]) => !available)
+            .filter(([, available]) => !available)
             .map(([name]) => name);
         
         if (missingLibraries.length > 0) {
@@ -160,11 +171,12 @@ export class HealthcareRevenueApp {
             fileAPI: typeof FileReader !== 'undefined',
             promises: typeof Promise !== 'undefined',
             fetch: typeof fetch !== 'undefined',
+            webWorkers: AnalysisClient.isSupported(),
             canvas: !!document.createElement('canvas').getContext
         };
         
         const unsupportedFeatures = Object.entries(browserSupport)
-            .filter(([feature, supported]) => !supported)
+            .filter(([, supported]) => !supported)
             .map(([feature]) => feature);
         
         if (unsupportedFeatures.length > 0) {
@@ -290,6 +302,18 @@ export class HealthcareRevenueApp {
             });
         }
         
+        const dataQualityBtn = document.getElementById('dataQualityBtn');
+        if (dataQualityBtn) {
+            dataQualityBtn.addEventListener('click', () => {
+                if (this.dataQualityReport) {
+                    this.uiManager.showDataQualityReport(this.dataQualityReport, {
+                        onDownload: (report) => this.exportManager.exportDataQualityReport(report),
+                        reviewing: false
+                    });
+                }
+            });
+        }
+        
         if (uploadArea) {
             // Click to browse
             uploadArea.addEventListener('click', () => {
@@ -334,9 +358,233 @@ export class HealthcareRevenueApp {
             });
         }
         
+        // Analysis settings panel
+        const settingsInputs = {
+            topPayersInput: 'topPayers',
+            payerGroupingSelect: 'payerGrouping',
+            granularitySelect: 'granularity',
+            fiscalYearStartSelect: 'fiscalYearStartMonth',
+            locationFilter: 'location',
+            backtestWindowSelect: 'backtestWindow',
+            backtestFoldsInput: 'backtestFolds',
+            backtestHorizonInput: 'backtestHorizon',
+            forecastHorizonInput: 'forecastHorizon',
+            forecastVisitsInput: 'forecastVisits',
+            forecastChargesInput: 'forecastCharges',
+            classificationMethodSelect: 'classificationMethod',
+            intervalLevelSelect: 'intervalLevel',
+            zThresholdInput: 'zThreshold',
+            percentThresholdInput: 'percentThreshold',
+            varianceBaselineSelect: 'varianceBaseline',
+            emBaselineWeeksInput: 'emBaselineWeeks',
+            labBaselineWeeksInput: 'labBaselineWeeks',
+            insightBaselineSelect: 'insightBaseline',
+            baselineStartInput: 'baselineStart',
+            baselineEndInput: 'baselineEnd'
+        };
+        const debouncedSettings = debounce(() => this.applyAnalysisSettings(), this.config.debounceDelay);
+        Object.entries(settingsInputs).forEach(([id, option]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = this.analyzer.options[option] ?? '';
+                input.addEventListener('change', debouncedSettings);
+            }
+        });
+        
+        const varianceBridgePeriodSelect = document.getElementById('varianceBridgePeriodSelect');
+        if (varianceBridgePeriodSelect) {
+            varianceBridgePeriodSelect.addEventListener('change', () => {
+                if (this.analysisResults) {
+                    this.showVarianceBridge(this.analysisResults, varianceBridgePeriodSelect.value);
+                }
+            });
+        }
+        
+        const payerAliasesBtn = document.getElementById('payerAliasesBtn');
+        if (payerAliasesBtn) {
+            payerAliasesBtn.addEventListener('click', () => {
+                this.editPayerAliases();
+            });
+        }
+        
         console.log('🔬 Analysis events configured');
     }
 
+    /**
+     * Open the payer alias editor, save the table and re-clean loaded data with it
+     */
+    async editPayerAliases() {
+        const registry = this.analyzer.payerAliases;
+        const payers = this.currentData ?
+            [...new Set(this.currentData.map(record => String(record.rawPayer ?? record.payer)))].sort() : [];
+        
+        const entries = await this.uiManager.showPayerAliasEditor(registry.entries, {
+            payers,
+            onExport: (edited) => this.exportManager.exportPayerAliases(new PayerAliasRegistry(edited))
+        });
+        if (!entries) {
+            return;
+        }
+        
+        registry.setEntries(entries);
+        try {
+            registry.save();
+        } catch (error) {
+            console.warn('⚠️ Could not save payer aliases:', error);
+            this.uiManager.showStatus('Payer aliases applied but could not be saved in this browser', 'warning');
+        }
+        console.log(`🏷️ ${registry.entries.length} payer aliases saved`);
+        
+        if (this.currentData) {
+            this.currentData = this.analyzer.applyPayerAliases(this.currentData);
+            this.analyzer.cleanedData = this.currentData;
+            
+            try {
+                await this.runAnalysis();
+                if (this.analysisResults) {
+                    await this.displayAnalysisResults(this.analysisResults);
+                }
+            } catch (error) {
+                console.error('❌ Re-analysis with new payer aliases failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Read the analysis settings panel and re-run the analysis if data is loaded
+     */
+    async applyAnalysisSettings() {
+        const options = this.analyzer.options;
+        const topPayersInput = document.getElementById('topPayersInput');
+        const payerGroupingSelect = document.getElementById('payerGroupingSelect');
+        const granularitySelect = document.getElementById('granularitySelect');
+        const fiscalYearStartSelect = document.getElementById('fiscalYearStartSelect');
+        const locationFilter = document.getElementById('locationFilter');
+        const backtestWindowSelect = document.getElementById('backtestWindowSelect');
+        const backtestFoldsInput = document.getElementById('backtestFoldsInput');
+        const backtestHorizonInput = document.getElementById('backtestHorizonInput');
+        const forecastHorizonInput = document.getElementById('forecastHorizonInput');
+        const forecastVisitsInput = document.getElementById('forecastVisitsInput');
+        const forecastChargesInput = document.getElementById('forecastChargesInput');
+        const classificationMethodSelect = document.getElementById('classificationMethodSelect');
+        const intervalLevelSelect = document.getElementById('intervalLevelSelect');
+        const zThresholdInput = document.getElementById('zThresholdInput');
+        const percentThresholdInput = document.getElementById('percentThresholdInput');
+        const varianceBaselineSelect = document.getElementById('varianceBaselineSelect');
+        const emBaselineWeeksInput = document.getElementById('emBaselineWeeksInput');
+        const labBaselineWeeksInput = document.getElementById('labBaselineWeeksInput');
+        const insightBaselineSelect = document.getElementById('insightBaselineSelect');
+        const baselineStartInput = document.getElementById('baselineStartInput');
+        const baselineEndInput = document.getElementById('baselineEndInput');
+        // Blank (or negative) expected volumes mean "extrapolate"
+        const expectedVolume = (input, fallback) => {
+            if (!input) return fallback;
+            const value = safeParseFloat(input.value, null);
+            return value !== null && value >= 0 ? value : null;
+        };
+        
+        const settings = {
+            topPayers: Math.min(Math.max(safeParseInt(topPayersInput?.value, options.topPayers), 0), 20),
+            payerGrouping: payerGroupingSelect?.value || options.payerGrouping,
+            granularity: granularitySelect?.value || options.granularity,
+            fiscalYearStartMonth: Math.min(Math.max(safeParseInt(fiscalYearStartSelect?.value, options.fiscalYearStartMonth), 1), 12),
+            location: locationFilter ? locationFilter.value || null : options.location,
+            backtestWindow: backtestWindowSelect?.value || options.backtestWindow,
+            backtestFolds: Math.min(Math.max(safeParseInt(backtestFoldsInput?.value, options.backtestFolds), 1), 12),
+            backtestHorizon: Math.min(Math.max(safeParseInt(backtestHorizonInput?.value, options.backtestHorizon), 1), 26),
+            forecastHorizon: Math.min(Math.max(safeParseInt(forecastHorizonInput?.value, options.forecastHorizon), 1), 104),
+            forecastVisits: expectedVolume(forecastVisitsInput, options.forecastVisits),
+            forecastCharges: expectedVolume(forecastChargesInput, options.forecastCharges),
+            classificationMethod: classificationMethodSelect?.value || options.classificationMethod,
+            intervalLevel: Math.min(Math.max(safeParseInt(intervalLevelSelect?.value, options.intervalLevel), 50), 99),
+            zThreshold: Math.min(Math.max(safeParseFloat(zThresholdInput?.value, options.zThreshold), 0.1), 5),
+            percentThreshold: Math.min(Math.max(safeParseFloat(percentThresholdInput?.value, options.percentThreshold), 0.1), 50),
+            varianceBaseline: varianceBaselineSelect?.value || options.varianceBaseline,
+            emBaselineWeeks: Math.min(Math.max(safeParseInt(emBaselineWeeksInput?.value, options.emBaselineWeeks), 4), 104),
+            labBaselineWeeks: Math.min(Math.max(safeParseInt(labBaselineWeeksInput?.value, options.labBaselineWeeks), 4), 104),
+            insightBaseline: insightBaselineSelect?.value || options.insightBaseline,
+            baselineStart: baselineStartInput ? baselineStartInput.value || null : options.baselineStart,
+            baselineEnd: baselineEndInput ? baselineEndInput.value || null : options.baselineEnd
+        };
+        // A reference period entered backwards is still the same period
+        if (settings.baselineStart && settings.baselineEnd && settings.baselineStart > settings.baselineEnd) {
+            [settings.baselineStart, settings.baselineEnd] = [settings.baselineEnd, settings.baselineStart];
+        }
+        
+        if (topPayersInput) {
+            topPayersInput.value = settings.topPayers;
+        }
+        if (backtestFoldsInput) {
+            backtestFoldsInput.value = settings.backtestFolds;
+        }
+        if (backtestHorizonInput) {
+            backtestHorizonInput.value = settings.backtestHorizon;
+        }
+        if (forecastHorizonInput) {
+            forecastHorizonInput.value = settings.forecastHorizon;
+        }
+        if (zThresholdInput) {
+            zThresholdInput.value = settings.zThreshold;
+        }
+        if (percentThresholdInput) {
+            percentThresholdInput.value = settings.percentThreshold;
+        }
+        if (emBaselineWeeksInput) {
+            emBaselineWeeksInput.value = settings.emBaselineWeeks;
+        }
+        if (labBaselineWeeksInput) {
+            labBaselineWeeksInput.value = settings.labBaselineWeeks;
+        }
+        if (baselineStartInput && baselineEndInput) {
+            baselineStartInput.value = settings.baselineStart || '';
+            baselineEndInput.value = settings.baselineEnd || '';
+        }
+        
+        if (Object.entries(settings).every(([key, value]) => options[key] === value)) {
+            return;
+        }
+        
+        Object.assign(options, settings);
+        console.log('⚙️ Analysis settings updated:', this.analyzer.options);
+        
+        if (this.currentData) {
+            try {
+                await this.runAnalysis();
+                if (this.analysisResults) {
+                    await this.displayAnalysisResults(this.analysisResults);
+                }
+            } catch (error) {
+                console.error('❌ Re-analysis with new settings failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Fill the location filter with the locations in the loaded data
+     * @param {Array<Object>} data - Cleaned records
+     */
+    populateLocationFilter(data) {
+        const locations = this.analyzer.getLocations(data);
+        
+        // A location from a previous file no longer applies
+        if (!locations.includes(this.analyzer.options.location)) {
+            this.analyzer.options.location = null;
+        }
+        
+        const locationFilter = document.getElementById('locationFilter');
+        if (!locationFilter) return;
+        
+        locationFilter.innerHTML = '<option value="">All locations</option>';
+        locations.forEach(location => {
+            const option = document.createElement('option');
+            option.value = location;
+            option.textContent = location;
+            locationFilter.appendChild(option);
+        });
+        locationFilter.value = this.analyzer.options.location ?? '';
+        locationFilter.disabled = locations.length === 0;
+    }
+
     /**
      * Setup export events
      */
@@ -358,6 +606,16 @@ export class HealthcareRevenueApp {
             });
         }
         
+        ['csv', 'xlsx'].forEach(format => {
+            const button = document.getElementById(`exportForecast${format === 'csv' ? 'Csv' : 'Xlsx'}Btn`);
+            if (button) {
+                button.addEventListener('click', () => {
+                    console.log(`🔮 Forecast ${format.toUpperCase()} export requested`);
+                    this.exportForecast(format);
+                });
+            }
+        });
+        
         console.log('📤 Export events configured');
     }
 
@@ -477,7 +735,7 @@ export class HealthcareRevenueApp {
      * Display welcome message
      */
     displayWelcomeMessage() {
-        const message = 'Welcome to RMT Healthcare Revenue Analysis. Upload your Excel file to begin statistical analysis.';
+        const message = 'Welcome to RMT Healthcare Revenue Analysis. Upload your Excel or CSV file to begin statistical analysis.';
         this.uiManager.showStatus(message, 'info');
         console.log('👋 Welcome message displayed');
     }
@@ -489,13 +747,13 @@ export class HealthcareRevenueApp {
     async handleFileSelect(event) {
         console.log('📁 Processing file selection...');
         
-        const file = event.target.files[0];
-        if (!file) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) {
             console.log('ℹ️ No file selected');
             return;
         }
         
-        await this.processSelectedFile(file);
+        await this.processSelectedFiles(files);
     }
 
     /**
@@ -503,71 +761,104 @@ export class HealthcareRevenueApp {
      * @param {DragEvent} event - Drop event
      */
     async handleFileDrop(event) {
-        console.log('📁 Processing dropped file...');
+        console.log('📁 Processing dropped files...');
         
-        const files = event.dataTransfer.files;
+        const files = Array.from(event.dataTransfer.files);
         if (files.length === 0) {
             console.log('ℹ️ No files dropped');
             return;
         }
         
-        if (files.length > 1) {
-            this.uiManager.showStatus('Please drop only one file at a time', 'warning');
-            return;
-        }
-        
-        await this.processSelectedFile(files[0]);
+        await this.processSelectedFiles(files);
     }
 
     /**
-     * Process selected file with comprehensive validation
-     * @param {File} file - Selected file
+     * Process selected files with comprehensive validation
+     * @param {Array<File>} files - Selected files (one or more workbooks/CSVs)
      */
-    async processSelectedFile(file) {
-        console.log('📊 Processing file:', {
-            name: file.name,
-            size: formatFileSize(file.size),
-            type: file.type,
-            lastModified: new Date(file.lastModified).toISOString()
+    async processSelectedFiles(files) {
+        files.forEach(file => {
+            console.log('📊 Processing file:', {
+                name: file.name,
+                size: formatFileSize(file.size),
+                type: file.type,
+                lastModified: new Date(file.lastModified).toISOString()
+            });
         });
         
         try {
             // Security and validation checks
-            await this.validateFile(file);
+            for (const file of files) {
+                await this.validateFile(file);
+            }
             
             // Show processing status
-            this.uiManager.showLoading('Reading and validating Excel file...');
+            this.uiManager.showLoading(`Reading and validating ${files.length} data file${files.length > 1 ? 's' : ''}...`, {
+                onCancel: () => this.analysisClient.cancel()
+            });
             this.uiManager.updateProgress(10);
             
-            // Process file with retry mechanism
-            const data = await retryWithBackoff(
-                () => this.analyzer.loadExcelFile(file),
-                this.config.retryAttempts
-            );
-            
+            // Parse files in the analysis worker, retrying failures but not cancellations
+            const workbooks = [];
+            for (const file of files) {
+                workbooks.push(await retryWithBackoff(
+                    () => this.analysisClient.readFile(file, ({ percent, label }) => this.uiManager.updateProgress(percent, label)),
+                    this.config.retryAttempts,
+                    undefined,
+                    (error) => !(error instanceof AnalysisCancelledError)
+                ));
+            }
+            this.uiManager.showLoading('Preparing data...');
+
+            this.uiManager.updateProgress(25);
+
+            // Choose sheets, confirm column mappings and merge into one dataset
+            const sheets = await this.selectSheets(workbooks);
+            const datasets = sheets && await this.cleanSheets(sheets);
+            const merged = datasets && await this.mergeDatasets(datasets);
+            if (!merged) {
+                this.uiManager.hideLoading();
+                this.uiManager.showStatus('File import cancelled', 'info');
+                return;
+            }
+
+            const data = merged.records;
+            this.analyzer.cleanedData = data;
+
             this.uiManager.updateProgress(50);
             
             // Validate processed data
             await this.validateProcessedData(data);
             
+            // Let the user review data quality problems before analysis
+            if (!await this.reviewDataQuality(data, merged)) {
+                this.uiManager.hideLoading();
+                this.uiManager.showStatus('File import cancelled', 'info');
+                return;
+            }
+            
             this.uiManager.updateProgress(80);
             
             // Update application state
             this.currentData = data;
             this.analysisResults = null; // Clear previous results
+            this.populateLocationFilter(data);
             
             // Update UI
             this.uiManager.updateProgress(100);
             this.uiManager.hideLoading();
             
             // Show file info
-            this.uiManager.showFileInfo(file.name, data);
+            const sourceLabel = datasets.length > 1 ?
+                `${files.map(file => file.name).join(', ')} (${datasets.length} sheets)` :
+                datasets[0].source;
+            this.uiManager.showFileInfo(sourceLabel, data);
             
             // Enable analysis button
             this.uiManager.enableAnalysisButton();
             
             // Success message
-            const message = `✅ File loaded successfully: ${formatNumber(data.length)} records found`;
+            const message = `✅ ${files.length > 1 ? `${files.length} files` : 'File'} loaded successfully: ${formatNumber(data.length)} records found`;
             this.uiManager.showStatus(message, 'success');
             
             console.log('✅ File processing completed successfully');
@@ -581,12 +872,161 @@ export class HealthcareRevenueApp {
             }
             
         } catch (error) {
-            console.error('❌ File processing failed:', error);
             this.uiManager.hideLoading();
+            if (error instanceof AnalysisCancelledError) {
+                this.uiManager.showStatus('File import cancelled', 'info');
+                return;
+            }
+            console.error('❌ File processing failed:', error);
             this.handleFileProcessingError(error);
         }
     }
 
+    /**
+     * Let the user pick which sheets to import when a workbook has several
+     * @param {Array<Object>} workbooks - Workbooks returned by HealthcareAnalyzer.readFile
+     * @returns {Promise<Array<Object>|null>} Selected sheets, or null if cancelled
+     */
+    async selectSheets(workbooks) {
+        const sheets = workbooks.flatMap(workbook => workbook.sheets.map(sheet => ({
+            source: this.analyzer.getSourceLabel(workbook, sheet),
+            fileName: workbook.fileName,
+            sheetName: sheet.name,
+            rows: sheet.rows
+        })));
+        
+        if (!workbooks.some(workbook => workbook.sheets.length > 1)) {
+            return sheets;
+        }
+        
+        this.uiManager.hideLoading();
+        const selected = await this.uiManager.showSheetSelector(sheets);
+        if (!selected || selected.length === 0) {
+            return null;
+        }
+        
+        this.uiManager.showLoading('Preparing selected sheets...');
+        console.log(`📑 ${selected.length} of ${sheets.length} sheets selected`);
+        return selected.map(index => sheets[index]);
+    }
+
+    /**
+     * Confirm column mappings and clean each selected sheet. Sheets that share
+     * a header layout are mapped once.
+     * @param {Array<Object>} sheets - Selected sheets
+     * @returns {Promise<Array<Object>|null>} Cleaned datasets, or null if cancelled
+     */
+    async cleanSheets(sheets) {
+        const columnMapper = this.analyzer.columnMapper;
+        const detections = sheets.map(sheet => {
+            const detected = this.analyzer.detectColumnMapping(sheet.rows);
+            return { sheet, detected, signature: columnMapper.getHeaderSignature(detected) };
+        });
+        
+        const confirmedMappings = new Map();
+        const datasets = [];
+        
+        for (const { sheet, detected, signature } of detections) {
+            if (!confirmedMappings.has(signature)) {
+                const sharing = detections
+                    .filter(other => other.signature === signature)
+                    .map(other => other.sheet.source);
+                const mapping = await this.confirmColumnMapping(detected, sharing.join(', '));
+                if (!mapping) {
+                    return null;
+                }
+                confirmedMappings.set(signature, mapping);
+            }
+            
+            const mapping = { ...confirmedMappings.get(signature), headerRowIndex: detected.headerRowIndex };
+            datasets.push({
+                source: sheet.source,
+                records: this.analyzer.cleanExcelData(sheet.rows, mapping, sheet.source)
+            });
+        }
+        
+        return datasets;
+    }
+
+    /**
+     * Merge cleaned datasets, asking the user how to resolve conflicting keys
+     * @param {Array<Object>} datasets - Cleaned datasets in load order
+     * @returns {Promise<Object|null>} Merge result ({ records, duplicates, conflicts }), or null if cancelled
+     */
+    async mergeDatasets(datasets) {
+        let result = this.analyzer.mergeDatasets(datasets);
+        
+        if (result.conflicts.length > 0) {
+            this.uiManager.hideLoading();
+            const strategy = await this.uiManager.showMergeConflicts(result.conflicts, result.duplicates.length);
+            if (!strategy) {
+                return null;
+            }
+            
+            this.uiManager.showLoading('Merging datasets...');
+            if (strategy !== 'first') {
+                result = this.analyzer.mergeDatasets(datasets, strategy);
+            }
+        }
+        
+        if (result.duplicates.length > 0) {
+            console.log(`ℹ️ ${result.duplicates.length} identical duplicate rows removed during merge`);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Build the data quality report and show it when there is anything to review
+     * @param {Array<Object>} data - Merged records
+     * @param {Object} mergeResult - Merge result with duplicates and conflicts
+     * @returns {Promise<boolean>} True to continue with the import
+     */
+    async reviewDataQuality(data, mergeResult) {
+        const report = this.analyzer.assessDataQuality(data, mergeResult);
+        this.dataQualityReport = report;
+        
+        const dataQualityBtn = document.getElementById('dataQualityBtn');
+        if (dataQualityBtn) {
+            dataQualityBtn.disabled = false;
+        }
+        
+        if (report.issues.length === 0) {
+            console.log('✅ No data quality issues found');
+            return true;
+        }
+        
+        this.uiManager.hideLoading();
+        const proceed = await this.uiManager.showDataQualityReport(report, {
+            onDownload: (current) => this.exportManager.exportDataQualityReport(current)
+        });
+        
+        if (proceed) {
+            this.uiManager.showLoading('Preparing analysis...');
+        }
+        return proceed;
+    }
+
+    /**
+     * Show the mapping wizard for a detected column mapping
+     * @param {Object} detected - Mapping from HealthcareAnalyzer.detectColumnMapping
+     * @param {string} sourceName - File/sheet names shown in the wizard
+     * @returns {Promise<Object|null>} Confirmed mapping, or null if cancelled
+     */
+    async confirmColumnMapping(detected, sourceName) {
+        console.log('🧭 Resolving column mapping...');
+
+        this.uiManager.hideLoading();
+        const mapping = await this.uiManager.showColumnMappingWizard(detected, this.analyzer.columnMapper, sourceName);
+
+        if (mapping) {
+            this.uiManager.showLoading('Cleaning data with confirmed column mapping...');
+            console.log('✅ Column mapping confirmed:', mapping.columns);
+        }
+
+        return mapping;
+    }
+
     /**
      * Comprehensive file validation
      * @param {File} file - File to validate
@@ -604,8 +1044,8 @@ export class HealthcareRevenueApp {
         }
         
         // File type validation
-        if (!isExcelFile(file)) {
-            throw new Error(`Invalid file type. Please upload an Excel file (${this.config.supportedFormats.join(', ')})`);
+        if (!isSupportedDataFile(file)) {
+            throw new Error(`Invalid file type. Please upload an Excel or CSV file (${this.config.supportedFormats.join(', ')})`);
         }
         
         // File name validation
@@ -628,7 +1068,7 @@ export class HealthcareRevenueApp {
         }
         
         if (data.length === 0) {
-            throw new Error('No data found in the Excel file');
+            throw new Error('No data found in the uploaded file');
         }
         
         if (data.length < 5) {
@@ -658,32 +1098,35 @@ export class HealthcareRevenueApp {
         }
         
         if (!this.currentData) {
-            this.uiManager.showStatus('Please upload an Excel file first', 'warning');
+            this.uiManager.showStatus('Please upload a data file first', 'warning');
             return;
         }
         
         console.log('🔬 Starting comprehensive statistical analysis...');
         
+        // The timeout terminates the worker, which actually stops the work
+        let timeoutId = null;
+        
         try {
             this.isProcessing = true;
             
             // Show analysis progress
-            this.uiManager.showLoading('Running statistical analysis with proper train/test split...');
+            this.uiManager.showLoading('Running statistical analysis with rolling-origin backtest...', {
+                onCancel: () => this.analysisClient.cancel()
+            });
             this.uiManager.updateProgress(0);
             
-            // Create analysis timeout
-            const analysisPromise = this.analyzer.runCompleteAnalysis(
+            timeoutId = setTimeout(() => {
+                this.analysisClient.terminate(new Error('Analysis timeout'));
+            }, this.config.analysisTimeout);
+            
+            // Run the pipeline in the worker; the page stays responsive meanwhile
+            const results = await this.analysisClient.runAnalysis(
                 this.currentData,
-                (progress) => this.uiManager.updateProgress(progress)
+                this.analyzer.options,
+                ({ percent, label }) => this.uiManager.updateProgress(percent, label)
             );
             
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Analysis timeout')), this.config.analysisTimeout);
-            });
-            
-            // Run analysis with timeout
-            const results = await Promise.race([analysisPromise, timeoutPromise]);
-            
             // Validate results
             await this.validateAnalysisResults(results);
             
@@ -703,11 +1146,17 @@ export class HealthcareRevenueApp {
             return results;
             
         } catch (error) {
-            console.error('❌ Analysis failed:', error);
             this.uiManager.hideLoading();
+            if (error instanceof AnalysisCancelledError) {
+                console.log('🛑 Analysis cancelled');
+                this.uiManager.showStatus('Analysis cancelled', 'info');
+                return null;
+            }
+            console.error('❌ Analysis failed:', error);
             this.handleAnalysisError(error);
             throw error;
         } finally {
+            clearTimeout(timeoutId);
             this.isProcessing = false;
         }
     }
@@ -773,6 +1222,7 @@ export class HealthcareRevenueApp {
             
             // Update metrics displays
             this.updateOverviewMetrics(results);
+            this.updateKeyMetrics(results);
             this.updatePerformanceMetrics(results);
             
             // Generate visualizations
@@ -840,6 +1290,56 @@ export class HealthcareRevenueApp {
         console.log('✅ Overview metrics updated');
     }
 
+    /**
+     * Latest period's KPIs with their change against the insight baseline
+     * @param {Object} results - Analysis results
+     */
+    updateKeyMetrics(results) {
+        const keyMetrics = document.getElementById('keyMetrics');
+        if (!keyMetrics) return;
+        
+        const kpis = results.kpis;
+        if (!kpis) {
+            keyMetrics.innerHTML = '';
+            return;
+        }
+        
+        const formatters = {
+            totalPayments: value => formatCurrency(value),
+            totalVisitCount: value => formatNumber(value),
+            totalChargeAmount: value => formatCurrency(value),
+            avgPaymentPerVisit: value => formatCurrency(value, 'USD', 2),
+            weightedAvgCollectionPct: value => formatPercentage(value)
+        };
+        
+        keyMetrics.innerHTML = kpis.metrics.map(kpi => {
+            const format = formatters[kpi.metric] || formatNumber;
+            const change = kpi.change === null ?
+                '<div class="metric-change">No baseline</div>' :
+                `<div class="metric-change ${kpi.change >= 0 ? 'positive' : 'negative'}" title="Baseline ${format(kpi.baseline)}">` +
+                    `${kpi.change >= 0 ? '▲' : '▼'} ${formatPercentage(Math.abs(kpi.change))} vs baseline</div>`;
+            return `
+                <div class="metric-card">
+                    <div class="metric-value">${format(kpi.value)}</div>
+                    <div class="metric-label">${escapeHtml(kpi.label)} · ${escapeHtml(kpis.periodLabel)}</div>
+                    ${change}
+                </div>
+            `;
+        }).join('') + `<p class="settings-help">Baseline: ${escapeHtml(this.describeInsightBaseline(results))}</p>`;
+    }
+
+    /**
+     * Insight baseline of the latest period, e.g. "Trailing 13 weeks (2024-W39 – 2024-W51)"
+     * @param {Object} results - Analysis results
+     * @returns {string} Description ('' without an insight baseline)
+     */
+    describeInsightBaseline(results) {
+        const insightBaseline = results.insightBaseline;
+        if (!insightBaseline) return '';
+        const latest = insightBaseline.periods[insightBaseline.periods.length - 1];
+        return latest?.baselineLabel ? `${insightBaseline.label} (${latest.baselineLabel})` : insightBaseline.label;
+    }
+
     /**
      * Update performance metrics display
      * @param {Object} results - Analysis results
@@ -916,6 +1416,11 @@ export class HealthcareRevenueApp {
             await this.chartManager.generateTrendsChart(results);
             await this.chartManager.generatePayerChart(results);
             await this.chartManager.generateCorrelationChart(results);
+            await this.chartManager.generateBacktestChart(results);
+            await this.chartManager.generateForecastChart(results);
+            await this.chartManager.generateDiagnosticsCharts(results);
+            await this.chartManager.generateEMChart(results);
+            await this.chartManager.generateLabCharts(results);
             
             console.log('✅ All charts generated successfully');
             
@@ -936,6 +1441,15 @@ export class HealthcareRevenueApp {
         try {
             this.updateInsightsTable(results);
             this.updateMainDataTable(results);
+            this.updateLocationComparison(results);
+            this.updateRegressionTable(results);
+            this.updateBacktestTables(results);
+            this.updateEnsembleWeights(results);
+            this.updateForecastTable(results);
+            this.updateDiagnostics(results);
+            this.updateVarianceBridge(results);
+            this.updateEMAnalysis(results);
+            this.updateLabAnalysis(results);
             
             console.log('✅ Data tables updated');
             
@@ -951,10 +1465,26 @@ export class HealthcareRevenueApp {
      */
     updateInsightsTable(results) {
         const tableBody = document.getElementById('insightsTableBody');
+        const summary = document.getElementById('classificationSummary');
         if (!tableBody) return;
         
         tableBody.innerHTML = '';
         
+        if (summary && results.classification) {
+            const { residualCount, residualSD } = results.classification;
+            summary.textContent = `Periods are over or under performing when actual payments fall ${describeClassifier(results.classification)}, ` +
+                `based on ${formatNumber(residualCount)} backtest residuals of ${results.bestModel.modelName} (SD ${formatCurrency(residualSD)}).`;
+            
+            const baseline = results.baselines?.periods.totalPayments;
+            if (baseline?.count > 0) {
+                summary.textContent += ` Baseline payments per ${results.granularity?.unit || 'period'}: median ${formatCurrency(baseline.median)}, ` +
+                    `typical range ${formatCurrency(baseline.p25)} – ${formatCurrency(baseline.p75)}.`;
+            }
+            if (results.insightBaseline) {
+                summary.textContent += ` Insights compare each period with its baseline: ${results.insightBaseline.label.toLowerCase()}.`;
+            }
+        }
+        
         const displayResults = results.finalResults.slice(0, 10);
         
         displayResults.forEach(week => {
@@ -964,16 +1494,29 @@ export class HealthcareRevenueApp {
                 .replace(/\s+/g, '-');
             
             row.innerHTML = `
-                <td>${week.Year}-${week.Week}</td>
+                <td>${escapeHtml(week.Period)}</td>
+                <td>${formatCurrency(safeParseFloat(week['Actual Total Payments']))}</td>
+                <td>${this.formatExpectedRange(week)}</td>
                 <td><span class="performance-indicator ${performanceClass}">${week['Performance Diagnostic']}</span></td>
-                <td>${week['What Went Well'] || 'Standard performance'}</td>
-                <td>${week['What Could Be Improved'] || 'Continue current practices'}</td>
+                <td>${week['Change vs Baseline'] ? `${week['Change vs Baseline']} · ` : ''}${week['Payments vs Baseline'] || 'N/A'}</td>
+                <td>${escapeHtml(week['What Went Well'] || 'Standard performance')}</td>
+                <td>${escapeHtml(week['What Could Be Improved'] || 'Continue current practices')}</td>
             `;
             
             tableBody.appendChild(row);
         });
     }
 
+    /**
+     * Expected payment range of a period, e.g. "$9,800 – $11,200"
+     * @param {Object} week - Row from finalResults
+     * @returns {string} Formatted range ('N/A' without bounds)
+     */
+    formatExpectedRange(week) {
+        if (!week['Expected Low'] || !week['Expected High']) return 'N/A';
+        return `${formatCurrency(safeParseFloat(week['Expected Low']))} – ${formatCurrency(safeParseFloat(week['Expected High']))}`;
+    }
+
     /**
      * Update main data table
      * @param {Object} results - Analysis results
@@ -995,13 +1538,426 @@ export class HealthcareRevenueApp {
             const absoluteError = safeParseFloat(week['Absolute Error']);
             
             row.innerHTML = `
-                <td>${week.Year}</td>
-                <td>${week.Week}</td>
+                <td>${escapeHtml(week.Year)}</td>
+                <td>${escapeHtml(week.Period)}</td>
                 <td>${formatCurrency(actualPayments)}</td>
                 <td>${formatCurrency(predictedPayments)}</td>
+                <td>${this.formatExpectedRange(week)}</td>
                 <td>${formatCurrency(absoluteError)}</td>
                 <td><span class="performance-indicator ${performanceClass}">${week['Performance Diagnostic']}</span></td>
-                <td>${week['Most Influential Performance Factors'] || 'N/A'}</td>
+                <td>${escapeHtml(week['Most Influential Performance Factors'] || 'N/A')}</td>
+            `;
+            
+            tableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Update the OLS coefficient table
+     * @param {Object} results - Analysis results
+     */
+    updateRegressionTable(results) {
+        const section = document.getElementById('regressionSection');
+        const tableBody = document.getElementById('regressionTableBody');
+        const summary = document.getElementById('regressionSummary');
+        if (!section || !tableBody) return;
+        
+        const regression = results.regression;
+        section.style.display = regression ? 'block' : 'none';
+        tableBody.innerHTML = '';
+        if (!regression) return;
+        
+        const label = (feature) => results.featureLabels?.[feature] || feature;
+        const formatStat = (value, digits) => value === null || value === undefined ? 'N/A' : value.toFixed(digits);
+        const formatP = (p) => p === null || p === undefined ? 'N/A' : p < 0.001 ? '<0.001' : p.toFixed(3);
+        
+        if (summary) {
+            const dropped = regression.dropped.map(d => `${label(d.feature)} (${d.reason})`).join(', ');
+            summary.textContent = `Fitted on ${regression.n} training periods: R² ${regression.rSquared.toFixed(3)}, ` +
+                `adjusted R² ${regression.adjustedRSquared.toFixed(3)}, ${regression.degreesOfFreedom} residual degrees of freedom.` +
+                (dropped ? ` Left out: ${dropped}.` : '');
+        }
+        
+        [{ feature: 'Intercept', ...regression.intercept, standardizedCoefficient: null }, ...regression.coefficients].forEach(c => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${escapeHtml(c.feature === 'Intercept' ? c.feature : label(c.feature))}</td>
+                <td>${formatStat(c.coefficient, 4)}</td>
+                <td>${formatStat(c.standardError, 4)}</td>
+                <td>${formatStat(c.tStat, 2)}</td>
+                <td>${formatP(c.pValue)}</td>
+                <td>${formatStat(c.standardizedCoefficient, 2)}</td>
+            `;
+            tableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Update the backtest summary, per-model averages and the best model's per-fold metrics
+     * @param {Object} results - Analysis results
+     */
+    updateBacktestTables(results) {
+        const modelBody = document.getElementById('backtestTableBody');
+        const foldBody = document.getElementById('backtestFoldsBody');
+        const summary = document.getElementById('backtestSummary');
+        const backtest = results.backtest;
+        if (!modelBody || !foldBody || !backtest) return;
+
+        const formatStat = (value, digits) => value === null || value === undefined ? 'N/A' : value.toFixed(digits);
+        const formatMAPE = (value) => value === null || value === undefined ? 'N/A' : `${value.toFixed(1)}%`;
+        const bestName = results.bestModel.modelName;
+
+        if (summary) {
+            const options = this.analyzer.options;
+            const unit = results.granularity?.unit || 'period';
+            const reduced = backtest.folds < options.backtestFolds || backtest.horizon < options.backtestHorizon ?
+                ` (reduced from ${options.backtestFolds} × ${options.backtestHorizon} to fit the data)` : '';
+            summary.textContent = `${backtest.window === 'sliding' ? 'Sliding' : 'Expanding'} window: ` +
+                `${backtest.folds} fold${backtest.folds === 1 ? '' : 's'} of ${backtest.horizon} ${unit}${backtest.horizon === 1 ? '' : 's'}${reduced}. ` +
+                `Models are ranked by MAE averaged over the folds; ${bestName} was then refitted on all periods.`;
+        }
+
+        modelBody.innerHTML = '';
+        backtest.summary.forEach(model => {
+            const row = document.createElement('tr');
+            row.classList.toggle('selected', model.modelName === bestName);
+            row.innerHTML = `
+                <td>${escapeHtml(model.modelName)}</td>
+                <td>${model.ranked ? model.folds : `${model.folds} of ${backtest.folds} (not ranked)`}</td>
+                <td>${formatCurrency(model.mae)}</td>
+                <td>${formatCurrency(model.rmse)}</td>
+                <td>${formatMAPE(model.mape)}</td>
+                <td>${formatStat(model.rSquared, 3)}</td>
+            `;
+            modelBody.appendChild(row);
+        });
+
+        foldBody.innerHTML = '';
+        backtest.splits.forEach(split => {
+            const metrics = split.results.find(r => r.modelName === bestName) || {};
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${split.fold}</td>
+                <td>${escapeHtml(split.trainStart)} – ${escapeHtml(split.trainEnd)} (${split.trainPeriods})</td>
+                <td>${escapeHtml(split.testStart)} – ${escapeHtml(split.testEnd)} (${split.testPeriods})</td>
+                <td>${formatCurrency(metrics.mae)}</td>
+                <td>${formatCurrency(metrics.rmse)}</td>
+                <td>${formatMAPE(metrics.mape)}</td>
+                <td>${formatStat(metrics.rSquared, 3)}</td>
+            `;
+            foldBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the stacked ensemble's blending weights, largest first
+     * @param {Object} results - Analysis results
+     */
+    updateEnsembleWeights(results) {
+        const tableBody = document.getElementById('ensembleWeightsBody');
+        const summary = document.getElementById('ensembleSummary');
+        const ensemble = results.backtest?.ensemble;
+        if (!tableBody) return;
+        
+        tableBody.innerHTML = '';
+        if (!ensemble?.weights) {
+            if (summary) summary.textContent = 'The stacked ensemble could not be fitted on this data.';
+            return;
+        }
+        
+        if (summary) {
+            const kept = Object.keys(ensemble.weights).length;
+            summary.textContent = `The Stacked Ensemble blends ${kept} of ${ensemble.candidates} models with non-negative weights summing to 100%, ` +
+                `learned on ${formatNumber(ensemble.validationPeriods)} out-of-sample periods. Each backtest fold only uses weights learned on earlier periods.`;
+        }
+        
+        Object.entries(ensemble.weights)
+            .sort(([, a], [, b]) => b - a)
+            .forEach(([modelName, weight]) => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${escapeHtml(modelName)}</td>
+                    <td>${formatPercentage(weight)}</td>
+                `;
+                tableBody.appendChild(row);
+            });
+    }
+
+    /**
+     * Update the forecast summary and table
+     * @param {Object} results - Analysis results
+     */
+    updateForecastTable(results) {
+        const section = document.getElementById('forecastSection');
+        const tableBody = document.getElementById('forecastTableBody');
+        const summary = document.getElementById('forecastSummary');
+        if (!section || !tableBody) return;
+        
+        const forecast = results.forecast;
+        section.style.display = forecast ? 'block' : 'none';
+        tableBody.innerHTML = '';
+        if (!forecast) return;
+        
+        if (summary) {
+            const unit = results.granularity?.unit || 'period';
+            const drivers = {
+                history: 'projected from the payment history alone',
+                user: 'driven by the expected visit and charge volumes entered in the settings',
+                extrapolated: 'driven by visit and charge volumes extrapolated from the history, with rates and payer mix at their latest-year averages'
+            };
+            summary.textContent = `Next ${forecast.horizon} ${unit}${forecast.horizon === 1 ? '' : 's'} from ${forecast.modelName}, ` +
+                `${drivers[forecast.drivers]}. Shaded bands are 80% and 95% prediction intervals.` +
+                (forecast.volumesIgnored ? ` The expected visit and charge volumes entered in the settings were not used: ` +
+                    `${forecast.modelName} forecasts from the payment history only.` : '');
+        }
+        
+        forecast.periods.forEach(period => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${escapeHtml(period.periodLabel)}</td>
+                <td>${formatCurrency(period.forecast)}</td>
+                <td>${formatCurrency(period.lower80)} – ${formatCurrency(period.upper80)}</td>
+                <td>${formatCurrency(period.lower95)} – ${formatCurrency(period.upper95)}</td>
+                <td>${period.totalVisitCount === null ? 'N/A' : formatNumber(period.totalVisitCount)}</td>
+                <td>${period.totalChargeAmount === null ? 'N/A' : formatCurrency(period.totalChargeAmount)}</td>
+            `;
+            tableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Update the residual diagnostics summary and the payer-mix bias table
+     * @param {Object} results - Analysis results
+     */
+    updateDiagnostics(results) {
+        const section = document.getElementById('diagnosticsSection');
+        const tableBody = document.getElementById('payerBiasBody');
+        const summary = document.getElementById('diagnosticsSummary');
+        if (!section || !tableBody) return;
+        
+        const diagnostics = results.diagnostics;
+        section.style.display = diagnostics ? 'block' : 'none';
+        tableBody.innerHTML = '';
+        if (!diagnostics) return;
+        
+        const formatP = (p) => p === null || p === undefined ? 'N/A' : p < 0.001 ? '<0.001' : p.toFixed(3);
+        const stats = diagnostics.summary;
+        
+        if (summary) {
+            const biased = stats.biasPValue !== null && stats.biasPValue < 0.05;
+            summary.textContent = `${results.bestModel.modelName} residuals (actual − predicted) over ${formatNumber(stats.periods)} periods: ` +
+                `mean error ${formatCurrency(stats.meanError)} (${formatPercentage(stats.meanPercentError)}, p ${formatP(stats.biasPValue)}` +
+                `${biased ? ', a significant bias' : ', no significant bias'}), SD ${formatCurrency(stats.standardDeviation)}. ` +
+                `Durbin-Watson ${stats.durbinWatson === null ? 'N/A' : stats.durbinWatson.toFixed(2)}: ${describeDurbinWatson(stats.durbinWatson)}.`;
+        }
+        
+        diagnostics.payerBias.forEach(bucket => {
+            const row = document.createElement('tr');
+            row.classList.toggle('selected', bucket.pValue !== null && bucket.pValue < 0.05);
+            row.innerHTML = `
+                <td>${escapeHtml(bucket.payer)}</td>
+                <td>${bucket.bucket}</td>
+                <td>${formatPercentage(bucket.minShare)} – ${formatPercentage(bucket.maxShare)}</td>
+                <td>${formatNumber(bucket.periods)}</td>
+                <td>${formatCurrency(bucket.meanError)}</td>
+                <td>${formatPercentage(bucket.meanPercentError)}</td>
+                <td>${formatP(bucket.pValue)}</td>
+            `;
+            tableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Update the E&M coding intensity summary, level-mix shift and payer payment tables
+     * @param {Object} results - Analysis results
+     */
+    updateEMAnalysis(results) {
+        const section = document.getElementById('emAnalysisSection');
+        const driftBody = document.getElementById('emDriftBody');
+        const payerBody = document.getElementById('emPayerBody');
+        const summary = document.getElementById('emAnalysisSummary');
+        if (!section || !driftBody || !payerBody) return;
+        
+        const emAnalysis = results.emAnalysis;
+        section.style.display = emAnalysis?.levels.length > 0 ? 'block' : 'none';
+        driftBody.innerHTML = '';
+        payerBody.innerHTML = '';
+        if (!emAnalysis) return;
+        
+        const formatWeight = (weight) => weight === null || weight === undefined ? 'N/A' : weight.toFixed(2);
+        const flagged = emAnalysis.periods.filter(period => period.drift?.flagged);
+        
+        if (summary) {
+            summary.textContent = `${formatNumber(emAnalysis.levels.length)} E&M levels. ` +
+                `${formatNumber(flagged.length)} of ${formatNumber(emAnalysis.periods.filter(period => period.drift).length)} periods ` +
+                `shifted their level mix significantly (p < ${emAnalysis.alpha}) from the preceding ${emAnalysis.baselinePeriods} periods, ` +
+                'which can point to coding drift or documentation gaps.';
+        }
+        
+        flagged.slice().reverse().forEach(period => {
+            const drift = period.drift;
+            const shift = drift.largestShift;
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${escapeHtml(period.periodLabel)}</td>
+                <td>${escapeHtml(drift.baselineLabel)}</td>
+                <td>${formatNumber(period.visits)}</td>
+                <td>${formatWeight(period.avgEMWeight)}</td>
+                <td>${formatWeight(drift.baselineEMWeight)}</td>
+                <td>${escapeHtml(shift.level)}: ${formatPercentage(shift.baselineShare)} → ${formatPercentage(shift.share)}</td>
+                <td>${formatPercentage(drift.mixShift)}</td>
+                <td>${drift.pValue < 0.001 ? '<0.001' : drift.pValue.toFixed(3)}</td>
+            `;
+            driftBody.appendChild(row);
+        });
+        
+        emAnalysis.payerLevels.forEach(cell => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${escapeHtml(cell.payer)}</td>
+                <td>${escapeHtml(cell.level)}</td>
+                <td>${formatNumber(cell.visits)}</td>
+                <td>${formatPercentage(cell.share)}</td>
+                <td>${formatCurrency(cell.payments)}</td>
+                <td>${cell.paymentPerVisit === null ? 'N/A' : formatCurrency(cell.paymentPerVisit)}</td>
+            `;
+            payerBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Update the lab utilization summary, attachment rate and below-baseline impact tables
+     * @param {Object} results - Analysis results
+     */
+    updateLabAnalysis(results) {
+        const section = document.getElementById('labAnalysisSection');
+        const rateBody = document.getElementById('labRateBody');
+        const impactBody = document.getElementById('labImpactBody');
+        const summary = document.getElementById('labAnalysisSummary');
+        if (!section || !rateBody || !impactBody) return;
+        
+        const labAnalysis = results.labAnalysis;
+        section.style.display = labAnalysis?.overall.visitsWithLabs > 0 ? 'block' : 'none';
+        rateBody.innerHTML = '';
+        impactBody.innerHTML = '';
+        if (!labAnalysis) return;
+        
+        const { correlation, paymentPerLabRate } = labAnalysis;
+        const below = labAnalysis.periods.filter(period => period.revenueImpact !== null);
+        
+        if (summary) {
+            summary.textContent = `Labs attached to ${formatPercentage(labAnalysis.overall.labRate)} of visits. ` +
+                (correlation.r === null ? '' : `Correlation with payment per visit: ${correlation.r.toFixed(2)} ` +
+                    `(p ${correlation.pValue < 0.001 ? '<0.001' : correlation.pValue.toFixed(3)}). `) +
+                (paymentPerLabRate.slope === null ? '' : `Within each payer, a 10-point rise in lab attachment goes with a ` +
+                    `${formatCurrency(paymentPerLabRate.slope / 10, 'USD', 2)} change in payment per visit. `) +
+                `${formatNumber(below.length)} periods fell below their trailing ${labAnalysis.baselinePeriods}-period lab rate, ` +
+                `an estimated ${formatCurrency(labAnalysis.totalImpact)} in payments.`;
+        }
+        
+        [['Payer', labAnalysis.payers], ['E&M Level', labAnalysis.levels]].forEach(([group, rows]) => {
+            rows.forEach(entry => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${group}</td>
+                    <td>${escapeHtml(entry.name)}</td>
+                    <td>${formatNumber(entry.visits)}</td>
+                    <td>${formatNumber(entry.visitsWithLabs)}</td>
+                    <td>${entry.labRate === null ? 'N/A' : formatPercentage(entry.labRate)}</td>
+                `;
+                rateBody.appendChild(row);
+            });
+        });
+        
+        below.slice().reverse().forEach(period => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${escapeHtml(period.periodLabel)}</td>
+                <td>${formatNumber(period.visits)}</td>
+                <td>${formatPercentage(period.labRate)}</td>
+                <td>${formatPercentage(period.baselineRate)}</td>
+                <td>${formatCurrency(period.revenueImpact)}</td>
+            `;
+            impactBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Fill the variance bridge period picker and show the latest period's bridge
+     * @param {Object} results - Analysis results
+     */
+    updateVarianceBridge(results) {
+        const section = document.getElementById('varianceBridgeSection');
+        const select = document.getElementById('varianceBridgePeriodSelect');
+        if (!section || !select) return;
+        
+        const periods = results.varianceBridge?.periods || [];
+        section.style.display = periods.length > 0 ? 'block' : 'none';
+        select.innerHTML = '';
+        if (periods.length === 0) return;
+        
+        [...periods].reverse().forEach(period => {
+            const option = document.createElement('option');
+            option.value = period.periodKey;
+            option.textContent = period.periodLabel;
+            select.appendChild(option);
+        });
+        this.showVarianceBridge(results, select.value);
+    }
+
+    /**
+     * Draw one period's variance bridge and summarize its largest effect
+     * @param {Object} results - Analysis results
+     * @param {string} periodKey - Period to show
+     */
+    showVarianceBridge(results, periodKey) {
+        const bridge = results.varianceBridge?.periods.find(period => period.periodKey === periodKey);
+        if (!bridge) return;
+        
+        const summary = document.getElementById('varianceBridgeSummary');
+        if (summary) {
+            const largest = Object.keys(BRIDGE_STEPS).reduce((best, step) =>
+                (!best || Math.abs(bridge[step]) > Math.abs(bridge[best]) ? step : best), null);
+            summary.textContent = `${bridge.periodLabel} vs ${bridge.baselineLabel}: payments ${formatCurrency(bridge.baseline)} → ` +
+                `${formatCurrency(bridge.actual)} (${bridge.actual >= bridge.baseline ? '+' : ''}${formatCurrency(bridge.actual - bridge.baseline)}). ` +
+                `Largest effect: ${BRIDGE_STEPS[largest]} ${formatCurrency(bridge[largest])}.`;
+        }
+        this.chartManager.generateVarianceBridgeChart(bridge);
+    }
+
+    /**
+     * Update the per-location roll-up table
+     * @param {Object} results - Analysis results
+     */
+    updateLocationComparison(results) {
+        const section = document.getElementById('locationComparisonSection');
+        const tableBody = document.getElementById('locationComparisonBody');
+        if (!section || !tableBody) return;
+        
+        const sites = results.locationComparison || [];
+        section.style.display = sites.length > 0 ? 'block' : 'none';
+        tableBody.innerHTML = '';
+        
+        sites.forEach(site => {
+            const row = document.createElement('tr');
+            if (site.location === results.location) {
+                row.classList.add('selected');
+            }
+            
+            const performanceClass = (site.latestPerformance || '').toLowerCase().replace(/\s+/g, '-');
+            
+            row.innerHTML = `
+                <td>${escapeHtml(site.location)}</td>
+                <td>${formatCurrency(site.totalPayments)}</td>
+                <td>${formatPercentage(site.shareOfPayments)}</td>
+                <td>${formatNumber(site.totalVisits)}</td>
+                <td>${formatCurrency(site.paymentPerVisit)}</td>
+                <td>${site.paymentPerVisitIndex === null ? 'N/A' : formatPercentage(site.paymentPerVisitIndex)}</td>
+                <td>${formatPercentage(site.collectionPct)}</td>
+                <td>${escapeHtml(site.bestModel || site.error)}</td>
+                <td>${site.accuracy === null ? 'N/A' : formatPercentage(site.accuracy)}</td>
+                <td>${site.overPerformed} / ${site.averagePerformance} / ${site.underPerformed}</td>
+                <td>${site.latestPerformance ? `<span class="performance-indicator ${performanceClass}">${site.latestPerformance}</span>` : 'N/A'}</td>
             `;
             
             tableBody.appendChild(row);
@@ -1077,6 +2033,25 @@ export class HealthcareRevenueApp {
         }
     }
 
+    /**
+     * Download the forecast table
+     * @param {string} format - 'csv' or 'xlsx'
+     */
+    exportForecast(format) {
+        if (!this.analysisResults?.forecast) {
+            this.uiManager.showStatus('No forecast to export. Please run analysis first.', 'warning');
+            return;
+        }
+        
+        try {
+            this.exportManager.exportForecast(this.analysisResults, format);
+            this.uiManager.showStatus(`✅ Forecast exported as ${format.toUpperCase()} successfully!`, 'success');
+        } catch (error) {
+            console.error(`❌ Forecast ${format.toUpperCase()} export failed:`, error);
+            this.uiManager.showStatus(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
     /**
      * Reset application to initial state
      */
@@ -1089,10 +2064,20 @@ export class HealthcareRevenueApp {
                 return;
             }
             
+            // Stop any parsing or analysis still running
+            this.analysisClient?.cancel();
+            
             // Clear application state
             this.currentData = null;
             this.analysisResults = null;
+            this.dataQualityReport = null;
             this.isProcessing = false;
+            this.populateLocationFilter([]);
+            
+            const dataQualityBtn = document.getElementById('dataQualityBtn');
+            if (dataQualityBtn) {
+                dataQualityBtn.disabled = true;
+            }
             
             // Reset UI components
             this.uiManager.reset();
@@ -1186,7 +2171,7 @@ export class HealthcareRevenueApp {
         if (error.message.includes('Missing required libraries')) {
             userMessage = 'Required libraries not loaded. Please refresh the page and try again.';
         } else if (error.message.includes('Invalid file type')) {
-            userMessage = 'Please upload a valid Excel file (.xlsx or .xls)';
+            userMessage = `Please upload a valid Excel or CSV file (${this.config.supportedFormats.join(', ')})`;
         } else if (error.message.includes('File size')) {
             userMessage = error.message;
         } else {
@@ -1258,22 +2243,26 @@ export class HealthcareRevenueApp {
     applyFilters(selectedWeeks, selectedPerformances) {
         if (!this.currentData || !this.analysisResults) return;
 
-        // Filter the data based on selected criteria
+        // Filter the data based on selected criteria, matching records to periods by period key
+        const { key: granularity, fiscalYearStartMonth } = this.analysisResults.granularity;
+        const periodKeyOf = (record) => record.weekStart ?
+            getPeriod(record.weekStart, granularity, fiscalYearStartMonth).periodKey : null;
         let filteredData = [...this.currentData];
         
         // Apply week filter if weeks are selected
         if (selectedWeeks.length > 0) {
             filteredData = filteredData.filter(record => 
-                selectedWeeks.includes(`${record.year}-${record.week}`)
+                selectedWeeks.includes(periodKeyOf(record))
             );
         }
         
         // Apply performance filter if performances are selected
         if (selectedPerformances.length > 0) {
-            filteredData = filteredData.filter(record => {
-                const performance = this.analyzer.calculatePerformance(record);
-                return selectedPerformances.includes(performance);
-            });
+            const diagnostics = new Map(this.analysisResults.performanceResults.map(period =>
+                [period.periodKey, period.performanceDiagnostic]));
+            filteredData = filteredData.filter(record =>
+                selectedPerformances.includes(diagnostics.get(periodKeyOf(record)))
+            );
         }
 
         // Update UI with filtered data
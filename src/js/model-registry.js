@@ -0,0 +1,213 @@
+// ============================================================================
+// Model Registry - Pluggable Payment Models
+// Every model is fitted on training periods and predicts total payments for any periods
+// ============================================================================
+
+import { PENALTIES, fitOLS, fitRegularized, predictLinear } from './regression.js';
+import { TIME_SERIES_MODELS, fitARIMA, fitHoltWinters, fitSeasonalNaive, forecastTimeSeries, forecastVariance } from './time-series.js';
+import { CUSTOM_MODELS } from './custom-models.js';
+
+/**
+ * A model definition is { name, fit(trainData, context) }. fit throws when the model
+ * cannot be fitted and otherwise returns { state, predict(rows), forecast?(horizon) }:
+ * - state: plain data describing the fit (reported in the results)
+ * - predict(rows): total payments for engineered periods, either the training
+ *   periods or new ones
+ * - forecast(horizon): optional { points, variances } for the periods after the
+ *   training data, for models that project from the payment history alone
+ *
+ * context: { seasonLength, regressionFeatures, payerFeatureKey(payer, metric) }
+ */
+export class ModelRegistry {
+    /**
+     * @param {Array<Object>} definitions - Model definitions, in reporting order
+     */
+    constructor(definitions = []) {
+        this.definitions = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Add a model
+     * @param {Object} definition - { name, fit }
+     * @returns {ModelRegistry} This registry, for chaining
+     */
+    register(definition) {
+        if (!definition?.name || typeof definition.fit !== 'function') {
+            throw new Error('A model needs a name and a fit(trainData, context) function');
+        }
+        if (this.definitions.has(definition.name)) {
+            throw new Error(`Model already registered: ${definition.name}`);
+        }
+        this.definitions.set(definition.name, definition);
+        return this;
+    }
+
+    /**
+     * Remove a model
+     * @param {string} name - Model name
+     * @returns {boolean} Whether the model was registered
+     */
+    unregister(name) {
+        return this.definitions.delete(name);
+    }
+
+    has(name) {
+        return this.definitions.has(name);
+    }
+
+    get names() {
+        return [...this.definitions.keys()];
+    }
+
+    /**
+     * Fit every registered model on the same training periods
+     * @param {Array<Object>} trainData - Engineered periods, oldest first
+     * @param {Object} context - Shared fitting context
+     * @returns {Object} Model name to fitted model, or null where it could not be fitted
+     */
+    fitAll(trainData, context) {
+        const fitted = {};
+        this.definitions.forEach((definition, name) => {
+            try {
+                fitted[name] = definition.fit(trainData, context);
+            } catch (error) {
+                console.warn(`⚠️ ${name} could not be fitted:`, error.message);
+                fitted[name] = null;
+            }
+        });
+        return fitted;
+    }
+}
+
+// ============================================================================
+// Built-in models
+// ============================================================================
+
+const mean = (values) => values.length > 0 ? values.reduce((sum, value) => sum + (value || 0), 0) / values.length : 0;
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0);
+
+/**
+ * Model whose prediction is a per-period formula of fitted constants
+ * @param {Object} state - Fitted constants
+ * @param {Function} formula - (row, state) => predicted payments
+ * @returns {Object} Fitted model
+ */
+function formulaModel(state, formula) {
+    return { state, predict: (rows) => rows.map(row => formula(row, state)) };
+}
+
+/**
+ * Each payer's payment per visit relative to the overall rate
+ * @param {Array<Object>} trainData - Training periods
+ * @returns {Object} Payer group to multiplier (1 when the payer has no training visits)
+ */
+function learnPayerMultipliers(trainData) {
+    const totalVisits = sum(trainData.map(w => w.totalVisitCount));
+    const overallRate = totalVisits > 0 ? sum(trainData.map(w => w.totalPayments)) / totalVisits : 0;
+    const payers = Object.keys(trainData[0]?.originalData.payerMetrics || {});
+
+    const multipliers = {};
+    payers.forEach(payer => {
+        const payments = sum(trainData.map(w => w.originalData.payerMetrics[payer]?.payments));
+        const visits = sum(trainData.map(w => w.originalData.payerMetrics[payer]?.visits));
+        multipliers[payer] = visits > 0 && overallRate > 0 ? (payments / visits) / overallRate : 1;
+    });
+    return multipliers;
+}
+
+/**
+ * Linear model fitted on the regression features
+ * @param {Object} model - Result of fitOLS or fitRegularized
+ * @returns {Object} Fitted model with the coefficients as its state
+ */
+function linearModel(model) {
+    return { state: model, predict: (rows) => rows.map(row => predictLinear(model, row)) };
+}
+
+/**
+ * Time-series model on the payment history. Training periods get their one-step-ahead
+ * fitted values; any other rows are taken as the consecutive periods after the history.
+ * @param {Function} fit - fitSeasonalNaive, fitHoltWinters or fitARIMA
+ * @returns {Function} fit(trainData, context) for a model definition
+ */
+function timeSeriesModel(fit) {
+    return (trainData, { seasonLength }) => {
+        const model = fit(trainData.map(w => w.totalPayments), seasonLength);
+        const trainIndex = new Map(trainData.map((week, i) => [week.periodKey, i]));
+        return {
+            state: model,
+            predict: (rows) => {
+                const future = forecastTimeSeries(model, rows.filter(row => !trainIndex.has(row.periodKey)).length);
+                let step = 0;
+                return rows.map(row => trainIndex.has(row.periodKey) ? model.fitted[trainIndex.get(row.periodKey)] : future[step++]);
+            },
+            forecast: (horizon) => ({ points: forecastTimeSeries(model, horizon), variances: forecastVariance(model, horizon) })
+        };
+    };
+}
+
+export const BUILT_IN_MODELS = [
+    {
+        name: 'Business Logic',
+        fit: (trainData) => formulaModel(
+            { avgCollectionRate: mean(trainData.map(w => w.weightedAvgCollectionPct)) },
+            (week, state) => week.totalChargeAmount * state.avgCollectionRate
+        )
+    },
+    {
+        name: 'Visit-Based',
+        fit: (trainData) => formulaModel(
+            { avgPaymentPerVisit: mean(trainData.map(w => w.avgPaymentPerVisit)) },
+            (week, state) => week.totalVisitCount * state.avgPaymentPerVisit
+        )
+    },
+    {
+        name: 'Multi-Factor',
+        fit: (trainData) => formulaModel(
+            { avgPaymentPerVisit: mean(trainData.map(w => w.avgPaymentPerVisit)) },
+            (week, state) => {
+                const chargeComponent = week.totalChargeAmount * week.weightedAvgCollectionPct * 0.6;
+                const visitComponent = week.totalVisitCount * state.avgPaymentPerVisit * 0.4;
+                return chargeComponent + visitComponent;
+            }
+        )
+    },
+    {
+        name: 'Payer-Weighted',
+        fit: (trainData, { payerFeatureKey }) => formulaModel(
+            { avgPaymentPerVisit: mean(trainData.map(w => w.avgPaymentPerVisit)), payerMultipliers: learnPayerMultipliers(trainData) },
+            (week, state) => {
+                const payerAdjustment = Object.entries(state.payerMultipliers).reduce((total, [payer, multiplier]) =>
+                    total + (week[payerFeatureKey(payer, 'VisitsPct')] || 0) * multiplier, 0);
+                return week.totalVisitCount * state.avgPaymentPerVisit * payerAdjustment;
+            }
+        )
+    },
+    {
+        name: 'OLS Regression',
+        fit: (trainData, { regressionFeatures }) => {
+            const model = fitOLS(trainData, regressionFeatures, 'totalPayments');
+            console.log(`📐 OLS regression: ${model.coefficients.length} features, R² ${model.rSquared.toFixed(3)}, ${model.dropped.length} dropped`);
+            return linearModel(model);
+        }
+    },
+    ...Object.entries(PENALTIES).map(([penalty, name]) => ({
+        name,
+        // Penalty strength is tuned on the training periods
+        fit: (trainData, { regressionFeatures }) => {
+            const model = fitRegularized(trainData, regressionFeatures, 'totalPayments', penalty);
+            const kept = model.coefficients.filter(c => c.selected).length;
+            console.log(`📐 ${name}: λ ${model.lambda.toPrecision(3)}, ${kept} of ${model.coefficients.length} features kept, CV MAE $${model.cvMAE.toFixed(0)}`);
+            return linearModel(model);
+        }
+    })),
+    { name: TIME_SERIES_MODELS.seasonalNaive, fit: timeSeriesModel(fitSeasonalNaive) },
+    { name: TIME_SERIES_MODELS.holtWinters, fit: timeSeriesModel(fitHoltWinters) },
+    { name: TIME_SERIES_MODELS.arima, fit: timeSeriesModel(fitARIMA) }
+];
+
+// Registry the analyzer uses by default: the built-in models followed by CUSTOM_MODELS.
+// Every thread builds its own copy, so modelRegistry.register() from page code never reaches
+// the analysis worker; add custom models to custom-models.js instead.
+export const modelRegistry = new ModelRegistry([...BUILT_IN_MODELS, ...CUSTOM_MODELS]);
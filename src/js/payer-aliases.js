@@ -0,0 +1,149 @@
+// ============================================================================
+// Payer Alias Registry - Canonical Payer Names and Financial Classes
+// Maps the spellings used by different exports onto one payer name
+// ============================================================================
+
+export const PAYER_ALIAS_STORAGE_KEY = 'rmt-payer-aliases';
+
+export const FINANCIAL_CLASSES = [
+    'Commercial',
+    'Medicare',
+    'Medicare Advantage',
+    'Medicaid',
+    'Self-Pay',
+    'Workers Comp',
+    'Other'
+];
+
+export class PayerAliasRegistry {
+    /**
+     * @param {Array<Object>} entries - [{ alias, canonical, financialClass }]; plain
+     *   objects so the registry can be rebuilt wherever the entries are passed
+     */
+    constructor(entries = []) {
+        this.setEntries(entries);
+    }
+
+    /**
+     * Load the registry saved in browser storage
+     * @param {Storage} storage - Storage to read (defaults to localStorage when available)
+     * @returns {PayerAliasRegistry} Saved registry, or an empty one
+     */
+    static load(storage = globalThis.localStorage) {
+        try {
+            const saved = storage?.getItem(PAYER_ALIAS_STORAGE_KEY);
+            return new PayerAliasRegistry(saved ? PayerAliasRegistry.parseJSON(saved) : []);
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable payer alias table:', error.message);
+            return new PayerAliasRegistry();
+        }
+    }
+
+    /**
+     * Parse an exported alias table
+     * @param {string} text - JSON text ({ entries: [...] } or a bare array)
+     * @returns {Array<Object>} Validated entries
+     */
+    static parseJSON(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Payer alias file is not valid JSON');
+        }
+
+        const entries = Array.isArray(parsed) ? parsed : parsed?.entries;
+        if (!Array.isArray(entries)) {
+            throw new Error('Payer alias file must contain an "entries" array');
+        }
+
+        entries.forEach((entry, index) => {
+            if (!entry || typeof entry.alias !== 'string' || typeof entry.canonical !== 'string' ||
+                !entry.alias.trim() || !entry.canonical.trim()) {
+                throw new Error(`Payer alias entry ${index + 1} needs an alias and a canonical name`);
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * Replace every entry, dropping blanks; later entries win for the same alias
+     * @param {Array<Object>} entries - [{ alias, canonical, financialClass }]
+     */
+    setEntries(entries) {
+        const byAlias = new Map();
+        entries.forEach(entry => {
+            const alias = String(entry.alias ?? '').trim();
+            const canonical = String(entry.canonical ?? '').trim();
+            if (!alias || !canonical) return;
+
+            byAlias.set(this.normalizeName(alias), {
+                alias,
+                canonical,
+                financialClass: entry.financialClass ? String(entry.financialClass).trim() : null
+            });
+        });
+
+        this.entries = Array.from(byAlias.values());
+        this.index = byAlias;
+
+        // Canonical names resolve to themselves, carrying the class of their aliases
+        this.canonicalIndex = new Map();
+        this.entries.forEach(entry => {
+            const key = this.normalizeName(entry.canonical);
+            if (!this.canonicalIndex.has(key) || entry.financialClass) {
+                this.canonicalIndex.set(key, entry);
+            }
+        });
+    }
+
+    /**
+     * Normalize a payer name for alias lookup
+     * @param {any} name - Payer cell
+     * @returns {string} Upper-case name with punctuation collapsed
+     */
+    normalizeName(name) {
+        return String(name ?? '')
+            .toUpperCase()
+            .replace(/&/g, ' AND ')
+            .replace(/[^A-Z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Resolve a payer name to its canonical name and financial class
+     * @param {any} payer - Payer as it appears in the export
+     * @returns {Object} { payer, financialClass } - unknown payers are returned unchanged
+     */
+    resolve(payer) {
+        const key = this.normalizeName(payer);
+        const entry = this.index.get(key);
+        if (entry) {
+            // Aliases without a class inherit the one set on any alias of the same payer
+            const financialClass = entry.financialClass ||
+                this.canonicalIndex.get(this.normalizeName(entry.canonical)).financialClass;
+            return { payer: entry.canonical, financialClass };
+        }
+
+        const canonical = this.canonicalIndex.get(key);
+        if (canonical) {
+            return { payer: canonical.canonical, financialClass: canonical.financialClass };
+        }
+
+        return { payer, financialClass: null };
+    }
+
+    has(payer) {
+        const key = this.normalizeName(payer);
+        return this.index.has(key) || this.canonicalIndex.has(key);
+    }
+
+    save(storage = globalThis.localStorage) {
+        storage?.setItem(PAYER_ALIAS_STORAGE_KEY, this.exportJSON());
+    }
+
+    exportJSON() {
+        return JSON.stringify({ version: 1, entries: this.entries }, null, 2);
+    }
+}
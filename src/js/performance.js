@@ -0,0 +1,133 @@
+// ============================================================================
+// Performance - Residual-Based Performance Classification
+// Flags periods whose payments fall outside the best model's expected error range
+// ============================================================================
+
+export const CLASSIFICATION_METHODS = {
+    interval: 'Prediction interval',
+    zscore: 'Residual z-score',
+    percent: 'Fixed percentage'
+};
+
+export const PERFORMANCE_LABELS = {
+    over: 'Over Performed',
+    average: 'Average Performance',
+    under: 'Under Performed'
+};
+
+// Out-of-sample residuals needed before interval bounds use their empirical quantiles
+const MIN_EMPIRICAL_RESIDUALS = 20;
+
+/**
+ * Describe the expected error band from the best model's backtest residuals
+ * (actual - predicted on the test folds). Interval bounds come from the residual
+ * quantiles when there are enough of them and from a normal approximation otherwise.
+ * @param {Array<number>} residuals - Out-of-sample residuals
+ * @param {Object} options - { method: 'interval'|'zscore'|'percent', level, zThreshold, percentThreshold }
+ * @returns {Object} { method, level, zThreshold, percentThreshold, residualCount, residualSD, source,
+ *   lowerOffset, upperOffset } - offsets are added to a prediction (null for the percent method)
+ */
+export function createClassifier(residuals, { method = 'interval', level = 80, zThreshold = 1.5, percentThreshold = 2.5 } = {}) {
+    if (!CLASSIFICATION_METHODS[method]) {
+        throw new Error(`Unknown classification method: ${method}`);
+    }
+
+    const finite = residuals.filter(value => isFinite(value));
+    const residualSD = finite.length > 0 ? Math.sqrt(finite.reduce((sum, e) => sum + e * e, 0) / finite.length) : 0;
+    const classifier = {
+        method, level, zThreshold, percentThreshold,
+        residualCount: finite.length,
+        residualSD,
+        source: 'percent',
+        lowerOffset: null,
+        upperOffset: null
+    };
+
+    if (method === 'interval' && finite.length >= MIN_EMPIRICAL_RESIDUALS) {
+        const tail = (1 - level / 100) / 2;
+        const sorted = [...finite].sort((a, b) => a - b);
+        return { ...classifier, source: 'empirical', lowerOffset: quantile(sorted, tail), upperOffset: quantile(sorted, 1 - tail) };
+    }
+    if (method !== 'percent') {
+        const z = method === 'interval' ? normalQuantile(0.5 + level / 200) : zThreshold;
+        return { ...classifier, source: 'normal', lowerOffset: -z * residualSD, upperOffset: z * residualSD };
+    }
+    return classifier;
+}
+
+/**
+ * Classify one period against its expected band
+ * @param {number} actual - Actual payments
+ * @param {number} predicted - Model prediction
+ * @param {Object} classifier - Result of createClassifier
+ * @returns {Object} { diagnostic, lowerBound, upperBound, zScore } - zScore is null without residual spread
+ */
+export function classifyResidual(actual, predicted, classifier) {
+    const zScore = classifier.residualSD > 0 ? (actual - predicted) / classifier.residualSD : null;
+    const [lowerBound, upperBound] = classifier.method === 'percent' ?
+        [predicted * (1 - classifier.percentThreshold / 100), predicted * (1 + classifier.percentThreshold / 100)] :
+        [predicted + classifier.lowerOffset, predicted + classifier.upperOffset];
+
+    let diagnostic = PERFORMANCE_LABELS.average;
+    if (isFinite(actual) && isFinite(predicted) && predicted !== 0) {
+        if (actual > upperBound) {
+            diagnostic = PERFORMANCE_LABELS.over;
+        } else if (actual < lowerBound) {
+            diagnostic = PERFORMANCE_LABELS.under;
+        }
+    }
+    return { diagnostic, lowerBound, upperBound, zScore };
+}
+
+/**
+ * Short description of the band, e.g. "outside the 80% prediction interval"
+ * @param {Object} classifier - Result of createClassifier
+ * @returns {string} Description
+ */
+export function describeClassifier(classifier) {
+    if (classifier.method === 'percent') {
+        return `more than ±${classifier.percentThreshold}% from the prediction`;
+    }
+    if (classifier.method === 'zscore') {
+        return `residual z-score beyond ±${classifier.zThreshold}`;
+    }
+    return `outside the ${classifier.level}% prediction interval (${classifier.source === 'empirical' ? 'backtest residual quantiles' : 'normal approximation'})`;
+}
+
+/**
+ * Linearly interpolated quantile of sorted values
+ * @param {Array<number>} sorted - Values, ascending
+ * @param {number} p - Probability in [0, 1]
+ * @returns {number} Quantile
+ */
+function quantile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Standard normal quantile (Acklam's rational approximation, relative error below 1.2e-9)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z with P(Z <= z) = p
+ */
+function normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+    if (p < 0.02425) {
+        return tail(Math.sqrt(-2 * Math.log(p)));
+    }
+    if (p > 1 - 0.02425) {
+        return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
@@ -0,0 +1,246 @@
+// ============================================================================
+// Periods - Calendar-Correct Week Handling
+// ISO week numbers, week-start dates and Excel date serials
+// ============================================================================
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Excel's serial day 0, once its fictitious 29 Feb 1900 is accounted for
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+// Serials outside this range (1927–2091) are not treated as dates
+const EXCEL_SERIAL_RANGE = [10000, 70000];
+
+/**
+ * Create a UTC midnight date
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {Date} UTC date
+ */
+export function toUTCDate(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+export function addDays(date, days) {
+    return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - UTC date
+ * @returns {string} ISO date
+ */
+export function formatISODate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * ISO-8601 week of a date (weeks start Monday; week 1 holds the first Thursday)
+ * @param {Date} date - UTC date
+ * @returns {Object} { year, week }
+ */
+export function getISOWeek(date) {
+    const day = date.getUTCDay() || 7;
+    const thursday = addDays(date, 4 - day);
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / MS_PER_DAY / 7) + 1;
+    return { year, week };
+}
+
+/**
+ * Number of ISO weeks in a year: 53 when the year starts on a Thursday,
+ * or on a Wednesday in a leap year
+ * @param {number} year - ISO year
+ * @returns {number} 52 or 53
+ */
+export function isoWeeksInYear(year) {
+    return getISOWeek(toUTCDate(year, 12, 28)).week;
+}
+
+/**
+ * Monday that starts an ISO week
+ * @param {number} year - ISO year
+ * @param {number} week - ISO week number
+ * @returns {Date} UTC date of the Monday
+ */
+export function isoWeekStart(year, week) {
+    const jan4 = toUTCDate(year, 1, 4);
+    const week1Monday = addDays(jan4, 1 - (jan4.getUTCDay() || 7));
+    return addDays(week1Monday, (week - 1) * 7);
+}
+
+export function excelSerialToDate(serial) {
+    return new Date(EXCEL_EPOCH + Math.round(serial) * MS_PER_DAY);
+}
+
+/**
+ * Read a date from a Date object, Excel serial or date string
+ * (YYYY-MM-DD, YYYY/MM/DD or US M/D/YYYY)
+ * @param {any} value - Cell value
+ * @returns {Date|null} UTC date, or null if the value is not a date
+ */
+export function parseDateValue(value) {
+    if (value instanceof Date) {
+        if (isNaN(value)) return null;
+        // Spreadsheet dates arrive as local midnight, give or take a few seconds
+        const shifted = new Date(value.getTime() + 12 * 60 * 60 * 1000);
+        return toUTCDate(shifted.getFullYear(), shifted.getMonth() + 1, shifted.getDate());
+    }
+
+    if (typeof value === 'number') {
+        return value >= EXCEL_SERIAL_RANGE[0] && value <= EXCEL_SERIAL_RANGE[1] ? excelSerialToDate(value) : null;
+    }
+
+    const text = String(value ?? '').trim();
+    const iso = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T\s].*)?$/);
+    const us = iso ? null : text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const parts = iso ? [iso[1], iso[2], iso[3]] : us ? [us[3], us[1], us[2]] : null;
+    if (!parts) return null;
+
+    const [year, month, day] = parts.map(Number);
+    const date = toUTCDate(year, month, day);
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Extract a week number from labels such as 5, "05", "W005", "Wk 5" or "Week 5"
+ * @param {any} value - Week cell
+ * @returns {number|null} Week number
+ */
+export function parseWeekNumber(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? value : null;
+    }
+
+    const text = String(value ?? '').trim().replace(/^(week|wk|w)\s*[-#.:]?\s*/i, '');
+    return /^0*\d{1,2}$/.test(text) ? parseInt(text, 10) : null;
+}
+
+/**
+ * Resolve a year/week pair into a calendar week. The week cell may be an ISO
+ * week number, "YYYY-Www", a week-start date or an Excel date serial.
+ * @param {any} year - Year cell (used with week numbers)
+ * @param {any} week - Week cell
+ * @returns {Object|null} { isoYear, isoWeek, weekStart: 'YYYY-MM-DD' }, or null if unrecognised
+ */
+export function resolveWeek(year, week) {
+    const isoMatch = String(week ?? '').trim().match(/^(\d{4})-?W(\d{1,2})$/i);
+    const weekNumber = isoMatch ? parseInt(isoMatch[2], 10) : parseWeekNumber(week);
+
+    if (weekNumber !== null && weekNumber <= 53) {
+        const yearMatch = isoMatch ? isoMatch[1] : String(year ?? '').match(/\d{4}/)?.[0];
+        if (!yearMatch) return null;
+
+        const isoYear = parseInt(yearMatch, 10);
+        if (weekNumber < 1 || weekNumber > isoWeeksInYear(isoYear)) return null;
+
+        return { isoYear, isoWeek: weekNumber, weekStart: formatISODate(isoWeekStart(isoYear, weekNumber)) };
+    }
+
+    const date = parseDateValue(week);
+    if (!date) return null;
+
+    // A Sunday-start week belongs to the ISO week holding most of its days
+    const { year: isoYear, week: isoWeek } = getISOWeek(addDays(date, 3));
+    return { isoYear, isoWeek, weekStart: formatISODate(date) };
+}
+
+// Reporting grains the analysis can aggregate to; periodsPerYear is the seasonal cycle length
+export const GRANULARITIES = {
+    week: { label: 'Weekly', unit: 'week', periodsPerYear: 52 },
+    month: { label: 'Monthly', unit: 'month', periodsPerYear: 12 },
+    quarter: { label: 'Quarterly', unit: 'quarter', periodsPerYear: 4 },
+    fiscalMonth: { label: 'Fiscal periods (monthly)', unit: 'fiscal period', periodsPerYear: 12 },
+    fiscalQuarter: { label: 'Fiscal quarters', unit: 'fiscal quarter', periodsPerYear: 4 }
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Map a week onto a reporting period. Weeks that straddle a month belong to
+ * the month holding most of their days; fiscal years are named for the
+ * calendar year they end in (FY2025 starts July 2024 when the year starts in July).
+ * @param {string} weekStart - Week start date (YYYY-MM-DD)
+ * @param {string} granularity - Key of GRANULARITIES
+ * @param {number} fiscalYearStartMonth - First month of the fiscal year (1-12)
+ * @returns {Object} { periodKey, periodLabel, periodStart, year } - year is the fiscal year for fiscal grains
+ */
+export function getPeriod(weekStart, granularity = 'week', fiscalYearStartMonth = 1) {
+    const start = new Date(`${weekStart}T00:00:00Z`);
+    const midweek = addDays(start, 3);
+
+    if (granularity === 'week') {
+        const { year, week } = getISOWeek(midweek);
+        const periodKey = `${year}-W${pad(week)}`;
+        return { periodKey, periodLabel: periodKey, periodStart: weekStart, year };
+    }
+
+    const year = midweek.getUTCFullYear();
+    const month = midweek.getUTCMonth() + 1;
+
+    if (granularity === 'month') {
+        return {
+            periodKey: `${year}-${pad(month)}`,
+            periodLabel: `${MONTH_NAMES[month - 1]} ${year}`,
+            periodStart: `${year}-${pad(month)}-01`,
+            year
+        };
+    }
+
+    if (granularity === 'quarter') {
+        const quarter = Math.ceil(month / 3);
+        return {
+            periodKey: `${year}-Q${quarter}`,
+            periodLabel: `Q${quarter} ${year}`,
+            periodStart: `${year}-${pad((quarter - 1) * 3 + 1)}-01`,
+            year
+        };
+    }
+
+    if (!GRANULARITIES[granularity]) {
+        throw new Error(`Unknown granularity: ${granularity}`);
+    }
+
+    const fiscalIndex = (month - fiscalYearStartMonth + 12) % 12;
+    const fiscalYear = fiscalYearStartMonth > 1 && month >= fiscalYearStartMonth ? year + 1 : year;
+
+    if (granularity === 'fiscalMonth') {
+        return {
+            periodKey: `FY${fiscalYear}-P${pad(fiscalIndex + 1)}`,
+            periodLabel: `FY${fiscalYear} P${pad(fiscalIndex + 1)}`,
+            periodStart: `${year}-${pad(month)}-01`,
+            year: fiscalYear
+        };
+    }
+
+    const fiscalQuarter = Math.floor(fiscalIndex / 3) + 1;
+    const startMonth = (fiscalYearStartMonth - 1 + (fiscalQuarter - 1) * 3) % 12 + 1;
+    const startYear = fiscalYearStartMonth > 1 && startMonth >= fiscalYearStartMonth ? fiscalYear - 1 : fiscalYear;
+    return {
+        periodKey: `FY${fiscalYear}-Q${fiscalQuarter}`,
+        periodLabel: `FY${fiscalYear} Q${fiscalQuarter}`,
+        periodStart: `${startYear}-${pad(startMonth)}-01`,
+        year: fiscalYear
+    };
+}
+
+/**
+ * Start date of the period a number of steps after another period
+ * @param {string} periodStart - Start of the current period (YYYY-MM-DD, from getPeriod)
+ * @param {string} granularity - Key of GRANULARITIES
+ * @param {number} steps - Periods to move forward
+ * @returns {string} Start date (YYYY-MM-DD) to pass back to getPeriod
+ */
+export function shiftPeriodStart(periodStart, granularity, steps = 1) {
+    const start = new Date(`${periodStart}T00:00:00Z`);
+    if (granularity === 'week') {
+        return formatISODate(addDays(start, 7 * steps));
+    }
+
+    const months = granularity === 'quarter' || granularity === 'fiscalQuarter' ? 3 : 1;
+    const shifted = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months * steps, 1));
+    return formatISODate(shifted);
+}
@@ -0,0 +1,464 @@
+// ============================================================================
+// Regression - Linear Models on Standardised Features
+// OLS with standard errors and p-values; ridge and lasso tuned by time-series CV
+// ============================================================================
+
+// A column whose residual (after the columns before it) keeps less than this
+// share of its variance is treated as collinear and left out of the fit
+const COLLINEARITY_TOLERANCE = 1e-8;
+
+export const PENALTIES = {
+    ridge: 'Ridge Regression',
+    lasso: 'Lasso Regression'
+};
+
+// Candidate penalty strengths tried by cross-validation
+const LAMBDA_GRID_SIZE = 20;
+
+// Fewest training rows that still leave room for time-series cross-validation
+const MIN_CV_ROWS = 8;
+
+/**
+ * Fit an OLS model. Features are standardised with the training means and
+ * standard deviations; constant and collinear features are dropped.
+ * @param {Array<Object>} rows - Training rows
+ * @param {Array<string>} featureKeys - Candidate feature names, in priority order
+ * @param {string} target - Target field
+ * @returns {Object} Plain-data model: { target, intercept, coefficients, dropped, n,
+ *   degreesOfFreedom, rSquared, adjustedRSquared, residualStdError }
+ */
+export function fitOLS(rows, featureKeys, target) {
+    const n = rows.length;
+    const y = rows.map(row => row[target] || 0);
+    const yMean = mean(y);
+    const { candidates, dropped } = standardizeFeatures(rows, featureKeys);
+
+    // Keep at least one residual degree of freedom and no exact linear dependencies
+    const selected = [];
+    const basis = [];
+    candidates.forEach(candidate => {
+        if (selected.length >= n - 2) {
+            dropped.push({ feature: candidate.feature, reason: 'too few periods' });
+            return;
+        }
+
+        const residual = orthogonalize(candidate.z, basis);
+        const share = dot(residual, residual) / dot(candidate.z, candidate.z);
+        if (share < COLLINEARITY_TOLERANCE) {
+            dropped.push({ feature: candidate.feature, reason: 'collinear' });
+            return;
+        }
+
+        basis.push(residual);
+        selected.push(candidate);
+    });
+
+    if (selected.length === 0) {
+        throw new Error('No usable features for the regression model');
+    }
+
+    // Solve the normal equations for the centred problem; the intercept is the mean of y
+    const k = selected.length;
+    const xtx = selected.map(a => selected.map(b => dot(a.z, b.z)));
+    const xty = selected.map(a => dot(a.z, y.map(value => value - yMean)));
+    const inverse = invertMatrix(xtx);
+    const beta = inverse.map(row => dot(row, xty));
+
+    const fitted = rows.map((row, i) => yMean + selected.reduce((sum, feature, j) => sum + beta[j] * feature.z[i], 0));
+    const residuals = y.map((value, i) => value - fitted[i]);
+    const rss = dot(residuals, residuals);
+    const tss = y.reduce((sum, value) => sum + (value - yMean) ** 2, 0);
+    const degreesOfFreedom = n - k - 1;
+    const sigma2 = rss / degreesOfFreedom;
+
+    const pValue = (tStat) => tStat === null ? null : studentTTwoTailed(tStat, degreesOfFreedom);
+
+    // Coefficient and standard error are per unit of the feature; the standardised
+    // coefficient is per standard deviation, for comparing features with each other
+    const coefficients = selected.map((feature, j) => {
+        const standardError = Math.sqrt(sigma2 * inverse[j][j]) / feature.sd;
+        const coefficient = beta[j] / feature.sd;
+        const tStat = standardError > 0 ? coefficient / standardError : null;
+        return {
+            feature: feature.feature,
+            mean: feature.mean,
+            sd: feature.sd,
+            coefficient,
+            standardError,
+            standardizedCoefficient: beta[j],
+            tStat,
+            pValue: pValue(tStat)
+        };
+    });
+
+    // Raw-scale intercept: ȳ − Σ βⱼ·meanⱼ/sdⱼ, whose variance adds the slopes' covariance
+    const shift = selected.map(feature => feature.mean / feature.sd);
+    const interceptCoefficient = yMean - dot(beta, shift);
+    const interceptError = Math.sqrt(sigma2 / n + sigma2 * dot(shift, inverse.map(row => dot(row, shift))));
+    const interceptT = interceptError > 0 ? interceptCoefficient / interceptError : null;
+
+    return {
+        target,
+        intercept: {
+            coefficient: interceptCoefficient,
+            standardError: interceptError,
+            tStat: interceptT,
+            pValue: pValue(interceptT)
+        },
+        coefficients,
+        dropped,
+        n,
+        degreesOfFreedom,
+        rSquared: tss > 0 ? 1 - rss / tss : 0,
+        adjustedRSquared: tss > 0 ? 1 - (rss / degreesOfFreedom) / (tss / (n - 1)) : 0,
+        residualStdError: Math.sqrt(sigma2)
+    };
+}
+
+/**
+ * Fit a ridge or lasso model, choosing the penalty strength by expanding-window
+ * cross-validation over the (chronologically ordered) rows
+ * @param {Array<Object>} rows - Training rows in time order
+ * @param {Array<string>} featureKeys - Candidate feature names
+ * @param {string} target - Target field
+ * @param {string} penalty - 'ridge' or 'lasso'
+ * @returns {Object} Plain-data model: { target, penalty, lambda, cvMAE, lambdaPath,
+ *   intercept, coefficients (with a `selected` flag), dropped, n }
+ */
+export function fitRegularized(rows, featureKeys, target, penalty) {
+    if (!PENALTIES[penalty]) {
+        throw new Error(`Unknown penalty: ${penalty}`);
+    }
+
+    const folds = timeSeriesFolds(rows.length);
+    if (rows.length < MIN_CV_ROWS || folds.length < 2) {
+        throw new Error(`At least ${MIN_CV_ROWS} training periods are needed to tune ${PENALTIES[penalty]}`);
+    }
+
+    const lambdas = lambdaGrid(rows, featureKeys, target, penalty);
+
+    // Score every lambda on each fold's next block of periods
+    const lambdaPath = lambdas.map(lambda => {
+        const errors = folds.flatMap(fold => {
+            const trainRows = rows.slice(...fold.train);
+            const model = fitPenalized(trainRows, featureKeys, target, penalty, lambda);
+            return rows.slice(...fold.test).map(row => Math.abs((row[target] || 0) - predictLinear(model, row)));
+        });
+        return { lambda, cvMAE: mean(errors) };
+    });
+
+    // Smallest error; ties go to the stronger penalty (the simpler model)
+    const best = lambdaPath.reduce((winner, point) => point.cvMAE < winner.cvMAE ? point : winner);
+    const model = fitPenalized(rows, featureKeys, target, penalty, best.lambda);
+
+    return { ...model, cvMAE: best.cvMAE, lambdaPath };
+}
+
+/**
+ * Expanding-window folds: train on everything before a block, validate on the block
+ * @param {number} n - Number of rows
+ * @param {number} maxFolds - Most folds to create
+ * @returns {Array<Object>} [{ train: [start, end], test: [start, end] }] as slice bounds
+ */
+export function timeSeriesFolds(n, maxFolds = 5) {
+    const initial = Math.max(Math.floor(n / 2), 3);
+    const count = Math.min(maxFolds, n - initial);
+    if (count < 1) return [];
+
+    const size = Math.floor((n - initial) / count);
+    return Array.from({ length: count }, (_, i) => {
+        const trainEnd = initial + i * size;
+        return { train: [0, trainEnd], test: [trainEnd, i === count - 1 ? n : trainEnd + size] };
+    });
+}
+
+/**
+ * Predict with a linear model from fitOLS or fitRegularized
+ * @param {Object} model - Fitted model
+ * @param {Object} row - Row holding the model's features
+ * @returns {number} Prediction
+ */
+export function predictLinear(model, row) {
+    return model.coefficients.reduce((sum, c) =>
+        sum + c.coefficient * (row[c.feature] || 0), model.intercept.coefficient);
+}
+
+/**
+ * Two-tailed p-value of a t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(|T| >= |t|)
+ */
+export function studentTTwoTailed(t, df) {
+    if (!isFinite(t)) return 0;
+    return regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Upper-tail p-value of a chi-square statistic
+ * @param {number} statistic - Chi-square statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(X >= statistic)
+ */
+export function chiSquareUpperTail(statistic, df) {
+    if (!(statistic > 0)) return 1;
+    if (!isFinite(statistic)) return 0;
+    return 1 - regularizedLowerGamma(df / 2, statistic / 2);
+}
+
+/**
+ * Invert a symmetric positive-definite matrix by Gauss-Jordan elimination
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @returns {Array<Array<number>>} Inverse
+ */
+export function invertMatrix(matrix) {
+    const size = matrix.length;
+    const augmented = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(augmented[row][col]) > Math.abs(augmented[pivot][col])) pivot = row;
+        }
+        if (augmented[pivot][col] === 0) {
+            throw new Error('Matrix is singular');
+        }
+        [augmented[col], augmented[pivot]] = [augmented[pivot], augmented[col]];
+
+        const divisor = augmented[col][col];
+        augmented[col] = augmented[col].map(value => value / divisor);
+
+        for (let row = 0; row < size; row++) {
+            if (row === col) continue;
+            const factor = augmented[row][col];
+            if (factor !== 0) {
+                augmented[row] = augmented[row].map((value, j) => value - factor * augmented[col][j]);
+            }
+        }
+    }
+
+    return augmented.map(row => row.slice(size));
+}
+
+/**
+ * Standardise candidate features with the rows' means and standard deviations
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<string>} featureKeys - Feature names
+ * @returns {Object} { candidates: [{ feature, mean, sd, z }], dropped } - constant features are dropped
+ */
+function standardizeFeatures(rows, featureKeys) {
+    const dropped = [];
+    const candidates = [];
+    featureKeys.forEach(feature => {
+        const values = rows.map(row => row[feature] || 0);
+        const featureMean = mean(values);
+        const sd = Math.sqrt(mean(values.map(value => (value - featureMean) ** 2)));
+        if (!(sd > 0)) {
+            dropped.push({ feature, reason: 'constant' });
+            return;
+        }
+        candidates.push({ feature, mean: featureMean, sd, z: values.map(value => (value - featureMean) / sd) });
+    });
+    return { candidates, dropped };
+}
+
+/**
+ * Fit ridge (closed form) or lasso (coordinate descent) at one penalty strength.
+ * Objective: (1/2n)·RSS + λ·Σ|βⱼ| for lasso and (1/2n)·RSS + (λ/2)·Σβⱼ² for ridge,
+ * on standardised features so λ means the same for every feature.
+ */
+function fitPenalized(rows, featureKeys, target, penalty, lambda) {
+    const n = rows.length;
+    const y = rows.map(row => row[target] || 0);
+    const yMean = mean(y);
+    const centered = y.map(value => value - yMean);
+    const { candidates, dropped } = standardizeFeatures(rows, featureKeys);
+
+    let beta;
+    if (candidates.length === 0) {
+        beta = [];
+    } else if (penalty === 'ridge') {
+        const xtx = candidates.map((a, i) => candidates.map((b, j) => dot(a.z, b.z) + (i === j ? n * lambda : 0)));
+        const xty = candidates.map(a => dot(a.z, centered));
+        beta = invertMatrix(xtx).map(row => dot(row, xty));
+    } else {
+        beta = coordinateDescent(candidates.map(c => c.z), centered, lambda);
+    }
+
+    const coefficients = candidates.map((feature, j) => ({
+        feature: feature.feature,
+        mean: feature.mean,
+        sd: feature.sd,
+        coefficient: beta[j] / feature.sd,
+        standardizedCoefficient: beta[j],
+        selected: beta[j] !== 0
+    }));
+
+    return {
+        target,
+        penalty,
+        lambda,
+        intercept: { coefficient: yMean - coefficients.reduce((sum, c) => sum + c.coefficient * c.mean, 0) },
+        coefficients,
+        dropped,
+        n
+    };
+}
+
+function coordinateDescent(columns, y, lambda, maxIterations = 1000) {
+    const n = y.length;
+    const beta = columns.map(() => 0);
+    const residual = [...y];
+    const tolerance = 1e-9 * Math.max(Math.sqrt(dot(y, y) / n), 1);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let largestChange = 0;
+
+        columns.forEach((z, j) => {
+            // Standardised columns have z·z = n, so the univariate update is a soft threshold
+            const rho = dot(z, residual) / n + beta[j];
+            const updated = Math.sign(rho) * Math.max(Math.abs(rho) - lambda, 0);
+            const change = updated - beta[j];
+            if (change !== 0) {
+                for (let i = 0; i < n; i++) residual[i] -= change * z[i];
+                beta[j] = updated;
+                largestChange = Math.max(largestChange, Math.abs(change));
+            }
+        });
+
+        if (largestChange < tolerance) break;
+    }
+
+    // Collinear columns can leave rounding residue where the exact solution is zero
+    return beta.map(value => Math.abs(value) < tolerance ? 0 : value);
+}
+
+/**
+ * Log-spaced penalty strengths, strongest first. Lasso starts at the smallest λ
+ * that zeroes every coefficient; ridge spans 10⁻³–10³ on the standardised scale.
+ */
+function lambdaGrid(rows, featureKeys, target, penalty) {
+    let high = 1e3;
+    let low = 1e-3;
+
+    if (penalty === 'lasso') {
+        const y = rows.map(row => row[target] || 0);
+        const yMean = mean(y);
+        const centered = y.map(value => value - yMean);
+        const { candidates } = standardizeFeatures(rows, featureKeys);
+        high = Math.max(...candidates.map(c => Math.abs(dot(c.z, centered)) / rows.length), 1e-6);
+        low = high * 1e-4;
+    }
+
+    const step = Math.log(high / low) / (LAMBDA_GRID_SIZE - 1);
+    return Array.from({ length: LAMBDA_GRID_SIZE }, (_, i) => high * Math.exp(-step * i));
+}
+
+function orthogonalize(vector, basis) {
+    return basis.reduce((residual, b) => {
+        const scale = dot(residual, b) / dot(b, b);
+        return residual.map((value, i) => value - scale * b[i]);
+    }, vector);
+}
+
+function dot(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.length; i++) total += a[i] * b[i];
+    return total;
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+    const g = [76.18009172947146, -86.50532032941678, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    g.forEach(coefficient => {
+        series += coefficient / ++y;
+    });
+    return -tmp + Math.log(2.5066282746310007 * series / x);
+}
+
+// I_x(a, b) via its continued fraction (Numerical Recipes betacf)
+function regularizedIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2) ?
+        front * betaContinuedFraction(x, a, b) / a :
+        1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let result = d;
+
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        result *= d * c;
+
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        result *= delta;
+        if (Math.abs(delta - 1) < 3e-14) break;
+    }
+
+    return result;
+}
+
+// P(a, x) via its series below a + 1 and its continued fraction above (Numerical Recipes gser/gcf)
+function regularizedLowerGamma(a, x) {
+    if (x <= 0) return 0;
+    const logFront = a * Math.log(x) - x - logGamma(a);
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let total = term;
+        for (let n = 1; n <= 500; n++) {
+            term *= x / (a + n);
+            total += term;
+            if (Math.abs(term) < Math.abs(total) * 3e-14) break;
+        }
+        return total * Math.exp(logFront);
+    }
+
+    const tiny = 1e-30;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let result = d;
+    for (let i = 1; i <= 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        result *= delta;
+        if (Math.abs(delta - 1) < 3e-14) break;
+    }
+    return 1 - Math.exp(logFront) * result;
+}
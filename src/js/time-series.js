@@ -0,0 +1,339 @@
+// ============================================================================
+// Time Series - Seasonal Forecasting Models on the Payment History
+// Seasonal naive, Holt-Winters exponential smoothing and (seasonal) ARIMA
+// ============================================================================
+
+import { invertMatrix } from './regression.js';
+
+// Model names as they appear in the model roster
+export const TIME_SERIES_MODELS = {
+    seasonalNaive: 'Seasonal Naive',
+    holtWinters: 'Holt-Winters',
+    arima: 'ARIMA'
+};
+
+// Smoothing weights tried when fitting Holt-Winters
+const LEVEL_WEIGHTS = [0.05, 0.2, 0.4, 0.6, 0.8];
+const TREND_WEIGHTS = [0.01, 0.05, 0.1, 0.2, 0.3];
+const SEASON_WEIGHTS = [0.05, 0.1, 0.2, 0.4, 0.6];
+
+// Largest autoregressive order tried for ARIMA
+const MAX_AR_ORDER = 3;
+
+/*
+ * Every fit takes the series oldest first and treats it as evenly spaced, so a
+ * missing week shifts the seasonal alignment by one. Each returns plain data with
+ * `fitted` one-step-ahead values for every period (periods before the model has
+ * enough history fall back to the same period one season earlier, and are null
+ * in the first season, which has no earlier history) and `sigma`, the standard
+ * deviation of its one-step errors.
+ */
+
+/**
+ * Seasonal naive: each period repeats the same period one season earlier
+ * @param {Array<number>} y - Series, oldest first
+ * @param {number} seasonLength - Periods per season (e.g. 52 for weeks)
+ * @returns {Object} { type, seasonLength, lastSeason, fitted, sigma }
+ */
+export function fitSeasonalNaive(y, seasonLength) {
+    if (y.length < seasonLength) {
+        throw new Error(`${TIME_SERIES_MODELS.seasonalNaive} needs a full season (${seasonLength} periods) of history`);
+    }
+
+    const fitted = naiveBackcast(y, seasonLength);
+    return {
+        type: 'seasonalNaive',
+        seasonLength,
+        lastSeason: y.slice(-seasonLength),
+        fitted,
+        sigma: residualSD(y.slice(seasonLength), fitted.slice(seasonLength))
+    };
+}
+
+/**
+ * Additive Holt-Winters with smoothing weights chosen by one-step squared error.
+ * With fewer than two seasons of history the seasonal term cannot be initialised
+ * and the model falls back to Holt's linear trend.
+ * @param {Array<number>} y - Series, oldest first
+ * @param {number} seasonLength - Periods per season
+ * @returns {Object} { type, seasonal, seasonLength, alpha, beta, gamma, level, trend, season, fitted, sigma }
+ */
+export function fitHoltWinters(y, seasonLength) {
+    if (y.length < 3) {
+        throw new Error(`${TIME_SERIES_MODELS.holtWinters} needs at least 3 periods of history`);
+    }
+
+    const seasonal = y.length >= 2 * seasonLength;
+    const gammas = seasonal ? SEASON_WEIGHTS : [0];
+    let best = null;
+
+    LEVEL_WEIGHTS.forEach(alpha => TREND_WEIGHTS.forEach(beta => gammas.forEach(gamma => {
+        const run = runHoltWinters(y, seasonal ? seasonLength : 1, alpha, beta, gamma, seasonal);
+        if (!best || run.sse < best.sse) {
+            best = { ...run, alpha, beta, gamma };
+        }
+    })));
+
+    return {
+        type: 'holtWinters',
+        seasonal,
+        seasonLength,
+        alpha: best.alpha,
+        beta: best.beta,
+        gamma: best.gamma,
+        level: best.level,
+        trend: best.trend,
+        season: best.season,
+        fitted: best.fitted,
+        sigma: residualSD(y, best.fitted)
+    };
+}
+
+/**
+ * ARIMA(p,d,0), seasonally differenced as SARIMA(p,d,0)(0,1,0) when there are three
+ * seasons of history. The AR terms are fitted by conditional least squares and the
+ * orders chosen by AIC over a common estimation sample.
+ * @param {Array<number>} y - Series, oldest first
+ * @param {number} seasonLength - Periods per season
+ * @returns {Object} { type, p, d, D, seasonLength, intercept, phi, aic, history, fitted, sigma }
+ */
+export function fitARIMA(y, seasonLength) {
+    const seasonalOptions = y.length >= 3 * seasonLength ? [0, 1] : [0];
+    const start = MAX_AR_ORDER + 1 + Math.max(...seasonalOptions) * seasonLength;
+    if (y.length - start < MAX_AR_ORDER + 4) {
+        throw new Error(`${TIME_SERIES_MODELS.arima} needs at least ${start + MAX_AR_ORDER + 4} periods of history`);
+    }
+
+    let best = null;
+    seasonalOptions.forEach(D => [0, 1].forEach(d => {
+        for (let p = 0; p <= MAX_AR_ORDER; p++) {
+            const candidate = fitAutoregression(y, { p, d, D, seasonLength }, start);
+            if (candidate && (!best || candidate.aic < best.aic)) {
+                best = candidate;
+            }
+        }
+    }));
+    if (!best) {
+        throw new Error(`${TIME_SERIES_MODELS.arima} could not be fitted`);
+    }
+
+    // Periods before the estimation sample repeat the previous season (null in the first season)
+    const backcast = naiveBackcast(y, seasonLength);
+    const fitted = y.map((_, t) => t < start ? backcast[t] : best.fitted[t - start]);
+
+    return {
+        type: 'arima',
+        p: best.p,
+        d: best.d,
+        D: best.D,
+        seasonLength,
+        intercept: best.intercept,
+        phi: best.phi,
+        aic: best.aic,
+        history: y.slice(y.length - (best.p + best.d + best.D * (seasonLength + 1))),
+        fitted,
+        sigma: residualSD(y.slice(start), best.fitted)
+    };
+}
+
+/**
+ * Point forecasts for the periods after the fitted series
+ * @param {Object} model - Result of fitSeasonalNaive, fitHoltWinters or fitARIMA
+ * @param {number} horizon - Periods to forecast
+ * @returns {Array<number>} Forecasts, nearest period first
+ */
+export function forecastTimeSeries(model, horizon) {
+    const steps = Array.from({ length: horizon }, (_, i) => i + 1);
+
+    if (model.type === 'seasonalNaive') {
+        return steps.map(h => model.lastSeason[(h - 1) % model.seasonLength]);
+    }
+
+    if (model.type === 'holtWinters') {
+        const m = model.season.length;
+        return steps.map(h => model.level + h * model.trend + (model.seasonal ? model.season[(h - 1) % m] : 0));
+    }
+
+    if (model.type === 'arima') {
+        const series = [...model.history];
+        steps.forEach(() => {
+            series.push(0);
+            const t = series.length - 1;
+            const w = differenced(series, model);
+            // The newest differenced value is y_t minus terms known from the past
+            const past = w[t];
+            const prediction = model.intercept + model.phi.reduce((sum, phi, i) => sum + phi * w[t - 1 - i], 0);
+            series[t] = prediction - past;
+        });
+        return series.slice(model.history.length);
+    }
+
+    throw new Error(`Unknown time-series model: ${model.type}`);
+}
+
+/**
+ * Forecast error variance at each horizon, assuming the one-step errors are
+ * independent with variance sigma². Holt-Winters uses the additive state-space
+ * result; ARIMA sums squared ψ-weights of the differenced AR polynomial.
+ * @param {Object} model - Result of fitSeasonalNaive, fitHoltWinters or fitARIMA
+ * @param {number} horizon - Periods to forecast
+ * @returns {Array<number>} Variances, nearest period first
+ */
+export function forecastVariance(model, horizon) {
+    const variance = model.sigma ** 2;
+    const steps = Array.from({ length: horizon }, (_, i) => i + 1);
+
+    if (model.type === 'seasonalNaive') {
+        // Each further season back repeats the same error again
+        return steps.map(h => variance * (Math.floor((h - 1) / model.seasonLength) + 1));
+    }
+
+    if (model.type === 'holtWinters') {
+        const m = model.season.length;
+        return steps.map(h => {
+            let sum = 1;
+            for (let j = 1; j < h; j++) {
+                const c = model.alpha * (1 + j * model.beta) + (model.seasonal && j % m === 0 ? model.gamma : 0);
+                sum += c * c;
+            }
+            return variance * sum;
+        });
+    }
+
+    if (model.type === 'arima') {
+        // φ*(B) = φ(B)(1 - B)^d(1 - B^m)^D, written as y_t = Σ φ*_i y_{t-i} + ...
+        let polynomial = [1, ...model.phi.map(phi => -phi)];
+        const multiply = (a, b) => {
+            const product = new Array(a.length + b.length - 1).fill(0);
+            a.forEach((x, i) => b.forEach((z, j) => { product[i + j] += x * z; }));
+            return product;
+        };
+        if (model.d) polynomial = multiply(polynomial, [1, -1]);
+        if (model.D) polynomial = multiply(polynomial, [1, ...new Array(model.seasonLength - 1).fill(0), -1]);
+        const ar = polynomial.slice(1).map(value => -value);
+
+        const psi = [1];
+        for (let j = 1; j < horizon; j++) {
+            psi.push(ar.slice(0, j).reduce((sum, coefficient, i) => sum + coefficient * psi[j - 1 - i], 0));
+        }
+        let cumulative = 0;
+        return psi.map(weight => {
+            cumulative += weight * weight;
+            return variance * cumulative;
+        });
+    }
+
+    throw new Error(`Unknown time-series model: ${model.type}`);
+}
+
+function runHoltWinters(y, m, alpha, beta, gamma, seasonal) {
+    let level;
+    let trend;
+    let season;
+
+    if (seasonal) {
+        // The first season's mean sits at its midpoint; step back to the period before it
+        const firstMean = mean(y.slice(0, m));
+        trend = (mean(y.slice(m, 2 * m)) - firstMean) / m;
+        season = y.slice(0, m).map((value, i) => value - (firstMean + (i - (m - 1) / 2) * trend));
+        level = firstMean - ((m + 1) / 2) * trend;
+    } else {
+        level = y[0];
+        trend = y[1] - y[0];
+        season = [0];
+        level -= trend;
+    }
+
+    const fitted = [];
+    let sse = 0;
+    y.forEach((value, t) => {
+        const s = seasonal ? season[t % m] : 0;
+        const prediction = level + trend + s;
+        fitted.push(prediction);
+        sse += (value - prediction) ** 2;
+
+        const previousLevel = level;
+        level = alpha * (value - s) + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        if (seasonal) {
+            season[t % m] = gamma * (value - level) + (1 - gamma) * s;
+        }
+    });
+
+    // Rotate so season[0] belongs to the first period after the series
+    const offset = y.length % m;
+    return { level, trend, season: [...season.slice(offset), ...season.slice(0, offset)], fitted, sse };
+}
+
+function fitAutoregression(y, order, start) {
+    const { p, d, D, seasonLength } = order;
+    const w = differenced(y, order);
+
+    const rows = [];
+    const targets = [];
+    for (let t = start; t < y.length; t++) {
+        rows.push([1, ...Array.from({ length: p }, (_, i) => w[t - 1 - i])]);
+        targets.push(w[t]);
+    }
+
+    let coefficients;
+    try {
+        const xtx = rows[0].map((_, i) => rows[0].map((_, j) => rows.reduce((sum, row) => sum + row[i] * row[j], 0)));
+        const xty = rows[0].map((_, i) => rows.reduce((sum, row, r) => sum + row[i] * targets[r], 0));
+        coefficients = invertMatrix(xtx).map(row => row.reduce((sum, value, j) => sum + value * xty[j], 0));
+    } catch (error) {
+        return null;
+    }
+
+    // Differencing is undone exactly, so one-step errors on w equal those on y
+    const residuals = rows.map((row, r) => targets[r] - row.reduce((sum, value, j) => sum + value * coefficients[j], 0));
+    const fitted = residuals.map((residual, r) => y[start + r] - residual);
+    const n = residuals.length;
+    const sse = residuals.reduce((sum, residual) => sum + residual * residual, 0);
+
+    return {
+        p,
+        d,
+        D,
+        seasonLength,
+        intercept: coefficients[0],
+        phi: coefficients.slice(1),
+        aic: n * Math.log(Math.max(sse, Number.MIN_VALUE) / n) + 2 * (p + 1),
+        fitted
+    };
+}
+
+/**
+ * Apply seasonal then regular differencing; positions without enough history are NaN
+ */
+function differenced(y, { d, D, seasonLength }) {
+    let series = y;
+    if (D) {
+        series = series.map((value, t) => t >= seasonLength ? value - series[t - seasonLength] : NaN);
+    }
+    if (d) {
+        series = series.map((value, t) => t >= 1 ? value - series[t - 1] : NaN);
+    }
+    return series;
+}
+
+/**
+ * Seasonal naive fitted values that only look back: the first season has no earlier
+ * period to repeat, so it is left unscored (null) rather than filled from later actuals
+ * @param {Array<number>} y - Series, oldest first
+ * @param {number} seasonLength - Periods per season
+ * @returns {Array<number|null>} Fitted values
+ */
+function naiveBackcast(y, seasonLength) {
+    return y.map((_, t) => t >= seasonLength ? y[t - seasonLength] : null);
+}
+
+function residualSD(actuals, fitted) {
+    if (actuals.length < 2) return 0;
+    const squares = actuals.map((value, i) => (value - fitted[i]) ** 2);
+    return Math.sqrt(squares.reduce((sum, value) => sum + value, 0) / (actuals.length - 1));
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
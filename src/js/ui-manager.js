@@ -3,6 +3,10 @@
 // Handles all user interface interactions and state management
 // ============================================================================
 
+import { escapeHtml } from './utils.js';
+import { MERGE_STRATEGIES } from './dataset-merger.js';
+import { FINANCIAL_CLASSES, PayerAliasRegistry } from './payer-aliases.js';
+
 export class UIManager {
     constructor() {
         this.loadingOverlay = null;
@@ -27,6 +31,7 @@ export class UIManager {
         this.fileInfo = document.getElementById('fileInfo');
         this.runAnalysisBtn = document.getElementById('runAnalysisBtn');
         this.progressContainer = document.getElementById('progressContainer');
+        this.modalOverlay = document.getElementById('modalOverlay');
         
         // Initialize custom selects
         this.initializeCustomSelects();
@@ -208,7 +213,12 @@ export class UIManager {
         window.consoleLog?.(message, type);
     }
 
-    showLoading(message = 'Processing...') {
+    /**
+     * Show the loading overlay
+     * @param {string} message - Loading message
+     * @param {Object} options - { onCancel } shows a Cancel button that calls onCancel
+     */
+    showLoading(message = 'Processing...', { onCancel = null } = {}) {
         if (this.loadingOverlay) {
             this.loadingOverlay.style.display = 'flex';
             
@@ -216,6 +226,16 @@ export class UIManager {
             if (loadingText) {
                 loadingText.textContent = message;
             }
+            
+            const cancelButton = this.loadingOverlay.querySelector('#loadingCancelBtn');
+            if (cancelButton) {
+                cancelButton.style.display = onCancel ? 'inline-flex' : 'none';
+                cancelButton.disabled = false;
+                cancelButton.onclick = onCancel ? () => {
+                    cancelButton.disabled = true;
+                    onCancel();
+                } : null;
+            }
         }
 
         // Show console if not visible
@@ -225,6 +245,12 @@ export class UIManager {
     hideLoading() {
         if (this.loadingOverlay) {
             this.loadingOverlay.style.display = 'none';
+            
+            const cancelButton = this.loadingOverlay.querySelector('#loadingCancelBtn');
+            if (cancelButton) {
+                cancelButton.style.display = 'none';
+                cancelButton.onclick = null;
+            }
         }
         
         // Hide progress bar
@@ -233,11 +259,16 @@ export class UIManager {
         }
     }
 
-    updateProgress(percentage) {
+    updateProgress(percentage, message = null) {
         if (this.progressBar && this.progressContainer) {
             this.progressContainer.style.display = 'block';
             this.progressBar.style.width = `${percentage}%`;
         }
+        
+        const loadingText = this.loadingOverlay?.querySelector('.loading-text');
+        if (message && loadingText) {
+            loadingText.textContent = `${message}... ${Math.round(percentage)}%`;
+        }
     }
 
     showFileInfo(fileName, stats) {
@@ -346,6 +377,551 @@ export class UIManager {
         }
     }
 
+    /**
+     * Open the shared modal dialog
+     * @param {Object} options - Dialog options
+     * @param {string} options.title - Dialog title
+     * @param {string|HTMLElement} options.body - Body markup or element
+     * @param {Array<Object>} options.actions - Footer buttons ({ label, value, className, icon, resolve }).
+     *   Buttons with `keepOpen` run `onClick` and leave the dialog open.
+     * @param {Function} options.onRender - Called with { body, buttons } once the dialog is shown
+     * @returns {Promise<any>} Resolves with the chosen action's value, or null when dismissed
+     */
+    openModal({ title, body, actions = [], onRender = null }) {
+        return new Promise((resolve) => {
+            if (!this.modalOverlay) {
+                resolve(null);
+                return;
+            }
+
+            const titleElement = this.modalOverlay.querySelector('#modalTitle');
+            const bodyElement = this.modalOverlay.querySelector('#modalBody');
+            const footerElement = this.modalOverlay.querySelector('#modalFooter');
+            const closeButton = this.modalOverlay.querySelector('#modalClose');
+
+            titleElement.textContent = title;
+            bodyElement.innerHTML = '';
+            if (typeof body === 'string') {
+                bodyElement.innerHTML = body;
+            } else if (body) {
+                bodyElement.appendChild(body);
+            }
+
+            const close = (value) => {
+                this.modalOverlay.style.display = 'none';
+                document.removeEventListener('keydown', onKeydown);
+                closeButton.onclick = null;
+                footerElement.innerHTML = '';
+                resolve(value);
+            };
+
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    close(null);
+                }
+            };
+
+            footerElement.innerHTML = '';
+            const buttons = {};
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `btn ${action.className || 'btn-secondary'}`;
+                button.innerHTML = `${action.icon ? `<i class="${action.icon}" aria-hidden="true"></i> ` : ''}${escapeHtml(action.label)}`;
+                button.addEventListener('click', () => {
+                    if (action.keepOpen) {
+                        action.onClick?.();
+                        return;
+                    }
+                    close(action.resolve ? action.resolve() : action.value);
+                });
+                footerElement.appendChild(button);
+                buttons[action.value ?? action.label] = button;
+            });
+
+            closeButton.onclick = () => close(null);
+            document.addEventListener('keydown', onKeydown);
+
+            this.modalOverlay.style.display = 'flex';
+            onRender?.({ body: bodyElement, buttons });
+        });
+    }
+
+    /**
+     * Let the user confirm or override the detected column mapping
+     * @param {Object} mapping - Mapping detected by ColumnMapper.detect
+     * @param {ColumnMapper} columnMapper - Mapper used to re-validate edits
+     * @param {string} sourceName - File (and sheet) the mapping belongs to
+     * @returns {Promise<Object|null>} Confirmed mapping, or null if cancelled
+     */
+    showColumnMappingWizard(mapping, columnMapper, sourceName = '') {
+        const columnOptions = mapping.headers
+            .map((header, index) => `<option value="${index}">${escapeHtml(header || `Column ${index + 1}`)}</option>`)
+            .join('');
+
+        const rows = columnMapper.fields.map(field => {
+            const source = mapping.sources[field.key];
+            const sourceLabel = source === 'header' ? 'Matched by header' :
+                source === 'position' ? 'Guessed from column position' : '';
+            
+            return `
+                <tr>
+                    <td>${escapeHtml(field.label)}${field.required ? ' <span class="mapping-required" title="Required">*</span>' : ''}</td>
+                    <td>
+                        <select data-field="${field.key}" aria-label="Column for ${escapeHtml(field.label)}">
+                            <option value="">— Not mapped —</option>
+                            ${columnOptions}
+                        </select>
+                    </td>
+                    <td><span class="mapping-source ${source || ''}">${sourceLabel}</span></td>
+                </tr>
+            `;
+        }).join('');
+
+        const body = `
+            <p class="modal-note">
+                ${sourceName ? `<strong>${escapeHtml(sourceName)}</strong> — ` : ''}
+                Header row ${mapping.headerRowIndex + 1}. Check each field is read from the right column before analysis runs.
+            </p>
+            <table class="data-table mapping-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Field</th>
+                        <th scope="col">Column</th>
+                        <th scope="col">Detected</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="modal-note" style="margin-top: 1rem;">
+                Unmapped columns:
+                <div class="mapping-unmapped" id="mappingUnmapped"></div>
+            </div>
+            <div class="modal-warning" id="mappingWarning"></div>
+        `;
+
+        let current = mapping;
+
+        return this.openModal({
+            title: 'Confirm Column Mapping',
+            body,
+            actions: [
+                { label: 'Cancel', value: null },
+                { label: 'Apply Mapping', value: 'apply', className: 'btn-primary', icon: 'fas fa-check', resolve: () => current }
+            ],
+            onRender: ({ body: bodyElement, buttons }) => {
+                const selects = bodyElement.querySelectorAll('select[data-field]');
+
+                const refresh = () => {
+                    const columns = {};
+                    selects.forEach(select => {
+                        if (select.value !== '') {
+                            columns[select.dataset.field] = Number(select.value);
+                        }
+                    });
+                    current = columnMapper.describe({ ...mapping, columns });
+
+                    bodyElement.querySelector('#mappingUnmapped').innerHTML = current.unmappedColumns.length > 0 ?
+                        current.unmappedColumns.map(column => `<span class="mapping-chip">${escapeHtml(column.header)}</span>`).join('') :
+                        '<span class="mapping-source">None</span>';
+
+                    const problems = [];
+                    if (current.missingRequired.length > 0) {
+                        problems.push(`Required fields not mapped: ${current.missingRequired.map(key => columnMapper.getField(key).label).join(', ')}`);
+                    }
+                    if (current.duplicateColumns.length > 0) {
+                        problems.push(`Columns used for more than one field: ${current.duplicateColumns.map(index => mapping.headers[index]).join(', ')}`);
+                    }
+                    bodyElement.querySelector('#mappingWarning').textContent = problems.join('. ');
+                    buttons.apply.disabled = !current.isComplete;
+                };
+
+                selects.forEach(select => {
+                    const index = mapping.columns[select.dataset.field];
+                    select.value = index === undefined ? '' : String(index);
+                    select.addEventListener('change', refresh);
+                });
+
+                refresh();
+            }
+        });
+    }
+
+    /**
+     * Let the user choose which sheets to import
+     * @param {Array<Object>} sheets - [{ source, fileName, sheetName, rows }]
+     * @returns {Promise<Array<number>|null>} Indices of the selected sheets, or null if cancelled
+     */
+    showSheetSelector(sheets) {
+        const rows = sheets.map((sheet, index) => `
+            <tr>
+                <td><input type="checkbox" id="sheet_${index}" value="${index}" checked></td>
+                <td><label for="sheet_${index}">${escapeHtml(sheet.fileName)}</label></td>
+                <td>${escapeHtml(sheet.sheetName)}</td>
+                <td>${this.formatNumber(Math.max(sheet.rows.length - 1, 0))}</td>
+            </tr>
+        `).join('');
+
+        const body = `
+            <p class="modal-note">Select the sheets to merge into one dataset. Rows are matched on year, week, location, payer and E&amp;M group.</p>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th scope="col"></th>
+                        <th scope="col">File</th>
+                        <th scope="col">Sheet</th>
+                        <th scope="col">Rows</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="modal-warning" id="sheetWarning"></div>
+        `;
+
+        let selected = sheets.map((sheet, index) => index);
+
+        return this.openModal({
+            title: 'Select Sheets',
+            body,
+            actions: [
+                { label: 'Cancel', value: null },
+                { label: 'Import Selected', value: 'import', className: 'btn-primary', icon: 'fas fa-file-import', resolve: () => selected }
+            ],
+            onRender: ({ body: bodyElement, buttons }) => {
+                const checkboxes = bodyElement.querySelectorAll('input[type="checkbox"]');
+                checkboxes.forEach(checkbox => {
+                    checkbox.addEventListener('change', () => {
+                        selected = Array.from(checkboxes)
+                            .filter(item => item.checked)
+                            .map(item => Number(item.value));
+                        buttons.import.disabled = selected.length === 0;
+                        bodyElement.querySelector('#sheetWarning').textContent =
+                            selected.length === 0 ? 'Select at least one sheet' : '';
+                    });
+                });
+            }
+        });
+    }
+
+    /**
+     * Report keys found more than once with different numbers and ask how to resolve them
+     * @param {Array<Object>} conflicts - Conflicts from DatasetMerger.merge
+     * @param {number} duplicateCount - Identical duplicates that were dropped
+     * @returns {Promise<string|null>} Chosen merge strategy, or null to cancel the import
+     */
+    showMergeConflicts(conflicts, duplicateCount = 0) {
+        const maxRows = 50;
+        const showLocation = conflicts.some(conflict => conflict.location);
+        const rows = conflicts.slice(0, maxRows).map(conflict => `
+            <tr>
+                <td>${escapeHtml(conflict.year)}-${escapeHtml(conflict.week)}</td>
+                ${showLocation ? `<td>${escapeHtml(conflict.location ?? '')}</td>` : ''}
+                <td>${escapeHtml(conflict.payer)}</td>
+                <td>${escapeHtml(conflict.emGroup)}</td>
+                <td>${conflict.sources.map(source => escapeHtml(source)).join('<br>')}</td>
+                <td>${conflict.differences.map(diff =>
+                    `${escapeHtml(diff.field)}: ${diff.values.map(value => escapeHtml(value)).join(' → ')}`
+                ).join('<br>')}</td>
+            </tr>
+        `).join('');
+
+        const body = `
+            <p class="modal-note">
+                ${this.formatNumber(conflicts.length)} key${conflicts.length === 1 ? '' : 's'} appear in more than one sheet with different numbers.
+                ${duplicateCount > 0 ? `${this.formatNumber(duplicateCount)} identical duplicate rows were removed.` : ''}
+                Choose how to resolve them. Use <strong>Sum values</strong> when each sheet holds a different clinic
+                and the files have no location column.
+            </p>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Week</th>
+                        ${showLocation ? '<th scope="col">Location</th>' : ''}
+                        <th scope="col">Payer</th>
+                        <th scope="col">E&amp;M Group</th>
+                        <th scope="col">Sources</th>
+                        <th scope="col">Differences</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${conflicts.length > maxRows ? `<p class="modal-note">Showing first ${maxRows} conflicts.</p>` : ''}
+        `;
+
+        return this.openModal({
+            title: 'Merge Conflicts',
+            body,
+            actions: [
+                { label: 'Cancel Import', value: null },
+                ...Object.entries(MERGE_STRATEGIES).map(([strategy, label]) => ({
+                    label,
+                    value: strategy,
+                    className: strategy === 'first' ? 'btn-primary' : 'btn-secondary'
+                }))
+            ]
+        });
+    }
+
+    /**
+     * Show the data quality report for a freshly loaded dataset
+     * @param {Object} report - Report from DataQualityChecker.assess
+     * @param {Object} options - { onDownload, reviewing } where `reviewing` offers
+     *   Cancel Import / Continue instead of a single Close button
+     * @returns {Promise<boolean>} True to continue, false to cancel the import
+     */
+    showDataQualityReport(report, { onDownload = null, reviewing = true } = {}) {
+        const { summary } = report;
+        const maxRows = 200;
+
+        const columnRows = report.columns
+            .filter(column => column.blank > 0 || column.coerced > 0)
+            .map(column => `
+                <tr>
+                    <td>${escapeHtml(column.label)}</td>
+                    <td>${this.formatNumber(column.blank)}</td>
+                    <td>${this.formatNumber(column.coerced)}</td>
+                </tr>
+            `).join('');
+
+        const missingWeeks = report.missingWeeks
+            .map(gap => `<span class="mapping-chip" title="Week starting ${escapeHtml(gap.weekStart)}">${escapeHtml(gap.year)} W${String(gap.week).padStart(2, '0')}</span>`)
+            .join('');
+
+        const showLocation = report.issues.some(issue => issue.location);
+        const issueRows = report.issues.slice(0, maxRows).map(issue => `
+            <tr>
+                <td><span class="quality-severity ${issue.severity}">${escapeHtml(issue.severity)}</span></td>
+                <td>${escapeHtml(issue.type)}</td>
+                <td>${escapeHtml(issue.source ?? '')}${issue.row ? ` (row ${issue.row})` : ''}</td>
+                <td>${escapeHtml(issue.year ?? '')}${issue.week !== null && issue.week !== undefined ? `-${escapeHtml(issue.week)}` : ''}</td>
+                ${showLocation ? `<td>${escapeHtml(issue.location ?? '')}</td>` : ''}
+                <td>${escapeHtml(issue.payer ?? '')}</td>
+                <td>${escapeHtml(issue.emGroup ?? '')}</td>
+                <td>${escapeHtml(issue.message)}</td>
+            </tr>
+        `).join('');
+
+        const body = `
+            <p class="modal-note">
+                ${this.formatNumber(summary.records)} records checked:
+                <span class="quality-severity error">${this.formatNumber(summary.errors)} errors</span>
+                <span class="quality-severity warning">${this.formatNumber(summary.warnings)} warnings</span>
+                <span class="quality-severity info">${this.formatNumber(summary.info)} notes</span>.
+                Collection % read as ${summary.collectionScale === 'percent' ? '0–100 and converted to 0–1' : '0–1'}.
+            </p>
+            ${columnRows ? `
+                <h4>Blank and coerced cells by column</h4>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Column</th>
+                            <th scope="col">Blank</th>
+                            <th scope="col">Coerced</th>
+                        </tr>
+                    </thead>
+                    <tbody>${columnRows}</tbody>
+                </table>` : ''}
+            ${missingWeeks ? `
+                <h4>Missing weeks</h4>
+                <div class="mapping-unmapped">${missingWeeks}</div>` : ''}
+            ${issueRows ? `
+                <h4>Issues</h4>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Severity</th>
+                            <th scope="col">Check</th>
+                            <th scope="col">Source</th>
+                            <th scope="col">Week</th>
+                            ${showLocation ? '<th scope="col">Location</th>' : ''}
+                            <th scope="col">Payer</th>
+                            <th scope="col">E&amp;M Group</th>
+                            <th scope="col">Detail</th>
+                        </tr>
+                    </thead>
+                    <tbody>${issueRows}</tbody>
+                </table>
+                ${report.issues.length > maxRows ? `<p class="modal-note">Showing first ${maxRows} of ${this.formatNumber(report.issues.length)} issues. Download the CSV for the full list.</p>` : ''}
+            ` : '<p class="modal-note">No issues found.</p>'}
+        `;
+
+        const download = {
+            label: 'Download CSV',
+            value: 'download',
+            icon: 'fas fa-download',
+            keepOpen: true,
+            onClick: () => onDownload?.(report)
+        };
+
+        const actions = reviewing ? [
+            { label: 'Cancel Import', value: false },
+            ...(onDownload ? [download] : []),
+            { label: 'Continue to Analysis', value: true, className: 'btn-primary', icon: 'fas fa-play' }
+        ] : [
+            ...(onDownload ? [download] : []),
+            { label: 'Close', value: true, className: 'btn-primary' }
+        ];
+
+        return this.openModal({ title: 'Data Quality Report', body, actions })
+            .then(result => reviewing ? result === true : true);
+    }
+
+    /**
+     * Edit the payer alias table
+     * @param {Array<Object>} entries - Current entries ({ alias, canonical, financialClass })
+     * @param {Object} options - { payers: payer names as they appear in the loaded data,
+     *   onExport: called with the edited entries }
+     * @returns {Promise<Array<Object>|null>} Edited entries, or null if cancelled
+     */
+    showPayerAliasEditor(entries, { payers = [], onExport = null } = {}) {
+        let rows = entries.map(entry => ({ ...entry }));
+        let bodyElement = null;
+
+        const classOptions = FINANCIAL_CLASSES
+            .map(financialClass => `<option value="${escapeHtml(financialClass)}">${escapeHtml(financialClass)}</option>`)
+            .join('');
+
+        const currentEntries = () => rows.filter(row => row.alias?.trim() && row.canonical?.trim());
+
+        // Refresh the canonical-name suggestions and the unaliased payer chips
+        const renderSuggestions = () => {
+            const canonicalNames = [...new Set([...rows.map(row => row.canonical), ...payers].filter(Boolean))];
+            bodyElement.querySelector('#aliasCanonicalOptions').innerHTML = canonicalNames
+                .map(name => `<option value="${escapeHtml(name)}"></option>`)
+                .join('');
+
+            // Payers in the loaded file that no alias or canonical name covers yet
+            const pending = new PayerAliasRegistry(currentEntries());
+            const unaliased = payers.filter(payer => !pending.has(payer));
+            bodyElement.querySelector('#aliasUnmapped').innerHTML = unaliased.length > 0 ?
+                unaliased.map(payer => `<button type="button" class="mapping-chip" data-add="${escapeHtml(payer)}" title="Add alias">${escapeHtml(payer)}</button>`).join('') :
+                '<span class="mapping-source">None</span>';
+        };
+
+        const render = () => {
+            bodyElement.querySelector('#aliasRows').innerHTML = rows.length > 0 ? rows.map((row, index) => `
+                <tr>
+                    <td><input type="text" class="settings-input" data-index="${index}" data-key="alias" value="${escapeHtml(row.alias)}" aria-label="Alias"></td>
+                    <td><input type="text" class="settings-input" data-index="${index}" data-key="canonical" value="${escapeHtml(row.canonical)}" list="aliasCanonicalOptions" aria-label="Canonical payer"></td>
+                    <td>
+                        <select class="settings-input" data-index="${index}" data-key="financialClass" aria-label="Financial class">
+                            <option value="">—</option>
+                            ${classOptions}
+                        </select>
+                    </td>
+                    <td><button type="button" class="btn btn-secondary" data-remove="${index}" aria-label="Remove alias"><i class="fas fa-trash" aria-hidden="true"></i></button></td>
+                </tr>
+            `).join('') : '<tr><td colspan="4" class="modal-note">No aliases yet.</td></tr>';
+
+            bodyElement.querySelectorAll('#aliasRows select').forEach(select => {
+                select.value = rows[select.dataset.index].financialClass || '';
+            });
+
+            renderSuggestions();
+        };
+
+        const body = `
+            <p class="modal-note">
+                Each alias is replaced by its canonical payer name while cleaning. Matching ignores case and punctuation,
+                so "BCBS-TX" and "bcbs tx" are the same alias. The table is saved in this browser.
+            </p>
+            <table class="data-table mapping-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Alias</th>
+                        <th scope="col">Canonical Payer</th>
+                        <th scope="col">Financial Class</th>
+                        <th scope="col"></th>
+                    </tr>
+                </thead>
+                <tbody id="aliasRows"></tbody>
+            </table>
+            <datalist id="aliasCanonicalOptions"></datalist>
+            <button type="button" class="btn btn-secondary" id="aliasAddRow" style="margin-top: 1rem;">
+                <i class="fas fa-plus" aria-hidden="true"></i> Add Alias
+            </button>
+            <input type="file" id="aliasImportInput" accept=".json,application/json" hidden>
+            <div class="modal-note" style="margin-top: 1rem;">
+                Payers in the loaded data without an alias:
+                <div class="mapping-unmapped" id="aliasUnmapped"></div>
+            </div>
+            <div class="modal-warning" id="aliasWarning"></div>
+        `;
+
+        return this.openModal({
+            title: 'Payer Aliases',
+            body,
+            actions: [
+                { label: 'Cancel', value: null },
+                {
+                    label: 'Import JSON',
+                    value: 'import',
+                    icon: 'fas fa-file-import',
+                    keepOpen: true,
+                    onClick: () => bodyElement.querySelector('#aliasImportInput').click()
+                },
+                ...(onExport ? [{
+                    label: 'Export JSON',
+                    value: 'export',
+                    icon: 'fas fa-download',
+                    keepOpen: true,
+                    onClick: () => onExport(currentEntries())
+                }] : []),
+                { label: 'Save Aliases', value: 'save', className: 'btn-primary', icon: 'fas fa-check', resolve: () => currentEntries() }
+            ],
+            onRender: ({ body }) => {
+                bodyElement = body;
+                const warning = body.querySelector('#aliasWarning');
+
+                body.addEventListener('input', (e) => {
+                    const { index, key } = e.target.dataset;
+                    if (index !== undefined && key) {
+                        rows[index][key] = e.target.value;
+                    }
+                });
+
+                body.addEventListener('change', (e) => {
+                    if (e.target.dataset.index !== undefined) {
+                        renderSuggestions();
+                    }
+                });
+
+                body.addEventListener('click', (e) => {
+                    const remove = e.target.closest('[data-remove]');
+                    const add = e.target.closest('[data-add]');
+                    if (remove) {
+                        rows.splice(Number(remove.dataset.remove), 1);
+                        render();
+                    } else if (add) {
+                        rows.push({ alias: add.dataset.add, canonical: '', financialClass: '' });
+                        render();
+                    }
+                });
+
+                body.querySelector('#aliasAddRow').addEventListener('click', () => {
+                    rows.push({ alias: '', canonical: '', financialClass: '' });
+                    render();
+                });
+
+                body.querySelector('#aliasImportInput').addEventListener('change', async (e) => {
+                    const file = e.target.files[0];
+                    e.target.value = '';
+                    if (!file) return;
+
+                    try {
+                        rows = PayerAliasRegistry.parseJSON(await file.text()).map(entry => ({ ...entry }));
+                        warning.textContent = '';
+                        render();
+                    } catch (error) {
+                        warning.textContent = error.message;
+                    }
+                });
+
+                render();
+            }
+        });
+    }
+
     showAnalysisResults(results) {
         // Show the analysis container
         const analysisContainer = document.getElementById('analysisContainer');
@@ -445,23 +1021,6 @@ export class UIManager {
         return 'under';
     }
 
-    formatCurrency(value) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(value);
-    }
-
-    formatPercentage(value) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'percent',
-            minimumFractionDigits: 1,
-            maximumFractionDigits: 1
-        }).format(value);
-    }
-
     enableAnalysisButton() {
         if (this.runAnalysisBtn) {
             this.runAnalysisBtn.disabled = false;
@@ -477,7 +1036,7 @@ export class UIManager {
             this.runAnalysisBtn.disabled = true;
             this.runAnalysisBtn.innerHTML = `
                 <i class="fas fa-upload"></i>
-                Upload Excel File First
+                Upload Data File First
             `;
         }
     }
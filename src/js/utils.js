@@ -199,6 +199,24 @@ export function isEmpty(value) {
     return false;
 }
 
+/**
+ * Escape a value for safe insertion into HTML markup
+ * @param {any} value - Value to escape
+ * @returns {string} HTML-escaped string
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -235,6 +253,34 @@ export function isExcelFile(file) {
     return validTypes.includes(file.type) || validExtensions.includes(extension);
 }
 
+/**
+ * Check if file is a delimited text export (CSV, TSV)
+ * @param {File} file - File object
+ * @returns {boolean} True if CSV/TSV file
+ */
+export function isDelimitedFile(file) {
+    const validTypes = [
+        'text/csv',
+        'text/tab-separated-values',
+        'application/csv',
+        'text/plain'
+    ];
+    
+    const validExtensions = ['csv', 'tsv', 'txt'];
+    const extension = getFileExtension(file.name);
+    
+    return validExtensions.includes(extension) || (extension === '' && validTypes.includes(file.type));
+}
+
+/**
+ * Check if file is in a format the analyzer can ingest
+ * @param {File} file - File object
+ * @returns {boolean} True if Excel or delimited file
+ */
+export function isSupportedDataFile(file) {
+    return isExcelFile(file) || isDelimitedFile(file);
+}
+
 /**
  * Format file size in human readable format
  * @param {number} bytes - File size in bytes
@@ -264,9 +310,10 @@ export function sleep(ms) {
  * @param {Function} fn - Function to retry
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} baseDelay - Base delay in milliseconds
+ * @param {Function} shouldRetry - Returns false for errors that must not be retried
  * @returns {Promise} Promise that resolves with function result
  */
-export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) {
     let lastError;
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -275,7 +322,7 @@ export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
         } catch (error) {
             lastError = error;
             
-            if (attempt === maxRetries) {
+            if (attempt === maxRetries || !shouldRetry(error)) {
                 throw lastError;
             }
             
@@ -0,0 +1,183 @@
+// ============================================================================
+// Variance Bridge - Volume / Payer Mix / E&M Mix / Rate Decomposition
+// Splits the change in payments between a baseline and a period into additive effects
+// ============================================================================
+
+import { BASELINE_WINDOWS, selectBaselineWindow } from './baselines.js';
+
+// Baselines only look back, so a period's bridge never depends on later periods
+export const VARIANCE_BASELINES = {
+    prior: 'Previous period',
+    trailing4: BASELINE_WINDOWS.trailing4,
+    trailing13: BASELINE_WINDOWS.trailing13,
+    trailing52: BASELINE_WINDOWS.trailing52,
+    lastYear: BASELINE_WINDOWS.lastYear
+};
+
+// Bridge steps between the baseline and the actual payments, in waterfall order
+export const BRIDGE_STEPS = {
+    volume: 'Volume',
+    payerMix: 'Payer Mix',
+    emMix: 'E&M Mix',
+    rate: 'Rate',
+    other: 'Other'
+};
+
+/**
+ * Visits and payments of each payer and E&M group
+ * @param {Array<Object>} records - Cleaned records of one or more periods
+ * @param {Function} payerOf - record => payer group name
+ * @returns {Object} { payments, cells: { payer: { emGroup: { visits, payments } } } }
+ */
+export function buildMixCells(records, payerOf) {
+    const cells = {};
+    let payments = 0;
+    records.forEach(record => {
+        const payer = payerOf(record);
+        const em = String(record.emGroup ?? 'Unknown');
+        cells[payer] = cells[payer] || {};
+        cells[payer][em] = cells[payer][em] || { visits: 0, payments: 0 };
+        cells[payer][em].visits += record.visitCount || 0;
+        cells[payer][em].payments += record.totalPayments || 0;
+        payments += record.totalPayments || 0;
+    });
+    return { payments, cells };
+}
+
+/**
+ * Average period of several mix tables (visits and payments per cell divided by the number of periods)
+ * @param {Array<Object>} tables - Results of buildMixCells, one per period
+ * @returns {Object} Mix table of the average period
+ */
+export function averageMixCells(tables) {
+    const cells = {};
+    tables.forEach(table => {
+        Object.entries(table.cells).forEach(([payer, groups]) => {
+            cells[payer] = cells[payer] || {};
+            Object.entries(groups).forEach(([em, cell]) => {
+                cells[payer][em] = cells[payer][em] || { visits: 0, payments: 0 };
+                cells[payer][em].visits += cell.visits / tables.length;
+                cells[payer][em].payments += cell.payments / tables.length;
+            });
+        });
+    });
+    return { payments: tables.reduce((sum, table) => sum + table.payments, 0) / tables.length, cells };
+}
+
+/**
+ * Periods a period is compared against; the trailing and last-year bases are the baseline
+ * windows of baselines.js, and several periods are compared as their average period
+ * @param {Array<Object>} periods - Aggregated periods, oldest first
+ * @param {number} index - Position of the period being explained
+ * @param {string} basis - Key of VARIANCE_BASELINES
+ * @param {string} granularity - Key of GRANULARITIES, which sets how many periods a trailing window spans
+ * @returns {Object|null} { label, periods }, or null when the period has no baseline (e.g. the first period)
+ */
+export function selectBaselinePeriods(periods, index, basis, granularity = 'week') {
+    if (basis === 'prior') {
+        return index > 0 ? { label: periods[index - 1].periodLabel, periods: [periods[index - 1]] } : null;
+    }
+    if (!VARIANCE_BASELINES[basis]) {
+        throw new Error(`Unknown variance baseline: ${basis}`);
+    }
+    const reference = selectBaselineWindow(periods, index, { window: basis, granularity });
+    if (!reference) return null;
+    return { label: reference.periods.length > 1 ? `Average of ${reference.label}` : reference.label, periods: reference.periods };
+}
+
+/**
+ * Sequential decomposition of actual minus baseline payments. Starting from the baseline,
+ * total visits, then each payer's share of visits, then the E&M mix within each payer and
+ * finally the payment per visit of every payer and E&M cell are switched to their actual
+ * values; each switch is one effect. Payments on cells without visits are reported as Other,
+ * so the effects always add up to the difference.
+ * @param {Object} actual - Mix table of the period (see buildMixCells)
+ * @param {Object} baseline - Mix table of the baseline
+ * @returns {Object} { baseline, volume, payerMix, emMix, rate, other, actual } in dollars
+ */
+export function decomposeVariance(actual, baseline) {
+    const a = summarizeCells(actual.cells);
+    const b = summarizeCells(baseline.cells);
+    const baselineRate = b.visits > 0 ? b.visitPayments / b.visits : 0;
+
+    // Baseline E&M mix and payment per visit, falling back to the payer (then overall) rate for
+    // cells the baseline never saw, and to the actual E&M mix for payers it never saw
+    const baselineMix = (payer, em) => b.payers[payer]?.visits > 0 ?
+        (baseline.cells[payer][em]?.visits || 0) / b.payers[payer].visits : a.payers[payer].mix[em];
+    const baselineCellRate = (payer, em) => {
+        const cell = baseline.cells[payer]?.[em];
+        if (cell?.visits > 0) return cell.payments / cell.visits;
+        return b.payers[payer]?.visits > 0 ? b.payers[payer].payments / b.payers[payer].visits : baselineRate;
+    };
+    // Payment per visit with the actual payer shares and the given E&M mix and cell rates
+    const rateAt = (mixOf, rateOf) => Object.entries(a.payers).reduce((sum, [payer, totals]) => {
+        const groups = new Set([...Object.keys(actual.cells[payer]), ...Object.keys(baseline.cells[payer] || {})]);
+        return sum + totals.share * [...groups].reduce((payerSum, em) => payerSum + (mixOf(payer, em) || 0) * rateOf(payer, em), 0);
+    }, 0);
+
+    const atVolume = a.visits * baselineRate;
+    const atPayerMix = a.visits * rateAt(baselineMix, baselineCellRate);
+    const atEmMix = a.visits * rateAt((payer, em) => a.payers[payer].mix[em], baselineCellRate);
+
+    return {
+        baseline: baseline.payments,
+        volume: atVolume - b.visitPayments,
+        payerMix: atPayerMix - atVolume,
+        emMix: atEmMix - atPayerMix,
+        rate: a.visitPayments - atEmMix,
+        other: (actual.payments - a.visitPayments) - (baseline.payments - b.visitPayments),
+        actual: actual.payments
+    };
+}
+
+/**
+ * Variance bridge of every period against its baseline
+ * @param {Array<Object>} periods - Aggregated periods with their detail records, oldest first
+ * @param {Object} options - { basis: key of VARIANCE_BASELINES, granularity, payerOf: record => payer group name }
+ * @returns {Array<Object>} [{ periodKey, periodLabel, baselineLabel, baseline, volume, payerMix, emMix, rate, other, actual }]
+ *   for the periods that have a baseline
+ */
+export function buildVarianceBridge(periods, { basis = 'prior', granularity = 'week', payerOf }) {
+    const tables = periods.map(period => buildMixCells(period.detailRecords || [], payerOf));
+    const position = new Map(periods.map((period, i) => [period, i]));
+
+    return periods.flatMap((period, i) => {
+        const reference = selectBaselinePeriods(periods, i, basis, granularity);
+        if (!reference || reference.periods.length === 0) return [];
+        const baseline = averageMixCells(reference.periods.map(p => tables[position.get(p)]));
+        return [{
+            periodKey: period.periodKey,
+            periodLabel: period.periodLabel,
+            baselineLabel: reference.label,
+            ...decomposeVariance(tables[i], baseline)
+        }];
+    });
+}
+
+/**
+ * Visit totals, payer shares and E&M mix within each payer
+ * @param {Object} cells - payer -> emGroup -> { visits, payments }
+ * @returns {Object} { visits, visitPayments, payers: { payer: { visits, payments, share, mix: { emGroup: share } } } } -
+ *   visitPayments only counts cells with visits
+ */
+function summarizeCells(cells) {
+    const payers = {};
+    let visits = 0;
+    let visitPayments = 0;
+    Object.entries(cells).forEach(([payer, groups]) => {
+        const withVisits = Object.values(groups).filter(cell => cell.visits > 0);
+        const payerVisits = withVisits.reduce((sum, cell) => sum + cell.visits, 0);
+        const payerPayments = withVisits.reduce((sum, cell) => sum + cell.payments, 0);
+        payers[payer] = {
+            visits: payerVisits,
+            payments: payerPayments,
+            mix: Object.fromEntries(Object.entries(groups).map(([em, cell]) => [em, payerVisits > 0 ? cell.visits / payerVisits : 0]))
+        };
+        visits += payerVisits;
+        visitPayments += payerPayments;
+    });
+    Object.values(payers).forEach(payer => {
+        payer.share = visits > 0 ? payer.visits / visits : 0;
+    });
+    return { visits, visitPayments, payers };
+}
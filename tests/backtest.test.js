@@ -0,0 +1,76 @@
+// ============================================================================
+// Backtest - Rolling-Origin Time-Series Cross-Validation
+// ============================================================================
+
+import { createBacktestFolds, createValidationSplit, summarizeBacktest } from '../src/js/backtest.js';
+
+describe('createBacktestFolds', () => {
+    test('expanding folds train from the start and tile the end of the series', () => {
+        const plan = createBacktestFolds(20, { window: 'expanding', folds: 3, horizon: 4 });
+        expect(plan).toEqual({
+            window: 'expanding',
+            folds: 2,
+            horizon: 4,
+            splits: [
+                { fold: 1, train: [0, 12], test: [12, 16] },
+                { fold: 2, train: [0, 16], test: [16, 20] }
+            ]
+        });
+    });
+
+    test('sliding folds keep the training window the same length', () => {
+        const plan = createBacktestFolds(20, { window: 'sliding', folds: 2, horizon: 4 });
+        expect(plan.splits.map(split => split.train)).toEqual([[0, 12], [4, 16]]);
+    });
+
+    test('every fold trains only on periods before its test block', () => {
+        const plan = createBacktestFolds(52, { folds: 5, horizon: 4 });
+        expect(plan.folds).toBe(5);
+        plan.splits.forEach(split => {
+            expect(split.train[1]).toBe(split.test[0]);
+            expect(split.train[1] - split.train[0]).toBeGreaterThanOrEqual(26);
+        });
+        expect(plan.splits[plan.splits.length - 1].test[1]).toBe(52);
+    });
+
+    test('the horizon shrinks to fit a short series', () => {
+        const plan = createBacktestFolds(6, { folds: 5, horizon: 4 });
+        expect(plan.horizon).toBe(3);
+        expect(plan.splits).toEqual([{ fold: 1, train: [0, 3], test: [3, 6] }]);
+    });
+
+    test('too-short series and unknown windows are rejected', () => {
+        expect(() => createBacktestFolds(3)).toThrow('At least 4 periods');
+        expect(() => createBacktestFolds(20, { window: 'blocked' })).toThrow('Unknown backtest window');
+    });
+});
+
+describe('createValidationSplit', () => {
+    test('holds out the block before the first fold', () => {
+        const plan = createBacktestFolds(20, { folds: 2, horizon: 4 });
+        expect(createValidationSplit(plan)).toEqual({ train: [0, 8], test: [8, 12] });
+    });
+
+    test('returns null when the first training window is too short to split', () => {
+        expect(createValidationSplit(createBacktestFolds(8, { folds: 1, horizon: 4 }))).toBeNull();
+    });
+});
+
+describe('summarizeBacktest', () => {
+    test('averages fold metrics and ranks models scored on every fold by MAE', () => {
+        const summary = summarizeBacktest([
+            { fold: 1, results: [
+                { modelName: 'A', mae: 10, rmse: 12, mape: 0.1, rSquared: 0.5 },
+                { modelName: 'B', mae: 6, rmse: 8, mape: 0.05, rSquared: null },
+                { modelName: 'C', mae: 1, rmse: 1, mape: 0.01, rSquared: 0.9 }
+            ] },
+            { fold: 2, results: [
+                { modelName: 'A', mae: 14, rmse: 16, mape: 0.2, rSquared: 0.7 },
+                { modelName: 'B', mae: 12, rmse: 14, mape: 0.15, rSquared: 0.4 }
+            ] }
+        ]);
+        expect(summary.map(model => model.modelName)).toEqual(['B', 'A', 'C']);
+        expect(summary[0]).toEqual({ modelName: 'B', folds: 2, mae: 9, rmse: 11, mape: 0.1, rSquared: 0.4, ranked: true });
+        expect(summary[2].ranked).toBe(false);
+    });
+});
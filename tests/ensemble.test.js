@@ -0,0 +1,88 @@
+// ============================================================================
+// Ensemble - Stacked Blend of the Candidate Models
+// ============================================================================
+
+import {
+    addValidationBlock,
+    blendPredictions,
+    createEnsembleModel,
+    createValidationSet,
+    learnBlendWeights
+} from '../src/js/ensemble.js';
+
+const sum = (weights) => Object.values(weights).reduce((total, weight) => total + weight, 0);
+
+describe('validation set', () => {
+    test('models missing from a block get null predictions there', () => {
+        const validation = createValidationSet();
+        addValidationBlock(validation, [10, 20], [{ modelName: 'A', predictions: [11, 19] }]);
+        addValidationBlock(validation, [30], [
+            { modelName: 'A', predictions: [29] },
+            { modelName: 'B', predictions: [31] }
+        ]);
+        expect(validation.actuals).toEqual([10, 20, 30]);
+        expect(validation.predictions).toEqual({ A: [11, 19, 29], B: [null, null, 31] });
+    });
+});
+
+describe('learnBlendWeights', () => {
+    const a = [100, 140, 90, 160, 120, 180, 110, 150];
+    const b = [130, 100, 170, 120, 150, 90, 160, 140];
+
+    test('recovers the mix of models that reproduces the actuals', () => {
+        const validation = createValidationSet();
+        const actuals = a.map((value, i) => 0.3 * value + 0.7 * b[i]);
+        addValidationBlock(validation, actuals, [
+            { modelName: 'A', predictions: a },
+            { modelName: 'B', predictions: b }
+        ]);
+        const weights = learnBlendWeights(validation, ['A', 'B']);
+        expect(weights.A).toBeCloseTo(0.3, 3);
+        expect(weights.B).toBeCloseTo(0.7, 3);
+    });
+
+    test('weights are non-negative and sum to one, dropping a model that only hurts', () => {
+        const validation = createValidationSet();
+        addValidationBlock(validation, a, [
+            { modelName: 'A', predictions: a.map(value => value + 2) },
+            { modelName: 'B', predictions: b },
+            { modelName: 'Inverse', predictions: a.map(value => 300 - value) }
+        ]);
+        const weights = learnBlendWeights(validation, ['A', 'B', 'Inverse']);
+        Object.values(weights).forEach(weight => expect(weight).toBeGreaterThan(0));
+        expect(sum(weights)).toBeCloseTo(1, 10);
+        expect(weights.Inverse).toBeUndefined();
+        expect(weights.A).toBeGreaterThan(0.9);
+    });
+
+    test('candidates get equal weights before any validation periods', () => {
+        expect(learnBlendWeights(createValidationSet(), ['A', 'B', 'C'])).toEqual({ A: 1 / 3, B: 1 / 3, C: 1 / 3 });
+    });
+
+    test('models with missing validation predictions are left out', () => {
+        const validation = createValidationSet();
+        addValidationBlock(validation, [10, 20], [
+            { modelName: 'A', predictions: [10, 20] },
+            { modelName: 'B', predictions: [null, 18] }
+        ]);
+        expect(learnBlendWeights(validation, ['A', 'B'])).toEqual({ A: 1 });
+        expect(learnBlendWeights(validation, ['B'])).toBeNull();
+    });
+});
+
+describe('blending', () => {
+    test('blendPredictions is the weighted sum, null where any model has no prediction', () => {
+        expect(blendPredictions({ A: 0.25, B: 0.75 }, { A: [100, null], B: [200, 50] })).toEqual([175, null]);
+    });
+
+    test('models that could not be fitted drop out and the rest are reweighted', () => {
+        const model = createEnsembleModel({ A: 0.2, B: 0.6, C: 0.2 }, {
+            A: { predict: (rows) => rows.map(() => 100) },
+            B: null,
+            C: { predict: (rows) => rows.map(() => 200) }
+        });
+        expect(model.state.weights).toEqual({ A: 0.5, C: 0.5 });
+        expect(model.predict([{}, {}])).toEqual([150, 150]);
+        expect(createEnsembleModel({ B: 1 }, { B: null })).toBeNull();
+    });
+});
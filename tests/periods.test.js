@@ -0,0 +1,107 @@
+// ============================================================================
+// Periods - ISO Weeks, Week Resolution and Reporting-Period Bucketing
+// ============================================================================
+
+import {
+    formatISODate,
+    getISOWeek,
+    getPeriod,
+    isoWeeksInYear,
+    parseDateValue,
+    parseWeekNumber,
+    resolveWeek,
+    shiftPeriodStart,
+    toUTCDate
+} from '../src/js/periods.js';
+
+describe('ISO weeks', () => {
+    test('dates at the turn of the year belong to the ISO year of their Thursday', () => {
+        expect(getISOWeek(toUTCDate(2021, 1, 3))).toEqual({ year: 2020, week: 53 });
+        expect(getISOWeek(toUTCDate(2024, 12, 30))).toEqual({ year: 2025, week: 1 });
+    });
+
+    test('years starting on a Thursday (or a Wednesday in a leap year) have 53 weeks', () => {
+        expect([2020, 2021, 2024, 2026].map(isoWeeksInYear)).toEqual([53, 52, 52, 53]);
+    });
+});
+
+describe('resolveWeek', () => {
+    test('reads week labels with the year cell', () => {
+        expect(resolveWeek(2024, 'Wk 5')).toEqual({ isoYear: 2024, isoWeek: 5, weekStart: '2024-01-29' });
+        expect(resolveWeek('FY 2024', 5)).toEqual({ isoYear: 2024, isoWeek: 5, weekStart: '2024-01-29' });
+    });
+
+    test('reads YYYY-Www without a year cell', () => {
+        expect(resolveWeek(null, '2020-W53')).toEqual({ isoYear: 2020, isoWeek: 53, weekStart: '2020-12-28' });
+    });
+
+    test('places a Sunday-start week in the ISO week holding most of its days', () => {
+        expect(resolveWeek(2024, '2024-01-28')).toEqual({ isoYear: 2024, isoWeek: 5, weekStart: '2024-01-28' });
+    });
+
+    test('rejects week 53 in a 52-week year and unreadable cells', () => {
+        expect(resolveWeek(2021, 53)).toBeNull();
+        expect(resolveWeek(null, 5)).toBeNull();
+        expect(resolveWeek(2024, 'next week')).toBeNull();
+    });
+});
+
+describe('date and week cells', () => {
+    test('parseDateValue reads Excel serials, ISO and US dates and rejects impossible days', () => {
+        expect(formatISODate(parseDateValue(45292))).toBe('2024-01-01');
+        expect(formatISODate(parseDateValue('2024/03/05 10:00'))).toBe('2024-03-05');
+        expect(formatISODate(parseDateValue('3/5/2024'))).toBe('2024-03-05');
+        expect(parseDateValue('2/30/2024')).toBeNull();
+    });
+
+    test('parseWeekNumber strips week prefixes and rejects fractions', () => {
+        expect(parseWeekNumber('W005')).toBe(5);
+        expect(parseWeekNumber('Week 12')).toBe(12);
+        expect(parseWeekNumber(5.5)).toBeNull();
+        expect(parseWeekNumber('Week 123')).toBeNull();
+    });
+});
+
+describe('getPeriod', () => {
+    test('weekly periods are keyed by ISO week', () => {
+        expect(getPeriod('2024-12-30', 'week')).toEqual({
+            periodKey: '2025-W01', periodLabel: '2025-W01', periodStart: '2024-12-30', year: 2025
+        });
+    });
+
+    test('a week straddling two months belongs to the month holding most of its days', () => {
+        expect(getPeriod('2024-04-29', 'month')).toEqual({
+            periodKey: '2024-05', periodLabel: 'May 2024', periodStart: '2024-05-01', year: 2024
+        });
+        expect(getPeriod('2024-04-29', 'quarter').periodKey).toBe('2024-Q2');
+    });
+
+    test('fiscal years are named for the calendar year they end in', () => {
+        expect(getPeriod('2024-07-01', 'fiscalMonth', 7)).toEqual({
+            periodKey: 'FY2025-P01', periodLabel: 'FY2025 P01', periodStart: '2024-07-01', year: 2025
+        });
+        expect(getPeriod('2024-10-07', 'fiscalQuarter', 7)).toEqual({
+            periodKey: 'FY2025-Q2', periodLabel: 'FY2025 Q2', periodStart: '2024-10-01', year: 2025
+        });
+        expect(getPeriod('2025-02-03', 'fiscalQuarter', 7).periodStart).toBe('2025-01-01');
+        expect(getPeriod('2024-10-07', 'fiscalQuarter', 1).periodKey).toBe('FY2024-Q4');
+    });
+
+    test('unknown granularities are rejected', () => {
+        expect(() => getPeriod('2024-01-01', 'fortnight')).toThrow('Unknown granularity');
+    });
+});
+
+describe('shiftPeriodStart', () => {
+    test('steps weeks by seven days and months and quarters by calendar months', () => {
+        expect(shiftPeriodStart('2024-12-30', 'week')).toBe('2025-01-06');
+        expect(shiftPeriodStart('2024-12-01', 'month')).toBe('2025-01-01');
+        expect(shiftPeriodStart('2024-10-01', 'quarter', -4)).toBe('2023-10-01');
+        expect(shiftPeriodStart('2024-07-01', 'fiscalQuarter', 2)).toBe('2025-01-01');
+    });
+
+    test('shifted starts map back onto the following period', () => {
+        const next = shiftPeriodStart(getPeriod('2024-12-30', 'month').periodStart, 'month');
+        expect(getPeriod(next, 'month').periodKey).toBe('2025-02');
+    });
+});
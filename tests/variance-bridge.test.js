@@ -0,0 +1,124 @@
+// ============================================================================
+// Variance Bridge - Volume / Payer Mix / E&M Mix / Rate Decomposition
+// ============================================================================
+
+import {
+    buildMixCells,
+    buildVarianceBridge,
+    decomposeVariance,
+    selectBaselinePeriods
+} from '../src/js/variance-bridge.js';
+
+const payerOf = (record) => record.payer;
+
+const record = (payer, emGroup, visitCount, totalPayments) => ({ payer, emGroup, visitCount, totalPayments });
+
+const effectsTotal = (bridge) => bridge.volume + bridge.payerMix + bridge.emMix + bridge.rate + bridge.other;
+
+describe('decomposeVariance', () => {
+    const baseline = buildMixCells([
+        record('Medicare', '99213', 10, 800),
+        record('Medicare', '99214', 10, 1200),
+        record('Commercial', '99213', 20, 2400)
+    ], payerOf);
+
+    test('doubling every cell is a pure volume effect', () => {
+        const actual = buildMixCells([
+            record('Medicare', '99213', 20, 1600),
+            record('Medicare', '99214', 20, 2400),
+            record('Commercial', '99213', 40, 4800)
+        ], payerOf);
+        const bridge = decomposeVariance(actual, baseline);
+        expect(bridge.volume).toBeCloseTo(4400);
+        expect(bridge.payerMix).toBeCloseTo(0);
+        expect(bridge.emMix).toBeCloseTo(0);
+        expect(bridge.rate).toBeCloseTo(0);
+    });
+
+    test('higher payments on the same visits are a pure rate effect', () => {
+        const actual = buildMixCells([
+            record('Medicare', '99213', 10, 900),
+            record('Medicare', '99214', 10, 1200),
+            record('Commercial', '99213', 20, 2400)
+        ], payerOf);
+        const bridge = decomposeVariance(actual, baseline);
+        expect(bridge.volume).toBeCloseTo(0);
+        expect(bridge.payerMix).toBeCloseTo(0);
+        expect(bridge.emMix).toBeCloseTo(0);
+        expect(bridge.rate).toBeCloseTo(100);
+    });
+
+    test('visits moving to a better-paying payer are a payer mix effect', () => {
+        const actual = buildMixCells([
+            record('Medicare', '99213', 5, 400),
+            record('Medicare', '99214', 5, 600),
+            record('Commercial', '99213', 30, 3600)
+        ], payerOf);
+        const bridge = decomposeVariance(actual, baseline);
+        expect(bridge.volume).toBeCloseTo(0);
+        expect(bridge.payerMix).toBeCloseTo(200);
+        expect(bridge.emMix).toBeCloseTo(0);
+        expect(bridge.rate).toBeCloseTo(0);
+    });
+
+    test('visits moving to a higher E&M level within a payer are an E&M mix effect', () => {
+        const actual = buildMixCells([
+            record('Medicare', '99213', 5, 400),
+            record('Medicare', '99214', 15, 1800),
+            record('Commercial', '99213', 20, 2400)
+        ], payerOf);
+        const bridge = decomposeVariance(actual, baseline);
+        expect(bridge.payerMix).toBeCloseTo(0);
+        expect(bridge.emMix).toBeCloseTo(200);
+        expect(bridge.rate).toBeCloseTo(0);
+    });
+
+    test('effects add up to the change in payments, with new payers and payments without visits', () => {
+        const actual = buildMixCells([
+            record('Medicare', '99213', 12, 1000),
+            record('Medicare', '99215', 3, 450),
+            record('Commercial', '99213', 15, 1700),
+            record('Medicaid', '99213', 8, 300),
+            record('Commercial', 'Unknown', 0, 250)
+        ], payerOf);
+        const bridge = decomposeVariance(actual, baseline);
+        expect(bridge.baseline).toBe(4400);
+        expect(bridge.actual).toBe(3700);
+        expect(bridge.other).toBeCloseTo(250);
+        expect(effectsTotal(bridge)).toBeCloseTo(bridge.actual - bridge.baseline);
+    });
+});
+
+describe('buildVarianceBridge', () => {
+    const periods = ['Jan', 'Feb', 'Mar', 'Apr', 'May'].map((label, i) => ({
+        periodKey: `2024-0${i + 1}`,
+        periodLabel: `${label} 2024`,
+        periodStart: `2024-0${i + 1}-01`,
+        detailRecords: [
+            record('Medicare', '99213', 10 + i, 80 * (10 + i)),
+            record('Commercial', '99214', 20 - i, (120 + i) * (20 - i))
+        ]
+    }));
+
+    test('the previous-period basis skips the first period and balances every bridge', () => {
+        const bridge = buildVarianceBridge(periods, { basis: 'prior', granularity: 'month', payerOf });
+        expect(bridge.map(period => period.periodKey)).toEqual(['2024-02', '2024-03', '2024-04', '2024-05']);
+        expect(bridge[0].baselineLabel).toBe('Jan 2024');
+        bridge.forEach(period => {
+            expect(effectsTotal(period)).toBeCloseTo(period.actual - period.baseline);
+        });
+    });
+
+    test('a trailing basis compares with the average of the preceding periods', () => {
+        const bridge = buildVarianceBridge(periods, { basis: 'trailing13', granularity: 'month', payerOf });
+        const may = bridge.find(period => period.periodKey === '2024-05');
+        const average = [1, 2, 3].reduce((sum, i) => sum + periods[i].detailRecords
+            .reduce((total, r) => total + r.totalPayments, 0), 0) / 3;
+        expect(may.baselineLabel).toBe('Average of Feb 2024 – Apr 2024');
+        expect(may.baseline).toBeCloseTo(average);
+    });
+
+    test('unknown bases are rejected', () => {
+        expect(() => selectBaselinePeriods(periods, 1, 'median')).toThrow('Unknown variance baseline');
+    });
+});